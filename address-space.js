@@ -0,0 +1,440 @@
+/**
+ * Simulated allocator address space
+ * Lays out slots inside super pages and slot spans the way PartitionAlloc does
+ */
+
+class AddressSpace {
+  /**
+   * Create a new simulated address space
+   * @param {Object} options - Layout options
+   */
+  constructor(options = {}) {
+    this.config = {
+      baseAddress: 0x7f0000000000,        // First super page address
+      superPageSize: 2 * 1024 * 1024,     // 2 MiB super pages
+      partitionPageSize: 16 * 1024,       // 16 KiB partition pages
+      maxPartitionPagesPerSlotSpan: 4,    // Largest normal slot span
+      largeSlotThreshold: null,           // Slots above this get their own span
+      metadataPages: 1,                   // Metadata pages at the start of a super page
+      guardPages: 1,                      // Guard pages at the end of a super page
+      freelistOrder: 'lifo',              // 'lifo' or 'lowest-address'
+      freelistRandom: null,               // SeededRandom picking freed slots, or null for freelistOrder
+      slotOrderRandom: null,              // SeededRandom shuffling new spans' slots, or null for address order
+      ...options
+    };
+
+    // Super pages in reservation order
+    this.superPages = [];
+
+    // Slot spans in creation order
+    this.slotSpans = [];
+
+    // Partition page address -> slot span covering it
+    this.spansByPage = new Map();
+
+    // Span key (slot size, per partition) -> slot span currently serving allocations
+    this.activeSpans = new Map();
+    
+    // Span key -> all slot spans of that size and partition in creation order
+    this.spansBySize = new Map();
+
+    // Next unreserved address
+    this.nextSuperPageAddress = this.config.baseAddress;
+  }
+
+  /**
+   * Format an address as a hex string
+   * @param {number} address - Address to format
+   * @returns {string} Hex representation
+   */
+  static formatAddress(address) {
+    if (address === null || address === undefined) {
+      return 'N/A';
+    }
+    return `0x${address.toString(16).padStart(12, '0')}`;
+  }
+
+  /**
+   * Number of partition pages usable for slot spans in one super page
+   * By default the first partition page holds metadata and the last one is
+   * a guard page
+   * @returns {number} Usable partition pages
+   */
+  getUsablePagesPerSuperPage() {
+    return this.config.superPageSize / this.config.partitionPageSize -
+      this.config.metadataPages - this.config.guardPages;
+  }
+
+  /**
+   * Choose the slot span geometry for a slot size
+   * Picks the number of partition pages that wastes the least space
+   * @param {number} slotSize - Slot size in bytes
+   * @returns {Object} Number of partition pages and slots per span
+   */
+  computeSpanGeometry(slotSize) {
+    const pageSize = this.config.partitionPageSize;
+    const maxPages = this.config.maxPartitionPagesPerSlotSpan;
+
+    // Slots too large for a normal span get a single-slot span
+    const largeSlotThreshold = this.config.largeSlotThreshold ?? pageSize * maxPages;
+    if (slotSize > largeSlotThreshold) {
+      return {
+        pages: Math.ceil(slotSize / pageSize),
+        slotCount: 1
+      };
+    }
+
+    let best = null;
+    for (let pages = 1; pages <= maxPages; pages++) {
+      const spanBytes = pages * pageSize;
+      const slotCount = Math.floor(spanBytes / slotSize);
+      const wasteRatio = (spanBytes - slotCount * slotSize) / spanBytes;
+
+      if (!best || wasteRatio < best.wasteRatio) {
+        best = { pages, slotCount, wasteRatio };
+      }
+    }
+
+    return { pages: best.pages, slotCount: best.slotCount };
+  }
+
+  /**
+   * Allocate a slot of the given size
+   * Like PartitionAlloc, the active span's freelist is used first (LIFO),
+   * then its unprovisioned slots, then other spans with free slots, and
+   * only then a new slot span
+   * Partitions never share super pages, so their slots are never neighbors
+   * @param {number} slotSize - Slot size in bytes
+   * @param {string|null} partition - Partition to allocate from
+   * @returns {Object|null} Slot address, its slot span and whether it was reused
+   */
+  allocateSlot(slotSize, partition = null) {
+    if (slotSize <= 0) {
+      return null;
+    }
+
+    if (this.config.freelistOrder === 'lowest-address') {
+      return this.allocateLowestSlot(slotSize, partition);
+    }
+
+    const key = this.spanKey(slotSize, partition);
+    let span = this.activeSpans.get(key);
+
+    if (!span || (span.freelist.length === 0 && span.provisionedSlots >= span.slotCount)) {
+      const spans = this.spansBySize.get(key) || [];
+      span = spans.find(candidate => candidate.freelist.length > 0) ||
+        this.createSlotSpan(slotSize, partition);
+      this.activeSpans.set(key, span);
+    }
+
+    let address;
+    let reused = false;
+
+    if (span.freelist.length > 0) {
+      // Pop the freelist head (the most recently freed slot), or any slot when randomized
+      address = this.config.freelistRandom
+        ? this.takeRandomFreeSlot(span)
+        : span.freelist.pop();
+      reused = true;
+    } else {
+      address = this.provisionSlot(span);
+    }
+
+    return {
+      address,
+      spanAddress: span.address,
+      slotIndex: (address - span.address) / slotSize,
+      reused
+    };
+  }
+
+  /**
+   * Take a uniformly random slot off a span's freelist
+   * @private
+   */
+  takeRandomFreeSlot(span) {
+    const index = this.config.freelistRandom.nextInt(span.freelist.length);
+    return span.freelist.splice(index, 1)[0];
+  }
+
+  /**
+   * Hand out a span's next never-used slot, in address order unless the
+   * span's slots were shuffled when it was created
+   * @private
+   */
+  provisionSlot(span) {
+    const slotIndex = span.slotOrder ? span.slotOrder[span.provisionedSlots] : span.provisionedSlots;
+    span.provisionedSlots++;
+
+    return span.address + slotIndex * span.slotSize;
+  }
+
+  /**
+   * Allocate the free slot with the lowest address, as jemalloc's slab
+   * bitmaps do
+   * @private
+   */
+  allocateLowestSlot(slotSize, partition) {
+    const key = this.spanKey(slotSize, partition);
+    const spans = this.spansBySize.get(key) || [];
+    let span = null;
+
+    for (const candidate of spans) {
+      const hasFreeSlot = candidate.freelist.length > 0 ||
+        candidate.provisionedSlots < candidate.slotCount;
+
+      if (hasFreeSlot && (!span || candidate.address < span.address)) {
+        span = candidate;
+      }
+    }
+
+    if (!span) {
+      span = this.createSlotSpan(slotSize, partition);
+    }
+    this.activeSpans.set(key, span);
+
+    let address;
+    let reused = false;
+
+    if (span.freelist.length > 0 && this.config.freelistRandom) {
+      address = this.takeRandomFreeSlot(span);
+      reused = true;
+    } else if (span.freelist.length > 0) {
+      // Freed slots sit below the unprovisioned ones unless slot order is shuffled
+      const lowest = span.freelist.reduce((min, candidate) => Math.min(min, candidate));
+      span.freelist.splice(span.freelist.indexOf(lowest), 1);
+      address = lowest;
+      reused = true;
+    } else {
+      address = this.provisionSlot(span);
+    }
+
+    return {
+      address,
+      spanAddress: span.address,
+      slotIndex: (address - span.address) / slotSize,
+      reused
+    };
+  }
+
+  /**
+   * Return a slot to its span's freelist
+   * @param {number} address - Slot address
+   * @returns {boolean} Whether the slot was pushed onto a freelist
+   */
+  freeSlot(address) {
+    const span = this.getSlotSpan(address);
+    if (!span) {
+      return false;
+    }
+
+    span.freelist.push(address);
+    return true;
+  }
+
+  /**
+   * Predict how many allocations of the slot's size will be served before
+   * a freed slot is handed out again
+   * @param {number} address - Freed slot address
+   * @returns {number|null} Allocations until reuse (0 = next), or null if
+   *   the slot is not on the active span's freelist or reuse is randomized
+   */
+  predictReuse(address) {
+    const span = this.getSlotSpan(address);
+    if (!span || this.config.freelistRandom) {
+      return null;
+    }
+
+    const key = this.spanKey(span.slotSize, span.partition);
+
+    if (this.config.freelistOrder === 'lowest-address') {
+      // Every free slot below this one is handed out first
+      let before = span.freelist.filter(candidate => candidate < address).length;
+      for (const other of this.spansBySize.get(key) || []) {
+        if (other.address < span.address) {
+          before += other.freelist.length + other.slotCount - other.provisionedSlots;
+        }
+      }
+      return span.freelist.includes(address) ? before : null;
+    }
+
+    if (this.activeSpans.get(key) !== span) {
+      return null;
+    }
+
+    const index = span.freelist.lastIndexOf(address);
+    if (index === -1) {
+      return null;
+    }
+
+    return span.freelist.length - 1 - index;
+  }
+
+  /**
+   * Create a new slot span, reserving a super page when needed
+   * @private
+   */
+  createSlotSpan(slotSize, partition) {
+    const { pages, slotCount } = this.computeSpanGeometry(slotSize);
+    const pageSize = this.config.partitionPageSize;
+
+    const directMap = pages > this.getUsablePagesPerSuperPage();
+
+    let superPage;
+    if (directMap) {
+      // Direct map: dedicated super pages with their own metadata and guard pages
+      const reservation = (pages + this.config.metadataPages + this.config.guardPages) * pageSize;
+      superPage = this.reserveSuperPages(Math.ceil(reservation / this.config.superPageSize), partition);
+      superPage.directMap = true;
+    } else {
+      superPage = this.superPages.findLast(candidate => candidate.partition === partition);
+      if (!superPage || superPage.directMap ||
+          superPage.nextFreePage + pages > superPage.pageCount - this.config.guardPages) {
+        superPage = this.reserveSuperPages(1, partition);
+      }
+    }
+
+    const span = {
+      address: superPage.address + superPage.nextFreePage * pageSize,
+      superPageAddress: superPage.address,
+      partition,
+      slotSize,
+      slotCount,
+      provisionedSlots: 0,
+      freelist: [],
+      size: pages * pageSize
+    };
+
+    // Slot indexes in the order they will be provisioned
+    if (this.config.slotOrderRandom && slotCount > 1) {
+      span.slotOrder = this.config.slotOrderRandom.shuffle(Array.from({ length: slotCount }, (_, i) => i));
+    }
+
+    superPage.nextFreePage += pages;
+
+    for (let page = 0; page < pages; page++) {
+      this.spansByPage.set(span.address + page * pageSize, span);
+    }
+
+    this.slotSpans.push(span);
+
+    const key = this.spanKey(slotSize, partition);
+    if (!this.spansBySize.has(key)) {
+      this.spansBySize.set(key, []);
+    }
+    this.spansBySize.get(key).push(span);
+
+    return span;
+  }
+
+  /**
+   * Key slot spans by size, and by partition when there is one
+   * @private
+   */
+  spanKey(slotSize, partition) {
+    return partition === null || partition === undefined ? slotSize : `${partition}:${slotSize}`;
+  }
+
+  /**
+   * Reserve one or more contiguous super pages
+   * @private
+   */
+  reserveSuperPages(count, partition = null) {
+    const superPage = {
+      address: this.nextSuperPageAddress,
+      partition,
+      pageCount: count * this.config.superPageSize / this.config.partitionPageSize,
+      nextFreePage: this.config.metadataPages,
+      directMap: false
+    };
+
+    this.nextSuperPageAddress += count * this.config.superPageSize;
+    this.superPages.push(superPage);
+
+    return superPage;
+  }
+
+  /**
+   * Find the slot span containing an address
+   * @param {number} address - Address to look up
+   * @returns {Object|null} Slot span or null
+   */
+  getSlotSpan(address) {
+    const pageSize = this.config.partitionPageSize;
+    const pageAddress = address - ((address - this.config.baseAddress) % pageSize);
+    const span = this.spansByPage.get(pageAddress);
+
+    if (!span || address < span.address || address >= span.address + span.size) {
+      return null;
+    }
+
+    return span;
+  }
+
+  /**
+   * Resolve what an address points at
+   * @param {number} address - Address to resolve
+   * @returns {Object} Region type and, for slots, the slot address
+   */
+  resolveAddress(address) {
+    const span = this.getSlotSpan(address);
+
+    if (!span) {
+      const inSuperPage = this.superPages.some(superPage =>
+        address >= superPage.address &&
+        address < superPage.address + superPage.pageCount * this.config.partitionPageSize
+      );
+
+      // Metadata, guard pages and untouched partition pages are not slots
+      return { region: inSuperPage ? 'guard' : 'unmapped', span: null, slotAddress: null };
+    }
+
+    const slotIndex = Math.floor((address - span.address) / span.slotSize);
+    if (slotIndex >= span.slotCount) {
+      return { region: 'span-tail', span, slotAddress: null };
+    }
+
+    return {
+      region: 'slot',
+      span,
+      slotIndex,
+      slotAddress: span.address + slotIndex * span.slotSize,
+      slotSize: span.slotSize
+    };
+  }
+
+  /**
+   * Get the addresses of the slots physically next to a slot
+   * Neighbors never cross a slot span boundary
+   * @param {number} address - Slot address
+   * @returns {Object} Previous and next slot addresses (null at span ends)
+   */
+  getNeighborSlots(address) {
+    const span = this.getSlotSpan(address);
+    if (!span) {
+      return { prev: null, next: null };
+    }
+
+    const slotIndex = Math.floor((address - span.address) / span.slotSize);
+
+    return {
+      prev: slotIndex > 0 ? address - span.slotSize : null,
+      next: slotIndex < span.slotCount - 1 ? address + span.slotSize : null
+    };
+  }
+
+  /**
+   * Reset the address space
+   */
+  reset() {
+    this.superPages = [];
+    this.slotSpans = [];
+    this.spansByPage.clear();
+    this.activeSpans.clear();
+    this.spansBySize.clear();
+    this.nextSuperPageAddress = this.config.baseAddress;
+  }
+}
+
+// Export the AddressSpace
+export default AddressSpace;
@@ -0,0 +1,415 @@
+/**
+ * Native allocation trace importer
+ * Replays malloc/calloc/realloc/free logs into a HeapAnalyzer
+ *
+ * Two formats are accepted:
+ *   Text, one call per line, as printed by typical LD_PRELOAD shims:
+ *     [thread] malloc(32) = 0x5555555592a0 @ site
+ *     calloc(4, 16) = 0x5555555592d0
+ *     realloc(0x5555555592a0, 64) = 0x555555559310
+ *     free(0x5555555592d0)
+ *   CSV with a header row naming the columns, e.g.
+ *     op,address,size,new_address,site,thread
+ */
+
+class AllocationTraceImporter {
+  /**
+   * Create a new allocation trace importer
+   * @param {HeapAnalyzer} analyzer - The heap analyzer to import into
+   * @param {Object} options - Import options
+   * @param {boolean} options.append - Keep existing allocations instead of resetting
+   * @param {string} options.type - Allocation type for imported blocks
+   */
+  constructor(analyzer, options = {}) {
+    this.analyzer = analyzer;
+    this.options = {
+      append: false,
+      type: 'Native',
+      ...options
+    };
+
+    // Header names accepted for each CSV column
+    this.columnAliases = {
+      op: ['op', 'event', 'call', 'function', 'func'],
+      address: ['address', 'addr', 'ptr', 'pointer'],
+      size: ['size', 'bytes', 'length'],
+      count: ['count', 'nmemb'],
+      newAddress: ['new_address', 'new_addr', 'new_ptr', 'result', 'ret', 'return'],
+      site: ['site', 'call_site', 'callsite', 'caller'],
+      thread: ['thread', 'tid', 'thread_id'],
+      time: ['time', 'timestamp', 'ts']
+    };
+  }
+
+  /**
+   * Import a trace
+   * @param {string} text - Trace file contents
+   * @returns {Object} Import summary, or an object with an error
+   */
+  import(text) {
+    if (typeof text !== 'string') {
+      return { error: 'Trace must be text' };
+    }
+
+    const lines = text.split(/\r?\n/);
+    const firstLine = lines.findIndex(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    if (firstLine === -1) {
+      return { error: 'Trace is empty' };
+    }
+
+    const columns = this.parseHeader(lines[firstLine]);
+    const records = [];
+    const skipped = [];
+
+    for (let i = columns ? firstLine + 1 : firstLine; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (line === '' || line.startsWith('#')) continue;
+
+      const record = columns ? this.parseCsvLine(line, columns) : this.parseTextLine(line);
+      if (record) {
+        record.line = i + 1;
+        records.push(record);
+      } else {
+        skipped.push({ line: i + 1, text: line });
+      }
+    }
+
+    if (records.length === 0) {
+      return { error: 'No malloc, calloc, realloc or free calls found in trace' };
+    }
+
+    if (!this.options.append) {
+      this.analyzer.reset();
+    }
+
+    const summary = {
+      success: true,
+      format: columns ? 'csv' : 'text',
+      records: records.length,
+      allocations: 0,
+      frees: 0,
+      reallocations: 0,
+      failedReallocations: 0,
+      unmatchedFrees: 0,
+      doubleFrees: 0,
+      invalidFrees: 0,
+      reusedLiveAddresses: 0,
+      skipped
+    };
+
+    // Trace address -> allocation ID of the block currently at that address
+    this.liveByAddress = new Map();
+
+    // Trace address -> allocation ID of the block last freed there, so a
+    // second free of the pointer is recognized as a double free
+    this.freedByAddress = new Map();
+
+    this.analyzer.batch(() => {
+      for (const record of records) {
+        this.replay(record, summary);
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Replay one call against the analyzer
+   * @private
+   */
+  replay(record, summary) {
+    switch (record.op) {
+      case 'malloc':
+      case 'calloc':
+        this.recordBlock(record, record.size, record.newAddress, summary);
+        break;
+
+      case 'free':
+        this.freeBlock(record, record.address, summary);
+        break;
+
+      case 'realloc': {
+        // realloc(NULL, n) is malloc(n) and realloc(p, 0) is free(p)
+        if (!record.address) {
+          this.recordBlock(record, record.size, record.newAddress, summary);
+          break;
+        }
+        if (record.size === 0) {
+          this.freeBlock(record, record.address, summary);
+          break;
+        }
+
+        // A failed realloc returns NULL and leaves the block untouched
+        if (record.newAddress === 0) {
+          summary.failedReallocations++;
+          break;
+        }
+
+        const previousId = this.liveByAddress.get(record.address);
+
+        // Without a known block there is nothing to resize, so treat it as free then malloc
+        if (previousId === undefined) {
+          this.freeBlock(record, record.address, summary);
+          this.recordBlock(record, record.size, record.newAddress, summary);
+        } else {
+          this.resizeBlock(record, previousId, summary);
+        }
+        summary.reallocations++;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Record an allocated block
+   * @private
+   */
+  recordBlock(record, size, address, summary) {
+    // A live block at the same address means the trace missed its free
+    if (address && this.liveByAddress.has(address)) {
+      summary.reusedLiveAddresses++;
+      this.analyzer.recordDeallocation(this.liveByAddress.get(address), record.thread);
+    }
+
+    const metadata = {
+      source: 'malloc-trace',
+      call: record.op,
+      traceAddress: address ? `0x${address.toString(16)}` : null,
+      line: record.line
+    };
+    if (record.site) metadata.site = record.site;
+    if (record.time !== undefined) metadata.traceTime = record.time;
+
+    const id = this.analyzer.recordAllocation(size, this.options.type, metadata, record.thread);
+    if (address) {
+      this.liveByAddress.set(address, id);
+    }
+
+    summary.allocations++;
+    return id;
+  }
+
+  /**
+   * Resize a known block, following it to its new trace address
+   * @private
+   */
+  resizeBlock(record, id, summary) {
+    this.analyzer.recordReallocation(id, record.size, record.thread);
+
+    // Traces without a result column leave the block at its old address
+    if (record.newAddress && record.newAddress !== record.address) {
+      if (this.liveByAddress.has(record.newAddress)) {
+        summary.reusedLiveAddresses++;
+        this.analyzer.recordDeallocation(this.liveByAddress.get(record.newAddress), record.thread);
+      }
+
+      // realloc released the old block, so freeing the old pointer is a double free
+      this.liveByAddress.delete(record.address);
+      this.freedByAddress.set(record.address, id);
+      this.liveByAddress.set(record.newAddress, id);
+      this.analyzer.allocations.get(id).metadata.traceAddress = `0x${record.newAddress.toString(16)}`;
+    }
+  }
+
+  /**
+   * Free the block at a trace address
+   * Frees of an address with no live block go to the analyzer as double frees
+   * or invalid frees, so they show up as bugs
+   * @private
+   */
+  freeBlock(record, address, summary) {
+    // free(NULL) is a no-op
+    if (!address) return;
+
+    const id = this.liveByAddress.get(address);
+    if (id === undefined) {
+      summary.unmatchedFrees++;
+
+      const freedId = this.freedByAddress.get(address);
+      const traceAddress = `0x${address.toString(16)}`;
+      if (freedId !== undefined) {
+        summary.doubleFrees++;
+
+        // A block realloc moved away lives on at another address
+        if (this.analyzer.allocations.get(freedId).metadata.traceAddress !== traceAddress) {
+          this.analyzer.recordVacatedFree(freedId, record.thread, { traceAddress, line: record.line });
+        } else {
+          this.analyzer.recordDeallocation(freedId, record.thread);
+        }
+      } else {
+        summary.invalidFrees++;
+        this.analyzer.recordUnknownFree(record.thread, { traceAddress, line: record.line });
+      }
+      return;
+    }
+
+    this.liveByAddress.delete(address);
+    this.freedByAddress.set(address, id);
+    this.analyzer.recordDeallocation(id, record.thread);
+    summary.frees++;
+  }
+
+  /**
+   * Parse a text trace line such as "[t1] malloc(32) = 0x1000 @ site"
+   * @private
+   */
+  parseTextLine(line) {
+    const match = line.match(
+      /^(?:\[([^\]]+)\]\s*)?(malloc|calloc|realloc|free)\s*\(((?:[^()]|\(nil\))*)\)\s*(?:=\s*(\S+))?\s*(?:@\s*(.+))?$/
+    );
+    if (!match) {
+      return null;
+    }
+
+    const [, thread, op, rawArgs, result, site] = match;
+    const args = rawArgs.split(',').map(arg => arg.trim()).filter(arg => arg !== '');
+    const record = { op, thread: thread || 'main', site: site?.trim() };
+
+    switch (op) {
+      case 'malloc':
+        record.size = this.parseNumber(args[0]);
+        record.newAddress = this.parseAddress(result);
+        break;
+      case 'calloc':
+        record.size = this.parseNumber(args[0]) * this.parseNumber(args[1]);
+        record.newAddress = this.parseAddress(result);
+        break;
+      case 'realloc':
+        record.address = this.parseAddress(args[0]);
+        record.size = this.parseNumber(args[1]);
+        record.newAddress = this.parseAddress(result);
+        break;
+      case 'free':
+        record.address = this.parseAddress(args[0]);
+        break;
+    }
+
+    return this.isValid(record) ? record : null;
+  }
+
+  /**
+   * Map CSV header names to column indexes
+   * @private
+   * @returns {Object|null} Column indexes, or null if the line is not a header
+   */
+  parseHeader(line) {
+    const names = this.splitCsv(line).map(name => name.toLowerCase());
+    const columns = {};
+
+    for (const [column, aliases] of Object.entries(this.columnAliases)) {
+      const index = names.findIndex(name => aliases.includes(name));
+      if (index !== -1) {
+        columns[column] = index;
+      }
+    }
+
+    return columns.op !== undefined ? columns : null;
+  }
+
+  /**
+   * Parse a CSV trace line using the header's columns
+   * @private
+   */
+  parseCsvLine(line, columns) {
+    const cells = this.splitCsv(line);
+    const cell = (column) => columns[column] !== undefined ? cells[columns[column]] : undefined;
+
+    const op = (cell('op') || '').toLowerCase();
+    const size = this.parseNumber(cell('size'));
+    const address = this.parseAddress(cell('address'));
+    const newAddress = this.parseAddress(cell('newAddress'));
+
+    const record = {
+      op,
+      size: op === 'calloc' && cell('count') ? size * this.parseNumber(cell('count')) : size,
+      site: cell('site') || undefined,
+      thread: cell('thread') || 'main',
+      time: cell('time') !== undefined && cell('time') !== '' ? Number(cell('time')) : undefined
+    };
+
+    // Allocations may log the returned pointer in the address column
+    if (op === 'malloc' || op === 'calloc') {
+      record.newAddress = newAddress || address;
+    } else {
+      record.address = address;
+      record.newAddress = newAddress;
+    }
+
+    return this.isValid(record) ? record : null;
+  }
+
+  /**
+   * Split a CSV line, honoring double-quoted cells
+   * @private
+   */
+  splitCsv(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === ',' && !quoted) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    cells.push(current.trim());
+    return cells;
+  }
+
+  /**
+   * Check that a parsed record has what its call needs
+   * @private
+   */
+  isValid(record) {
+    switch (record.op) {
+      case 'malloc':
+      case 'calloc':
+        return Number.isFinite(record.size) && record.size > 0;
+      case 'realloc':
+        return Number.isFinite(record.size);
+      case 'free':
+        return record.address !== undefined;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Parse a decimal or hex number
+   * @private
+   */
+  parseNumber(value) {
+    if (value === undefined || value === '') return NaN;
+
+    return /^0x/i.test(value) ? parseInt(value, 16) : Number(value);
+  }
+
+  /**
+   * Parse a pointer; NULL and 0 become 0
+   * @private
+   */
+  parseAddress(value) {
+    if (value === undefined || value === '') return undefined;
+    if (/^(null|nil|\(nil\))$/i.test(value)) return 0;
+
+    // Pointers are hex whether or not they carry a 0x prefix
+    const address = parseInt(value, 16);
+    return Number.isNaN(address) ? undefined : address;
+  }
+}
+
+// Export the AllocationTraceImporter
+export default AllocationTraceImporter;
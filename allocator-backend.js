@@ -0,0 +1,183 @@
+/**
+ * Allocator backend interface
+ * Backends decide size classes and where each allocation lands in memory
+ */
+
+import SeededRandom from './seeded-random.js';
+
+class AllocatorBackend {
+  /**
+   * Create a new allocator backend
+   * @param {Object} options - Backend options
+   * @param {Object} options.randomization - { seed, freelist, slotOrder } to
+   *   hand out freed slots and provision new ones in seeded random order
+   */
+  constructor(options = {}) {
+    this.options = options;
+
+    // Identifier used to select the backend
+    this.name = 'abstract';
+
+    // Human-readable name
+    this.label = 'Abstract allocator';
+
+    // What a group of neighboring slots is called by this allocator
+    this.regionLabel = 'region';
+
+    // Order in which freed slots are handed out again:
+    // 'lifo', 'fifo', 'lowest-address' or 'none'
+    this.reuseOrder = 'none';
+
+    // Whether partitions get separate memory, so allocations routed to
+    // different partitions can never be neighbors or reuse each other's slots
+    this.isolatesPartitions = false;
+
+    // Randomization modes this allocator implements: 'freelist', 'slotOrder'
+    this.randomizable = [];
+
+    // Seeded layout randomization, or null for the allocator's own order;
+    // the generator restarts on reset so replays land in the same places
+    this.randomization = options.randomization
+      ? { seed: 1, freelist: true, slotOrder: true, ...options.randomization }
+      : null;
+    this.random = this.randomization ? new SeededRandom(this.randomization.seed) : null;
+  }
+
+  /**
+   * Get the generator for a randomization mode
+   * @param {string} mode - 'freelist' or 'slotOrder'
+   * @returns {SeededRandom|null} Generator, or null if the mode is off
+   */
+  getRandom(mode) {
+    return this.randomization?.[mode] ? this.random : null;
+  }
+
+  /**
+   * Find the size class (bucket) for an allocation size
+   * @param {number} size - Allocation size
+   * @returns {number} Bucket size
+   */
+  findBucketForSize(size) {
+    throw new Error(`${this.label} does not implement findBucketForSize`);
+  }
+
+  /**
+   * Place an allocation in memory
+   * @param {number} size - Allocation size
+   * @param {Object} context - Allocation context
+   * @param {string} context.partition - Partition the allocation is routed to;
+   *   ignored by backends that do not isolate partitions
+   * @param {string} context.thread - Allocating thread; ignored by backends
+   *   without per-thread caches
+   * @returns {Object|null} Placement with address, bucketSize, region and
+   *   reused flag, or null if the allocation takes no memory
+   */
+  allocate(size, context = {}) {
+    throw new Error(`${this.label} does not implement allocate`);
+  }
+
+  /**
+   * Release the slot at an address
+   * @param {number} address - Slot address
+   * @param {Object} context - Free context
+   * @param {string} context.thread - Freeing thread
+   * @returns {boolean} Whether the slot can be reused
+   */
+  free(address, context = {}) {
+    throw new Error(`${this.label} does not implement free`);
+  }
+
+  /**
+   * Whether an allocation can grow or shrink without moving
+   * @param {number} address - Slot address
+   * @param {number} bucketSize - Current bucket size
+   * @param {number} newSize - Requested size
+   * @returns {boolean} Whether the new size belongs in the current slot
+   */
+  canResizeInPlace(address, bucketSize, newSize) {
+    return this.findBucketForSize(newSize) === bucketSize;
+  }
+
+  /**
+   * Get the addresses of the slots physically next to a slot
+   * @param {number} address - Slot address
+   * @returns {Object} Previous and next slot addresses (null when none)
+   */
+  getNeighborSlots(address) {
+    return { prev: null, next: null };
+  }
+
+  /**
+   * Resolve what an address points at
+   * @param {number} address - Address to resolve
+   * @returns {Object} Region type and, for slots, the slot address and size
+   */
+  resolveAddress(address) {
+    return { region: 'unmapped', slotAddress: null, slotSize: 0 };
+  }
+
+  /**
+   * Predict how many same-size allocations are served before a freed slot
+   * is handed out again
+   * @param {number} address - Freed slot address
+   * @param {string} thread - Thread making the allocations, for per-thread caches
+   * @returns {number|null} Allocations until reuse, or null if unknown
+   */
+  predictReuse(address, thread = 'main') {
+    return null;
+  }
+
+  /**
+   * Get how many slots a region holds
+   * @param {number} regionAddress - Region address (e.g. a slot span)
+   * @returns {number|null} Slot count, or null if regions have no fixed capacity
+   */
+  getRegionCapacity(regionAddress) {
+    return null;
+  }
+
+  /**
+   * Return slots held in per-thread caches to the shared freelists
+   * @param {string|null} thread - Thread to purge, or null for every thread
+   * @returns {number} Number of slots released
+   */
+  purgeThreadCache(thread = null) {
+    return 0;
+  }
+
+  /**
+   * Describe the per-thread caches
+   * @returns {Object|null} Thread -> cache state, or null without thread caches
+   */
+  getThreadCacheStats() {
+    return null;
+  }
+
+  /**
+   * Describe the backend for display
+   * @returns {Object} Name, label, region label, reuse order and partition isolation
+   */
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      regionLabel: this.regionLabel,
+      reuseOrder: this.reuseOrder,
+      isolatesPartitions: this.isolatesPartitions,
+      randomizable: this.randomizable,
+      randomization: this.randomization
+    };
+  }
+
+  /**
+   * Reset all allocator state
+   */
+  reset() {
+    if (this.random) {
+      this.random.reset();
+    }
+  }
+}
+
+// Export the AllocatorBackend
+export default AllocatorBackend;
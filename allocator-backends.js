@@ -0,0 +1,62 @@
+/**
+ * Allocator backend registry
+ * Creates allocator backends by name
+ */
+
+import PartitionAllocBackend from './partition-alloc-backend.js';
+import PtmallocBackend from './ptmalloc-backend.js';
+import JemallocBackend from './jemalloc-backend.js';
+import BumpAllocatorBackend from './bump-allocator-backend.js';
+
+class AllocatorBackends {
+  /**
+   * Registered backend constructors by name
+   */
+  static registry = {
+    partitionalloc: PartitionAllocBackend,
+    ptmalloc: PtmallocBackend,
+    jemalloc: JemallocBackend,
+    bump: BumpAllocatorBackend
+  };
+
+  /**
+   * Backend used when none is selected
+   */
+  static defaultBackend = 'partitionalloc';
+
+  /**
+   * Create a backend by name
+   * @param {string} name - Backend name
+   * @param {Object} options - Backend options
+   * @returns {AllocatorBackend} The backend instance
+   */
+  static create(name = AllocatorBackends.defaultBackend, options = {}) {
+    const Backend = AllocatorBackends.registry[name];
+    if (!Backend) {
+      throw new Error(`Unknown allocator backend: ${name}`);
+    }
+
+    return new Backend(options);
+  }
+
+  /**
+   * Register a custom backend
+   * @param {string} name - Backend name
+   * @param {Function} Backend - Backend constructor
+   */
+  static register(name, Backend) {
+    AllocatorBackends.registry[name] = Backend;
+  }
+
+  /**
+   * List the available backends
+   * @returns {Array} Backend descriptions
+   */
+  static list() {
+    return Object.keys(AllocatorBackends.registry)
+      .map(name => AllocatorBackends.create(name).describe());
+  }
+}
+
+// Export the AllocatorBackends registry
+export default AllocatorBackends;
@@ -0,0 +1,173 @@
+/**
+ * Allocator profile registry
+ * Named allocator configurations per allocator release: the backend, its
+ * bucket table, slot span sizes and thread-cache limits, and partition
+ * routing. The bundled PartitionAlloc profile follows the PartitionAlloc
+ * sources rather than one Chromium build, since the bucket distribution and
+ * thread-cache settings change between builds; tables captured from a
+ * specific build (for example with HeapAnalyzer.inferBucketSizes) can be
+ * loaded alongside it.
+ */
+
+import AllocatorBackends from './allocator-backends.js';
+import PartitionRouter from './partition-router.js';
+
+class AllocatorProfiles {
+  /**
+   * Registered profiles by name
+   * Each has { name, label, backend, description, backendOptions, partitionRouting }
+   * where partitionRouting is null for the default rules
+   */
+  static registry = {
+    'partitionalloc-denser': {
+      name: 'partitionalloc-denser',
+      label: 'PartitionAlloc (denser bucket distribution)',
+      backend: 'partitionalloc',
+      description: 'BucketDistribution::kDenser from the PartitionAlloc sources, not a captured build: eight ' +
+        'buckets per doubling, thread cache up to 512-byte slots, no Layout partition',
+      backendOptions: {
+        bucketSizes: [
+          16, 32, 48, 64, 80, 96, 112, 128,
+          144, 160, 176, 192, 208, 224, 240, 256,
+          288, 320, 352, 384, 416, 448, 480, 512,
+          576, 640, 704, 768, 832, 896, 960, 1024
+        ],
+        threadCache: { sizeThreshold: 512, batchFillRatio: 8 }
+      },
+      partitionRouting: {
+        rules: [
+          {
+            partition: 'ArrayBuffer',
+            match: '^(Shared)?ArrayBuffer$|^(Int|Uint|Float|BigInt|BigUint)\\d+(Clamped)?Array$'
+          },
+          { partition: 'Buffer', match: '^(String|Vector|HashTable|StringImpl)' }
+        ],
+        defaultPartition: 'FastMalloc'
+      }
+    },
+
+    'glibc-2.23': {
+      name: 'glibc-2.23',
+      label: 'glibc 2.23 ptmalloc',
+      backend: 'ptmalloc',
+      description: 'Before tcache: freed chunks go straight to the fastbins and smallbins',
+      backendOptions: { tcacheCount: 0 },
+      partitionRouting: null
+    },
+
+    'glibc-2.26': {
+      name: 'glibc-2.26',
+      label: 'glibc 2.26+ ptmalloc',
+      backend: 'ptmalloc',
+      description: 'Per-thread tcache of seven chunks per size in front of the bins',
+      backendOptions: { tcacheCount: 7, tcacheMaxChunk: 0x410 },
+      partitionRouting: null
+    },
+
+    'jemalloc-5': {
+      name: 'jemalloc-5',
+      label: 'jemalloc 5',
+      backend: 'jemalloc',
+      description: '16-byte quantum, four size classes per doubling, slabs up to 14 KiB classes',
+      backendOptions: { quantum: 16, smallMaxClass: 14336 },
+      partitionRouting: null
+    }
+  };
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null} The profile, or null if none is registered under the name
+   */
+  static get(name) {
+    return AllocatorProfiles.registry[name] || null;
+  }
+
+  /**
+   * Register a profile, replacing any with the same name
+   * @param {Object} profile - { name, label, backend, description, backendOptions, partitionRouting }
+   * @returns {Object} { success } or { error } if the profile is invalid
+   */
+  static register(profile) {
+    if (!profile || typeof profile.name !== 'string' || profile.name === '') {
+      return { error: 'Every allocator profile needs a name' };
+    }
+
+    if (!AllocatorBackends.registry[profile.backend]) {
+      return { error: `Profile ${profile.name} uses unknown allocator backend: ${profile.backend}` };
+    }
+
+    const bucketSizes = profile.backendOptions?.bucketSizes;
+    if (bucketSizes !== undefined && (!Array.isArray(bucketSizes) || bucketSizes.length === 0 ||
+        bucketSizes.some((size, i) => !Number.isInteger(size) || size <= 0 || (i > 0 && size <= bucketSizes[i - 1])))) {
+      return { error: `Profile ${profile.name} needs its bucket sizes as ascending positive integers` };
+    }
+
+    if (profile.partitionRouting) {
+      const routing = new PartitionRouter().configure(profile.partitionRouting);
+      if (routing.error) {
+        return { error: `Profile ${profile.name}: ${routing.error}` };
+      }
+    }
+
+    AllocatorProfiles.registry[profile.name] = {
+      label: profile.name,
+      description: '',
+      ...profile,
+      backendOptions: profile.backendOptions || {},
+      partitionRouting: profile.partitionRouting || null
+    };
+
+    return { success: true };
+  }
+
+  /**
+   * Register profiles from JSON, such as a file shared for a browser release
+   * A captured PartitionAlloc table looks like { name: 'chrome-<version>',
+   * label, backend: 'partitionalloc', description, backendOptions:
+   * { bucketSizes, addressSpace, threadCache }, partitionRouting }
+   * @param {string|Object|Array} input - Profile JSON, a profile, or an array of profiles
+   * @returns {Object} { success, loaded } with the registered names, or { error };
+   *   nothing is registered if any profile is invalid
+   */
+  static load(input) {
+    let data = input;
+
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (e) {
+        return { error: `Profiles are not valid JSON: ${e.message}` };
+      }
+    }
+
+    const profiles = Array.isArray(data) ? data : [data];
+    const previous = { ...AllocatorProfiles.registry };
+
+    for (const profile of profiles) {
+      const result = AllocatorProfiles.register(profile);
+      if (result.error) {
+        AllocatorProfiles.registry = previous;
+        return result;
+      }
+    }
+
+    return { success: true, loaded: profiles.map(profile => profile.name) };
+  }
+
+  /**
+   * List the available profiles
+   * @returns {Array} Profiles of { name, label, backend, description }
+   */
+  static list() {
+    return Object.values(AllocatorProfiles.registry).map(({ name, label, backend, description }) => ({
+      name,
+      label,
+      backend,
+      description
+    }));
+  }
+}
+
+// Export the AllocatorProfiles registry
+export default AllocatorProfiles;
@@ -0,0 +1,147 @@
+/**
+ * Bucket table inference
+ * Derives an allocator's bucket sizes from where allocations were observed.
+ * Slots of one bucket sit back to back, so the distance from an allocation to
+ * the next observed address is an upper bound on its slot size, and the
+ * smallest distance seen for a request size is usually exact. Because larger
+ * requests never get smaller slots, each bound also caps every smaller request.
+ */
+
+class BucketInference {
+  /**
+   * Create a new bucket inference
+   * @param {Object} options - Inference options
+   * @param {number} options.minSupport - Strides that must match a bucket size
+   *   exactly before it is trusted
+   */
+  constructor(options = {}) {
+    this.options = {
+      minSupport: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Infer bucket sizes from observations
+   * @param {Array} observations - { size, address } records of allocations
+   *   seen at an address, or { size, stride } records of an allocation whose
+   *   next neighbor started stride bytes after it
+   * @returns {Object} { observations, strides, bucketSizes, buckets, unresolved }
+   *   where each bucket has { bucketSize, minRequest, maxRequest, requests, support }
+   *   and each unresolved request size has { size, upperBound }
+   */
+  infer(observations) {
+    const samples = this.collectStrides(observations);
+
+    // Request size -> smallest stride seen after an allocation of that size
+    const smallest = new Map();
+    for (const { size, stride } of samples) {
+      if (!smallest.has(size) || stride < smallest.get(size)) {
+        smallest.set(size, stride);
+      }
+    }
+
+    // A smaller request's slot is never larger than a larger request's
+    const sizes = Array.from(smallest.keys()).sort((a, b) => a - b);
+    const bounds = new Map();
+    let bound = Infinity;
+    for (let i = sizes.length - 1; i >= 0; i--) {
+      bound = Math.min(bound, smallest.get(sizes[i]));
+      bounds.set(sizes[i], bound);
+    }
+
+    // Bucket size -> strides that landed on it exactly, and the request
+    // sizes with at least one such stride of their own
+    const support = new Map();
+    const exact = new Set();
+    for (const { size, stride } of samples) {
+      if (stride === bounds.get(size)) {
+        support.set(stride, (support.get(stride) || 0) + 1);
+        exact.add(size);
+      }
+    }
+
+    const buckets = new Map();
+    const unresolved = [];
+
+    for (const size of sizes) {
+      const bucketSize = bounds.get(size);
+
+      // A bound borrowed from larger requests may be a bucket too high
+      if (!exact.has(size) || (support.get(bucketSize) || 0) < this.options.minSupport) {
+        unresolved.push({ size, upperBound: bucketSize });
+        continue;
+      }
+
+      if (!buckets.has(bucketSize)) {
+        buckets.set(bucketSize, {
+          bucketSize,
+          minRequest: size,
+          maxRequest: size,
+          requests: 0,
+          support: support.get(bucketSize)
+        });
+      }
+
+      const bucket = buckets.get(bucketSize);
+      bucket.maxRequest = size;
+      bucket.requests++;
+    }
+
+    const table = Array.from(buckets.values()).sort((a, b) => a.bucketSize - b.bucketSize);
+
+    return {
+      observations: observations.length,
+      strides: samples.length,
+      bucketSizes: table.map(bucket => bucket.bucketSize),
+      buckets: table,
+      unresolved
+    };
+  }
+
+  /**
+   * Turn observations into { size, stride } samples
+   * Addresses are paired with the next higher observed address; allocations
+   * seen at the same address at different times each get that distance
+   * @private
+   */
+  collectStrides(observations) {
+    const samples = [];
+
+    // Address -> request sizes observed there
+    const byAddress = new Map();
+
+    for (const observation of observations) {
+      if (!(observation.size > 0)) continue;
+
+      if (observation.stride !== undefined) {
+        if (observation.stride >= observation.size) {
+          samples.push({ size: observation.size, stride: observation.stride });
+        }
+      } else if (Number.isFinite(observation.address)) {
+        if (!byAddress.has(observation.address)) {
+          byAddress.set(observation.address, []);
+        }
+        byAddress.get(observation.address).push(observation.size);
+      }
+    }
+
+    const addresses = Array.from(byAddress.keys()).sort((a, b) => a - b);
+
+    for (let i = 0; i < addresses.length - 1; i++) {
+      const stride = addresses[i + 1] - addresses[i];
+
+      // A stride shorter than the request means the two were never neighbors
+      byAddress.get(addresses[i]).forEach(size => {
+        if (stride >= size) {
+          samples.push({ size, stride });
+        }
+      });
+    }
+
+    return samples;
+  }
+}
+
+// Export the BucketInference
+export default BucketInference;
@@ -1,16 +1,22 @@
 /**
  * Bug simulation and analysis component
  * Simulates memory corruption bugs and analyzes their impact
+ * Double and invalid frees recorded by the analyzer become bugs automatically
+ * Emits "bug", "remove" and "reset" events, plus a batched "change" event.
  */
 
 import HeapAnalyzer from './heap-analyzer.js';
+import HeapEventEmitter from './heap-event-emitter.js';
+import UafMitigations from './uaf-mitigations.js';
 
-class BugSimulator {
+class BugSimulator extends HeapEventEmitter {
   /**
    * Create a new bug simulator
    * @param {HeapAnalyzer} analyzer - The heap analyzer instance
    */
   constructor(analyzer) {
+    super();
+    
     this.analyzer = analyzer;
     
     // Track active simulations
@@ -22,9 +28,184 @@ class BugSimulator {
       BUFFER_OVERFLOW: 'overflow',
       USE_AFTER_FREE: 'use-after-free',
       DOUBLE_FREE: 'double-free',
+      INVALID_FREE: 'invalid-free',
       NULL_DEREFERENCE: 'null-deref',
       TYPE_CONFUSION: 'type-confusion'
     };
+    
+    // Frees the allocator would reject are bugs in the traced program
+    this.analyzer.on('invalid-free', ({ bugType, event, allocation }) => {
+      this.recordFreeBug(bugType, event, allocation);
+    });
+  }
+  
+  /**
+   * Record a double free or invalid free detected by the analyzer
+   * @private
+   */
+  recordFreeBug(bugType, event, allocation) {
+    const bugId = this.nextBugId++;
+    const bugDetails = {
+      id: bugId,
+      type: bugType,
+      sourceId: event.sourceId,
+      source: allocation,
+      thread: event.details.thread,
+      seq: event.seq,
+      timestamp: Date.now(),
+      impact: {}
+    };
+    
+    // Frees from an imported trace name the address that was freed
+    if (event.details.traceAddress) {
+      bugDetails.traceAddress = event.details.traceAddress;
+    }
+    
+    if (bugType === this.bugTypes.DOUBLE_FREE) {
+      Object.assign(bugDetails.impact, this.assessDoubleFree(allocation));
+      bugDetails.firstFreedSeq = allocation.freedSeq;
+    } else {
+      bugDetails.impact.severity = 'medium';
+      bugDetails.impact.notes = `${bugDetails.traceAddress ?? `#${event.sourceId}`} was never allocated; the allocator would abort or misread slot metadata`;
+    }
+    
+    this.activeBugs.set(bugId, bugDetails);
+    this.emit('bug', { bug: bugDetails });
+    
+    return bugDetails;
+  }
+  
+  /**
+   * Work out what a second free of an allocation would do
+   * @private
+   */
+  assessDoubleFree(allocation) {
+    const backend = this.analyzer.backend;
+    const occupant = this.getReclaimingOccupant(allocation);
+    
+    // The slot was handed out again, so the second free releases someone else's memory
+    if (occupant && occupant.status === 'allocated') {
+      return {
+        victimAllocation: occupant,
+        severity: this.assessUafSeverity(allocation, occupant) === 'critical' ? 'critical' : 'high',
+        notes: `Slot now holds #${occupant.id} (${occupant.type}); the second free leaves it dangling`
+      };
+    }
+    
+    if (allocation.address === null || backend.reuseOrder === 'none') {
+      return {
+        severity: 'low',
+        notes: `The ${backend.label} never reuses the slot, so the second free has no lasting effect`
+      };
+    }
+    
+    return {
+      severity: 'high',
+      notes: `Slot would sit on the ${backend.label} freelist twice and be handed to two later ${allocation.bucketSize}-byte allocations`
+    };
+  }
+  
+  /**
+   * Get whatever occupies a freed allocation's slot if the slot was handed out
+   * again after the free
+   * Follows the reuse link rather than comparing allocation order, since a
+   * block that moved in with a reallocation was allocated before the free
+   * @private
+   * @returns {Object|null} Current occupant, or null if the slot was not reused
+   */
+  getReclaimingOccupant(freedAlloc) {
+    if (freedAlloc.reusedBy === undefined || freedAlloc.address === null) {
+      return null;
+    }
+    
+    return this.analyzer.getAllocationAtAddress(freedAlloc.address);
+  }
+  
+  /**
+   * Replay the trace with each UAF mitigation on by itself and see who reuses
+   * a freed slot compared to a run with none
+   * @private
+   * @returns {Array} Per mitigation { mitigation, label, enabled, effect,
+   *   reusedBy, reuserType, eventsUntilReuse, holds, notes }; effect is
+   *   "prevented", "delayed", "held" or "none"
+   */
+  compareMitigations(freedAlloc) {
+    const current = this.analyzer.mitigations.toJSON();
+    const only = (name) => {
+      const config = {};
+      for (const other of UafMitigations.NAMES) {
+        config[other] = { ...current[other], enabled: other === name };
+      }
+      return config;
+    };
+    
+    const baseline = this.measureReuse(this.analyzer.cloneWithMitigations(only(null)), freedAlloc.id);
+    const freeEvent = this.analyzer.timeline.find(event =>
+      event.type === 'deallocation' && event.allocation === freedAlloc);
+    
+    return UafMitigations.NAMES.map(name => {
+      const outcome = this.measureReuse(this.analyzer.cloneWithMitigations(only(name)), freedAlloc.id);
+      const label = UafMitigations.LABELS[name];
+      let effect = 'none';
+      let notes;
+      
+      if (baseline.reusedBy !== null && outcome.reusedBy === null) {
+        effect = 'prevented';
+        notes = `${label} keeps #${baseline.reusedBy} (${baseline.reuserType}) out of the slot; it is still held`;
+      } else if (baseline.reusedBy !== null && outcome.reusedBy !== baseline.reusedBy) {
+        effect = 'delayed';
+        notes = `${label} hands the slot to #${outcome.reusedBy} (${outcome.reuserType}) ${outcome.eventsUntilReuse} events after the free instead of #${baseline.reusedBy} after ${baseline.eventsUntilReuse} events`;
+      } else if (baseline.reusedBy === null && outcome.holds.length > 0) {
+        effect = 'held';
+        notes = `${label} is holding the slot, so nothing can reuse it yet`;
+      } else if (name === 'backupRefPtr' && !freeEvent?.danglingRefs) {
+        notes = 'No live object referenced the allocation when it was freed, so there was nothing to poison';
+      } else {
+        notes = baseline.reusedBy !== null
+          ? `${label} does not change reuse; #${baseline.reusedBy} still takes the slot`
+          : `${label} does not change reuse`;
+      }
+      
+      return {
+        mitigation: name,
+        label,
+        enabled: current[name].enabled,
+        effect,
+        ...outcome,
+        notes
+      };
+    });
+  }
+  
+  /**
+   * Find which allocation took a freed slot in an analyzer, and how soon
+   * @private
+   */
+  measureReuse(analyzer, freedId) {
+    const freed = analyzer.allocations.get(freedId);
+    const reuser = freed.reusedBy ? analyzer.allocations.get(freed.reusedBy) : null;
+    
+    if (!reuser) {
+      return {
+        reusedBy: null,
+        reuserType: null,
+        eventsUntilReuse: null,
+        holds: analyzer.getSlotHolds(freedId)?.holds || []
+      };
+    }
+    
+    // An older allocation can only have moved into the slot with a reallocation
+    const reuseSeq = reuser.seq > freed.freedSeq
+      ? reuser.seq
+      : analyzer.timeline.find(event => event.type === 'reallocation' && event.allocation === reuser &&
+          event.seq > freed.freedSeq && event.to.address === freed.address)?.seq;
+    
+    return {
+      reusedBy: reuser.id,
+      reuserType: reuser.type,
+      eventsUntilReuse: reuseSeq !== undefined ? reuseSeq - freed.freedSeq : null,
+      holds: []
+    };
   }
   
   /**
@@ -55,24 +236,37 @@ class BugSimulator {
       impact: {}
     };
     
-    // Find adjacent allocation that would be corrupted
-    const adjacent = this.analyzer.findAdjacentAllocations(sourceId);
-    if (adjacent.next && adjacent.next.status === 'allocated') {
-      bugDetails.impact.corruptedAllocation = adjacent.next;
-      bugDetails.impact.severity = this.assessOverflowSeverity(source, adjacent.next, overflowSize);
+    // Walk the simulated address space to find what the overflow reaches
+    const reach = this.analyzer.findOverflowTargets(sourceId, overflowSize);
+    const corrupted = reach.targets.filter(target => target.status === 'allocated');
+    
+    bugDetails.impact.slack = reach.slack;
+    bugDetails.impact.regions = reach.regions;
+    
+    if (corrupted.length > 0) {
+      bugDetails.impact.corruptedAllocation = corrupted[0];
+      bugDetails.impact.corruptedAllocations = corrupted;
+      bugDetails.impact.severity = this.assessOverflowSeverity(source, corrupted[0], overflowSize);
+    } else if (reach.absorbedBySlack) {
+      bugDetails.impact.severity = 'low';
+      bugDetails.impact.notes = `Overflow stays within the ${reach.slack}-byte slack at the end of the slot`;
+    } else if (reach.regions.some(region => region.region !== 'slot')) {
+      bugDetails.impact.severity = 'low';
+      bugDetails.impact.notes = 'Overflow runs past the end of the slot span into unused or guard memory';
     } else {
       bugDetails.impact.severity = 'low';
       bugDetails.impact.notes = 'No active allocation would be directly corrupted';
     }
     
     // Record in analyzer timeline
-    this.analyzer.recordBug(sourceId, this.bugTypes.BUFFER_OVERFLOW, {
+    bugDetails.seq = this.analyzer.recordBug(sourceId, this.bugTypes.BUFFER_OVERFLOW, {
       overflowSize,
-      impactedId: adjacent.next?.id
+      impactedId: corrupted[0]?.id
     });
     
     // Store the active bug
     this.activeBugs.set(bugId, bugDetails);
+    this.emit('bug', { bug: bugDetails });
     
     return bugDetails;
   }
@@ -103,35 +297,58 @@ class BugSimulator {
       impact: {}
     };
     
-    // Find potential reuse of this memory region
-    const bucketSize = this.analyzer.findBucketForSize(freedAlloc.size);
-    const allocationsInBucket = this.analyzer.getAllocationsInBucket(bucketSize);
-    
-    // Find allocations that happened after this one was freed
-    const freedAt = freedAlloc.freedAt || 0;
-    const potentialReusers = allocationsInBucket.filter(alloc => 
-      alloc.status === 'allocated' && alloc.timestamp > freedAt
-    );
+    // The dangling pointer sees whatever now occupies the freed slot
+    const backend = this.analyzer.backend;
+    const occupant = this.getReclaimingOccupant(freedAlloc);
+    const held = this.analyzer.getSlotHolds(freedId);
     
-    if (potentialReusers.length > 0) {
-      // Sort by time to find the most likely reuser
-      potentialReusers.sort((a, b) => a.timestamp - b.timestamp);
-      const mostLikelyReuser = potentialReusers[0];
+    // Only a block placed in the slot after the free can be reached through the dangling pointer
+    if (occupant) {
+      bugDetails.impact.reusingAllocation = occupant;
+      bugDetails.impact.severity = this.assessUafSeverity(freedAlloc, occupant);
       
-      bugDetails.impact.reusingAllocation = mostLikelyReuser;
-      bugDetails.impact.severity = this.assessUafSeverity(freedAlloc, mostLikelyReuser);
+      if (occupant.vacated) {
+        bugDetails.impact.notes = `Slot was reused by #${occupant.id}, which has since moved out with a reallocation`;
+      } else if (occupant.status !== 'allocated') {
+        bugDetails.impact.notes = `Slot was reused by #${occupant.id}, which has since been freed too`;
+      }
+    } else if (held) {
+      bugDetails.impact.heldBy = held.holds;
+      bugDetails.impact.severity = 'low';
+      bugDetails.impact.notes = held.holds.includes('backupRefPtr')
+        ? `BackupRefPtr poisoned the slot; the dangling pointer reads zapped memory until ${held.danglingRefs.map(id => `#${id}`).join(', ')} ${held.danglingRefs.length === 1 ? 'drops its reference' : 'drop their references'}`
+        : `Slot is held by ${held.holds.map(name => UafMitigations.LABELS[name]).join(' and ')}; the dangling pointer only sees stale data until it is released`;
+    } else if (backend.reuseOrder === 'none') {
+      bugDetails.impact.severity = 'low';
+      bugDetails.impact.notes = `The ${backend.label} never reuses freed memory, so the dangling pointer only sees stale data`;
     } else {
+      const allocationsUntilReuse = freedAlloc.address !== null
+        ? backend.predictReuse(freedAlloc.address, freedAlloc.thread)
+        : null;
+      
+      bugDetails.impact.allocationsUntilReuse = allocationsUntilReuse;
       bugDetails.impact.severity = 'medium';
-      bugDetails.impact.notes = 'No reuse detected yet, but memory could be reused later';
+      if (allocationsUntilReuse !== null) {
+        bugDetails.impact.notes = `Slot is free; allocation #${allocationsUntilReuse + 1} in the ${freedAlloc.bucketSize}-byte bucket will reuse it under ${backend.label}`;
+      } else if (backend.getRandom('freelist')) {
+        bugDetails.impact.notes = `Slot is free; ${backend.label} hands out freed slots in random order, so when it is reused cannot be predicted`;
+      } else {
+        bugDetails.impact.notes = `Slot is free but not next in line for reuse under ${backend.label}`;
+      }
+    }
+    
+    if (freedAlloc.address !== null && backend.reuseOrder !== 'none') {
+      bugDetails.impact.mitigations = this.compareMitigations(freedAlloc);
     }
     
     // Record in analyzer timeline
-    this.analyzer.recordBug(freedId, this.bugTypes.USE_AFTER_FREE, {
+    bugDetails.seq = this.analyzer.recordBug(freedId, this.bugTypes.USE_AFTER_FREE, {
       impactedId: bugDetails.impact.reusingAllocation?.id
     });
     
     // Store the active bug
     this.activeBugs.set(bugId, bugDetails);
+    this.emit('bug', { bug: bugDetails });
     
     return bugDetails;
   }
@@ -195,12 +412,13 @@ class BugSimulator {
     }
     
     // Record in analyzer timeline
-    this.analyzer.recordBug(sourceId, this.bugTypes.TYPE_CONFUSION, {
+    bugDetails.seq = this.analyzer.recordBug(sourceId, this.bugTypes.TYPE_CONFUSION, {
       wrongType
     });
     
     // Store the active bug
     this.activeBugs.set(bugId, bugDetails);
+    this.emit('bug', { bug: bugDetails });
     
     return bugDetails;
   }
@@ -309,6 +527,36 @@ class BugSimulator {
           title: 'Delay reuse of freed memory',
           description: 'Implement a quarantine zone to delay the reuse of recently freed memory'
         });
+        mitigations.push({
+          title: 'Protect raw pointers with BackupRefPtr',
+          description: 'Reference-count pointers into the heap so a freed slot that is still referenced is poisoned instead of reused (MiraclePtr)'
+        });
+        break;
+        
+      case this.bugTypes.DOUBLE_FREE:
+        mitigations.push({
+          title: 'Nullify pointers after free',
+          description: 'Set pointers to null immediately after freeing memory so a second free is a no-op'
+        });
+        mitigations.push({
+          title: 'Use single-owner pointers',
+          description: 'Give each allocation exactly one owner responsible for freeing it'
+        });
+        mitigations.push({
+          title: 'Enable allocator free checks',
+          description: 'Use allocator hardening that validates freelist entries and aborts on a repeated free'
+        });
+        break;
+        
+      case this.bugTypes.INVALID_FREE:
+        mitigations.push({
+          title: 'Free only what was allocated',
+          description: 'Track ownership so only pointers returned by the allocator are freed'
+        });
+        mitigations.push({
+          title: 'Enable allocator pointer validation',
+          description: 'Use allocator hardening that rejects pointers outside its slots'
+        });
         break;
         
       case this.bugTypes.TYPE_CONFUSION:
@@ -413,6 +661,46 @@ class BugSimulator {
           assessment.difficulties.push('No identified reusing allocation yet');
           exploitScore -= 15;
         }
+        
+        if (bug.impact.heldBy?.includes('backupRefPtr')) {
+          assessment.difficulties.push('BackupRefPtr poisoned the slot, so the dangling pointer reads zapped memory rather than a new object');
+          exploitScore -= 25;
+        } else if (bug.impact.heldBy) {
+          assessment.difficulties.push(`${bug.impact.heldBy.map(name => UafMitigations.LABELS[name]).join(' and ')} keeps the slot out of reuse for now`);
+          exploitScore -= 10;
+        }
+        
+        // Mitigations that are on already shaped the reuse above; ones that are
+        // off show what turning them on would buy
+        assessment.mitigations = bug.impact.mitigations || [];
+        for (const result of assessment.mitigations) {
+          if (result.effect === 'none') continue;
+          
+          if (result.enabled) {
+            assessment.difficulties.push(result.notes);
+          } else {
+            assessment.factors.push(`${result.label} is off: ${result.notes}`);
+          }
+        }
+        break;
+        
+      case this.bugTypes.DOUBLE_FREE:
+        // Assess double free exploitability
+        if (bug.impact.victimAllocation) {
+          assessment.factors.push('Second free releases a live object, turning it into a use-after-free');
+          exploitScore += 35;
+        } else if (bug.impact.severity === 'high') {
+          assessment.factors.push('Slot will be handed to two allocations at once');
+          exploitScore += 25;
+        } else {
+          assessment.difficulties.push('Freed slot is never reused');
+          exploitScore -= 15;
+        }
+        break;
+        
+      case this.bugTypes.INVALID_FREE:
+        assessment.difficulties.push('Freeing an unknown pointer usually aborts before memory is corrupted');
+        exploitScore -= 10;
         break;
         
       case this.bugTypes.TYPE_CONFUSION:
@@ -439,6 +727,13 @@ class BugSimulator {
         exploitScore -= 20;
     }
     
+    // A randomized layout makes neighbors and reuse a matter of chance
+    const randomized = this.analyzer.backend.randomization;
+    if (randomized && (bug.type === this.bugTypes.BUFFER_OVERFLOW || bug.type === this.bugTypes.USE_AFTER_FREE)) {
+      assessment.difficulties.push(`Layout randomization (seed ${randomized.seed}) makes the ${bug.type === this.bugTypes.BUFFER_OVERFLOW ? 'adjacent object' : 'reusing object'} vary between runs`);
+      exploitScore -= 10;
+    }
+    
     // Add common factors
     if (this.analyzer.stats.totalAllocations > 100) {
       assessment.factors.push('Complex heap state provides opportunities for grooming');
@@ -459,6 +754,93 @@ class BugSimulator {
     return assessment;
   }
   
+  /**
+   * Measure how much layout randomization degrades an overflow or use-after-free
+   * The trace is replayed once in the allocator's own order and once per seed
+   * with randomization on, and each run's outcome is compared with the
+   * deterministic one: the first live allocation an overflow corrupts, or the
+   * allocation that reuses a freed slot
+   * @param {number} bugId - Bug ID
+   * @param {Object} options - Measurement options
+   * @param {number} options.trials - Randomized replays
+   * @param {number} options.firstSeed - Seed of the first replay; later ones count up
+   * @param {boolean} options.freelist - Randomize the order freed slots are reused
+   * @param {boolean} options.slotOrder - Randomize the order new slots are handed out
+   * @returns {Object} { trials, baseline, sameTargetRate, anyTargetRate,
+   *   criticalRate, targetTypes }, or an object with an error; sameTargetRate
+   *   only counts runs that reach the deterministic target, so it is 0 when
+   *   the deterministic run reaches nothing
+   */
+  measureRandomization(bugId, { trials = 20, firstSeed = 1, freelist = true, slotOrder = true } = {}) {
+    const bug = this.activeBugs.get(bugId);
+    if (!bug) {
+      return { error: 'Bug not found' };
+    }
+    
+    if (bug.type !== this.bugTypes.BUFFER_OVERFLOW && bug.type !== this.bugTypes.USE_AFTER_FREE) {
+      return { error: 'Only overflows and use-after-frees depend on the layout' };
+    }
+    
+    if (!Number.isInteger(trials) || trials < 1) {
+      return { error: 'Trials must be a positive integer' };
+    }
+    
+    const outcome = (analyzer) => {
+      let target = null;
+      
+      if (bug.type === this.bugTypes.BUFFER_OVERFLOW) {
+        target = analyzer.findOverflowTargets(bug.sourceId, bug.overflowSize).targets
+          .find(candidate => candidate.status === 'allocated') || null;
+      } else {
+        const freed = analyzer.allocations.get(bug.sourceId);
+        target = freed.reusedBy ? analyzer.allocations.get(freed.reusedBy) : null;
+      }
+      
+      const source = analyzer.allocations.get(bug.sourceId);
+      return {
+        targetId: target ? target.id : null,
+        targetType: target ? target.type : null,
+        severity: !target ? null : bug.type === this.bugTypes.BUFFER_OVERFLOW
+          ? this.assessOverflowSeverity(source, target, bug.overflowSize)
+          : this.assessUafSeverity(source, target)
+      };
+    };
+    
+    const baseline = outcome(this.analyzer.cloneWithRandomization(null));
+    const targetTypes = {};
+    let sameTarget = 0;
+    let anyTarget = 0;
+    let critical = 0;
+    
+    for (let i = 0; i < trials; i++) {
+      const result = outcome(this.analyzer.cloneWithRandomization({ seed: firstSeed + i, freelist, slotOrder }));
+      
+      if (result.targetId !== null) {
+        anyTarget++;
+        targetTypes[result.targetType] = (targetTypes[result.targetType] || 0) + 1;
+      }
+      // Reaching nothing in both runs is not a hit
+      if (result.targetId !== null && result.targetId === baseline.targetId) {
+        sameTarget++;
+      }
+      if (result.severity === 'critical') {
+        critical++;
+      }
+    }
+    
+    return {
+      bugId,
+      backend: this.analyzer.backend.name,
+      randomizable: this.analyzer.backend.randomizable,
+      trials,
+      baseline,
+      sameTargetRate: sameTarget / trials,
+      anyTargetRate: anyTarget / trials,
+      criticalRate: critical / trials,
+      targetTypes
+    };
+  }
+  
   /**
    * Get all active bugs
    * @returns {Array} Array of active bugs
@@ -472,7 +854,9 @@ class BugSimulator {
    * @param {number} bugId - Bug ID
    */
   removeBug(bugId) {
-    this.activeBugs.delete(bugId);
+    if (this.activeBugs.delete(bugId)) {
+      this.emit('remove', { bugId });
+    }
   }
   
   /**
@@ -481,6 +865,8 @@ class BugSimulator {
   reset() {
     this.activeBugs.clear();
     this.nextBugId = 1;
+    
+    this.emit('reset');
   }
 }
 
@@ -0,0 +1,105 @@
+/**
+ * Bump allocator backend
+ * Hands out memory in address order and never reuses freed space
+ */
+
+import AllocatorBackend from './allocator-backend.js';
+import ChunkArena from './chunk-arena.js';
+
+class BumpAllocatorBackend extends AllocatorBackend {
+  /**
+   * Create a new bump allocator backend
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.name = 'bump';
+    this.label = 'Bump allocator';
+    this.regionLabel = 'arena';
+    this.reuseOrder = 'none';
+
+    this.config = {
+      baseAddress: 0x100000000,
+      alignment: 16,
+      ...options
+    };
+
+    this.arena = new ChunkArena(this.config.baseAddress);
+  }
+
+  /**
+   * Round a size up to the allocator alignment
+   * @param {number} size - Allocation size
+   * @returns {number} Aligned size
+   */
+  findBucketForSize(size) {
+    if (size <= 0) return 0;
+
+    return Math.ceil(size / this.config.alignment) * this.config.alignment;
+  }
+
+  /**
+   * Bump the allocation pointer
+   * @param {number} size - Allocation size
+   * @returns {Object|null} Placement
+   */
+  allocate(size) {
+    const bucketSize = this.findBucketForSize(size);
+    if (bucketSize === 0) {
+      return null;
+    }
+
+    const chunk = this.arena.append(bucketSize);
+
+    return {
+      address: chunk.address,
+      bucketSize,
+      region: this.arena.baseAddress,
+      reused: false
+    };
+  }
+
+  /**
+   * Freed memory is never reused by a bump allocator
+   * @param {number} address - Slot address
+   * @returns {boolean} Always false
+   */
+  free(address) {
+    return false;
+  }
+
+  /**
+   * Get the allocations physically next to an allocation
+   * @param {number} address - Slot address
+   * @returns {Object} Previous and next slot addresses
+   */
+  getNeighborSlots(address) {
+    return this.arena.getNeighbors(address);
+  }
+
+  /**
+   * Resolve what an address points at
+   * @param {number} address - Address to resolve
+   * @returns {Object} Region type, slot address and slot size
+   */
+  resolveAddress(address) {
+    const chunk = this.arena.find(address);
+    if (chunk) {
+      return { region: 'slot', slotAddress: chunk.address, slotSize: chunk.size };
+    }
+
+    return { region: 'unmapped', slotAddress: null, slotSize: 0 };
+  }
+
+  /**
+   * Reset all allocator state
+   */
+  reset() {
+    super.reset();
+    this.arena.reset();
+  }
+}
+
+// Export the BumpAllocatorBackend
+export default BumpAllocatorBackend;
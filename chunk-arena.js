@@ -0,0 +1,114 @@
+/**
+ * Contiguous chunk arena
+ * Tracks variable-sized chunks carved from a growing region, as used by
+ * the ptmalloc and bump allocator backends
+ */
+
+class ChunkArena {
+  /**
+   * Create a new chunk arena
+   * @param {number} baseAddress - Address of the first chunk
+   */
+  constructor(baseAddress) {
+    this.baseAddress = baseAddress;
+
+    // Chunks sorted by address
+    this.chunks = [];
+
+    // Chunk address -> chunk
+    this.chunksByAddress = new Map();
+
+    // Start of the unused space at the end of the arena
+    this.top = baseAddress;
+  }
+
+  /**
+   * Carve a new chunk from the top of the arena
+   * @param {number} size - Chunk size in bytes
+   * @returns {Object} The new chunk
+   */
+  append(size) {
+    const chunk = { address: this.top, size, index: this.chunks.length };
+
+    this.chunks.push(chunk);
+    this.chunksByAddress.set(chunk.address, chunk);
+    this.top += size;
+
+    return chunk;
+  }
+
+  /**
+   * Get the chunk starting at an address
+   * @param {number} address - Chunk address
+   * @returns {Object|null} Chunk or null
+   */
+  get(address) {
+    return this.chunksByAddress.get(address) || null;
+  }
+
+  /**
+   * Find the chunk containing an address
+   * @param {number} address - Address to look up
+   * @returns {Object|null} Chunk or null
+   */
+  find(address) {
+    let low = 0;
+    let high = this.chunks.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const chunk = this.chunks[mid];
+
+      if (address < chunk.address) {
+        high = mid - 1;
+      } else if (address >= chunk.address + chunk.size) {
+        low = mid + 1;
+      } else {
+        return chunk;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the chunks physically next to a chunk
+   * @param {number} address - Chunk address
+   * @returns {Object} Previous and next chunk addresses (null at the ends)
+   */
+  getNeighbors(address) {
+    const chunk = this.get(address);
+    if (!chunk) {
+      return { prev: null, next: null };
+    }
+
+    const prev = this.chunks[chunk.index - 1];
+    const next = this.chunks[chunk.index + 1];
+
+    return {
+      prev: prev ? prev.address : null,
+      next: next ? next.address : null
+    };
+  }
+
+  /**
+   * Whether an address lies in the arena
+   * @param {number} address - Address to check
+   * @returns {boolean} True if between the base and the top
+   */
+  contains(address) {
+    return address >= this.baseAddress && address < this.top;
+  }
+
+  /**
+   * Reset the arena
+   */
+  reset() {
+    this.chunks = [];
+    this.chunksByAddress.clear();
+    this.top = this.baseAddress;
+  }
+}
+
+// Export the ChunkArena
+export default ChunkArena;
@@ -8,6 +8,12 @@ import HeapVisualizer from './heap-visualizer.js';
 import BugSimulator from './bug-simulator.js';
 import GroomingStrategyGenerator from './grooming-strategies.js';
 import HeapSpray from './heap-spray-utility.js';
+import AllocatorBackends from './allocator-backends.js';
+import AllocatorProfiles from './allocator-profiles.js';
+import HeapSession from './heap-session.js';
+import HeapSnapshotImporter from './heap-snapshot-importer.js';
+import AllocationTraceImporter from './allocation-trace-importer.js';
+import HeapBenchmark from './heap-benchmark.js';
 
 /**
  * Console wrapper for easy access to heap toolkit functions
@@ -34,6 +40,11 @@ class ConsoleWrapper {
       // Allocation functions
       allocate: this.allocate.bind(this),
       free: this.free.bind(this),
+      release: this.release.bind(this),
+      reference: this.reference.bind(this),
+      unreference: this.unreference.bind(this),
+      root: this.root.bind(this),
+      unroot: this.unroot.bind(this),
       createArrayBuffer: this.createArrayBuffer.bind(this),
       createTypedArray: this.createTypedArray.bind(this),
       createArray: this.createArray.bind(this),
@@ -49,20 +60,52 @@ class ConsoleWrapper {
       simulateOverflow: this.simulateOverflow.bind(this),
       simulateUAF: this.simulateUAF.bind(this),
       simulateTypeConfusion: this.simulateTypeConfusion.bind(this),
+      measureRandomization: this.measureRandomization.bind(this),
       
       // Analysis functions
       analyze: this.analyze.bind(this),
       getBucketStats: this.getBucketStats.bind(this),
+      fragmentation: this.fragmentation.bind(this),
+      sites: this.sites.bind(this),
       findAllocationById: this.findAllocationById.bind(this),
       findAdjacentAllocations: this.findAdjacentAllocations.bind(this),
+      retention: this.retention.bind(this),
+      query: this.query.bind(this),
+      queryEvents: this.queryEvents.bind(this),
+      setAllocator: this.setAllocator.bind(this),
+      setPartitionRouting: this.setPartitionRouting.bind(this),
+      setRandomization: this.setRandomization.bind(this),
+      partitions: this.partitions.bind(this),
+      setMitigations: this.setMitigations.bind(this),
+      mitigations: this.mitigations.bind(this),
+      purgeThreadCache: this.purgeThreadCache.bind(this),
+      threadCaches: this.threadCaches.bind(this),
+      listAllocators: this.listAllocators.bind(this),
+      listProfiles: this.listProfiles.bind(this),
+      setProfile: this.setProfile.bind(this),
+      compareProfile: this.compareProfile.bind(this),
+      loadProfiles: this.loadProfiles.bind(this),
+      snapshot: this.snapshot.bind(this),
+      diffSnapshots: this.diffSnapshots.bind(this),
+      on: this.on.bind(this),
+      annotate: this.annotate.bind(this),
+      exportSession: this.exportSession.bind(this),
+      importSession: this.importSession.bind(this),
+      importHeapSnapshot: this.importHeapSnapshot.bind(this),
+      importMallocTrace: this.importMallocTrace.bind(this),
+      inferBuckets: this.inferBuckets.bind(this),
+      promoteBuckets: this.promoteBuckets.bind(this),
       
       // Strategy functions
       generateStrategy: this.generateStrategy.bind(this),
+      strategyReliability: this.strategyReliability.bind(this),
       generateExploitCode: this.generateExploitCode.bind(this),
       
       // Utility functions
       clearAll: this.clearAll.bind(this),
+      benchmark: this.benchmark.bind(this),
       gcForce: this.gcForce.bind(this),
+      collectGarbage: this.collectGarbage.bind(this),
       help: this.help.bind(this)
     };
     
@@ -77,19 +120,117 @@ class ConsoleWrapper {
    * @param {number} size - Size in bytes
    * @param {string} type - Object type
    * @param {Object} metadata - Additional metadata
+   * @param {string} thread - Allocating thread
    * @returns {number} Allocation ID
    */
-  allocate(size, type = 'Custom', metadata = {}) {
-    return this.analyzer.recordAllocation(size, type, metadata);
+  allocate(size, type = 'Custom', metadata = {}, thread = 'main') {
+    return this.analyzer.recordAllocation(size, type, metadata, thread);
   }
   
   /**
    * Record a deallocation
    * @param {number} id - Allocation ID
+   * @param {string} thread - Freeing thread; defaults to the allocating thread
    */
-  free(id) {
-    this.analyzer.recordDeallocation(id);
-    console.log(`Freed allocation #${id}`);
+  free(id, thread = null) {
+    if (this.analyzer.recordDeallocation(id, thread)) {
+      console.log(`Freed allocation #${id}`);
+    } else {
+      console.warn(`Free of #${id} recorded as a bug (double or invalid free)`);
+    }
+  }
+  
+  /**
+   * Record a reallocation
+   * @param {number} id - Allocation ID
+   * @param {number} newSize - New size in bytes; 0 frees the allocation
+   * @param {string} thread - Reallocating thread; defaults to the allocating thread
+   * @returns {Object|null} The reallocation event
+   */
+  realloc(id, newSize, thread = null) {
+    const event = this.analyzer.recordReallocation(id, newSize, thread);
+    
+    if (event) {
+      console.log(event.inPlace
+        ? `Resized #${id} in place to ${newSize} bytes`
+        : `Moved #${id} from bucket ${event.from.bucketSize} to ${event.to.bucketSize} (${newSize} bytes)`);
+    } else if (newSize > 0) {
+      console.warn(`Realloc of #${id} recorded as a bug (double or invalid free)`);
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Record that one allocation references another
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @param {string} name - Edge name, such as a property
+   * @returns {boolean} Whether the reference was recorded
+   */
+  reference(fromId, toId, name = null) {
+    return this.analyzer.recordReference(fromId, toId, name);
+  }
+  
+  /**
+   * Drop a reference between two allocations
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @returns {boolean} Whether the reference existed
+   */
+  unreference(fromId, toId) {
+    return this.analyzer.removeReference(fromId, toId);
+  }
+  
+  /**
+   * Keep an allocation alive through a root set
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name
+   * @returns {boolean} Whether the root was added
+   */
+  root(id, rootSet = 'global') {
+    return this.analyzer.addRoot(id, rootSet);
+  }
+  
+  /**
+   * Remove an allocation from a root set
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name
+   * @returns {boolean} Whether the allocation was in the set
+   */
+  unroot(id, rootSet = 'global') {
+    return this.analyzer.removeRoot(id, rootSet);
+  }
+  
+  /**
+   * Drop the wrapper's hold on an object made by a create* helper
+   * It stays allocated until a collection finds it unreachable
+   * @param {number} id - Allocation ID
+   * @returns {boolean} Whether the wrapper held the object
+   */
+  release(id) {
+    let found = false;
+    
+    for (const list of Object.values(this.objects)) {
+      const index = list.findIndex(entry => entry.id === id);
+      if (index !== -1) {
+        list.splice(index, 1);
+        found = true;
+      }
+    }
+    
+    this.analyzer.removeRoot(id, 'console');
+    return found;
+  }
+  
+  /**
+   * Track an object made by a create* helper
+   * The wrapper holds the object, so its allocation is rooted until released
+   * @private
+   */
+  track(list, id, value) {
+    list.push({ id, ...value });
+    this.analyzer.addRoot(id, 'console');
   }
   
   /**
@@ -99,9 +240,9 @@ class ConsoleWrapper {
    */
   createArrayBuffer(size) {
     const buffer = new ArrayBuffer(size);
-    const id = this.analyzer.recordAllocation(size, 'ArrayBuffer');
+    const id = this.analyzer.recordAllocation(size, 'ArrayBuffer', { site: this.captureSite() });
     
-    this.objects.arrayBuffers.push({ id, buffer });
+    this.track(this.objects.arrayBuffers, id, { buffer });
     console.log(`Created ArrayBuffer #${id} of ${size} bytes`);
     
     return buffer;
@@ -121,9 +262,9 @@ class ConsoleWrapper {
     
     const array = new TypedArrayConstructor(length);
     const size = array.byteLength;
-    const id = this.analyzer.recordAllocation(size, type);
+    const id = this.analyzer.recordAllocation(size, type, { site: this.captureSite() });
     
-    this.objects.typedArrays.push({ id, array });
+    this.track(this.objects.typedArrays, id, { array });
     console.log(`Created ${type} #${id} of ${length} elements (${size} bytes)`);
     
     return array;
@@ -139,9 +280,9 @@ class ConsoleWrapper {
     const array = new Array(length).fill(fillValue);
     // Approximate size calculation
     const size = length * 8;
-    const id = this.analyzer.recordAllocation(size, 'Array');
+    const id = this.analyzer.recordAllocation(size, 'Array', { site: this.captureSite() });
     
-    this.objects.arrays.push({ id, array });
+    this.track(this.objects.arrays, id, { array });
     console.log(`Created Array #${id} of ${length} elements (approx. ${size} bytes)`);
     
     return array;
@@ -157,9 +298,9 @@ class ConsoleWrapper {
     const string = char.repeat(length);
     // 2 bytes per character in JavaScript
     const size = length * 2;
-    const id = this.analyzer.recordAllocation(size, 'String');
+    const id = this.analyzer.recordAllocation(size, 'String', { site: this.captureSite() });
     
-    this.objects.strings.push({ id, string });
+    this.track(this.objects.strings, id, { string });
     console.log(`Created String #${id} of ${length} characters (${size} bytes)`);
     
     return string;
@@ -173,14 +314,33 @@ class ConsoleWrapper {
    * @returns {Object} The tracked object
    */
   createCustomObject(obj, estimatedSize = 64, type = 'CustomObject') {
-    const id = this.analyzer.recordAllocation(estimatedSize, type);
+    const id = this.analyzer.recordAllocation(estimatedSize, type, { site: this.captureSite() });
     
-    this.objects.custom.push({ id, obj });
+    this.track(this.objects.custom, id, { obj });
     console.log(`Created ${type} #${id} (estimated ${estimatedSize} bytes)`);
     
     return obj;
   }
   
+  /**
+   * Capture the code path that called a create* helper
+   * @private
+   * @param {number} depth - Number of caller frames to keep
+   * @returns {string} Caller frames, innermost first, or "console" when the
+   *   helper was called directly
+   */
+  captureSite(depth = 3) {
+    const stack = new Error().stack || '';
+    
+    // Drop the message line and this wrapper's own frames; V8 prefixes frames
+    // with "at ", Firefox and Safari write "name@url"
+    const frames = stack.split('\n')
+      .map(line => line.trim().replace(/^at /, ''))
+      .filter(line => line && line !== 'Error' && !line.includes('console-wrapper.js'));
+    
+    return frames.length > 0 ? frames.slice(0, depth).join(' < ') : 'console';
+  }
+  
   /**
    * Spray memory using the heapSpray utility
    * @param {string} method - Spray method to use
@@ -294,6 +454,35 @@ class ConsoleWrapper {
     return this.bugSimulator.simulateUseAfterFree(freedId);
   }
   
+  /**
+   * Print how often an overflow or use-after-free still hits its target
+   * when the layout is randomized
+   * @param {number} bugId - Bug ID
+   * @param {number} trials - Randomized replays
+   * @returns {Object} Measurement, or an object with an error
+   */
+  measureRandomization(bugId, trials = 20) {
+    const result = this.bugSimulator.measureRandomization(bugId, { trials });
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const baseline = result.baseline.targetId !== null
+      ? `#${result.baseline.targetId} (${result.baseline.targetType})`
+      : 'nothing';
+    
+    console.log(`=== Layout randomization: bug #${bugId} over ${result.trials} seeds ===`);
+    console.log(`Deterministic layout hits ${baseline}`);
+    console.log(`Same target: ${percent(result.sameTargetRate)}, any target: ${percent(result.anyTargetRate)}, ` +
+      `critical target: ${percent(result.criticalRate)}`);
+    Object.entries(result.targetTypes).forEach(([type, count]) => {
+      console.log(`  ${type}: ${count}`);
+    });
+    return result;
+  }
+  
   /**
    * Simulate a type confusion bug
    * @param {number} sourceId - Source allocation ID
@@ -313,6 +502,33 @@ class ConsoleWrapper {
     return this.strategyGenerator.generateStrategyForBug(bugId);
   }
   
+  /**
+   * Run a bug's grooming strategy many times and log how often it works
+   * @param {number} bugId - Bug ID
+   * @param {number} trials - Seeded runs
+   * @param {number} noise - Background heap events before each phase
+   * @returns {Object} Estimate, or an object with an error
+   */
+  strategyReliability(bugId, trials = 50, noise = 4) {
+    const result = this.strategyGenerator.estimateReliability(bugId, { trials, noise });
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    
+    console.log(`=== Strategy reliability: bug #${bugId} (${result.approach}) ===`);
+    console.log(`${result.successes}/${result.trials} runs succeeded on ${result.backend}` +
+      `${result.randomized ? ' with randomized layouts' : ''}, ${result.noise} noise events per phase`);
+    console.log(`P(${result.goal}) = ${percent(result.probability)}, ` +
+      `${result.confidence * 100}% CI ${percent(result.interval.low)} - ${percent(result.interval.high)}`);
+    Object.entries(result.outcomes).forEach(([outcome, count]) => {
+      console.log(`  ${outcome}: ${count}`);
+    });
+    return result;
+  }
+  
   /**
    * Generate exploit code for a bug
    * @param {number} bugId - Bug ID
@@ -333,6 +549,7 @@ class ConsoleWrapper {
       totalAllocations: this.analyzer.stats.totalAllocations,
       activeAllocations: this.analyzer.stats.currentLiveAllocations,
       freedAllocations: this.analyzer.stats.totalDeallocations,
+      reallocations: this.analyzer.stats.totalReallocations,
       buckets: this.analyzer.generateBucketStats(),
       types: this.analyzer.generateTypeStats(),
       activeBugs: this.bugSimulator.getActiveBugs().length
@@ -342,6 +559,7 @@ class ConsoleWrapper {
     console.log(`Total allocations: ${result.totalAllocations}`);
     console.log(`Active allocations: ${result.activeAllocations}`);
     console.log(`Freed allocations: ${result.freedAllocations}`);
+    console.log(`Reallocations: ${result.reallocations}`);
     console.log(`Active bugs: ${result.activeBugs}`);
     console.log('Active buckets:');
     
@@ -365,6 +583,60 @@ class ConsoleWrapper {
     return this.analyzer.generateBucketStats();
   }
   
+  /**
+   * Print rounding waste and fragmentation per bucket
+   * @param {number} historySamples - Also sample this many points over the timeline
+   * @returns {Object} Fragmentation statistics, with history if requested
+   */
+  fragmentation(historySamples = 0) {
+    const stats = this.analyzer.generateFragmentationStats();
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+    
+    console.log('=== Fragmentation ===');
+    Object.entries(stats.buckets).forEach(([size, bucket]) => {
+      console.log(`  ${size} bytes: waste ${bucket.internalWaste} B (${percent(bucket.wasteRatio)}), ` +
+        `free ${bucket.freeSlots} (${bucket.interleavedFreeSlots} interleaved), ` +
+        `largest free run ${bucket.largestFreeRun}, fragmentation ${percent(bucket.externalFragmentation)}, ` +
+        `occupancy ${percent(bucket.averageOccupancy)}`);
+    });
+    console.log(`Total waste: ${stats.totals.internalWaste} B (${percent(stats.totals.wasteRatio)}), ` +
+      `fragmentation ${percent(stats.totals.externalFragmentation)}`);
+    
+    if (historySamples > 0) {
+      stats.history = this.analyzer.getFragmentationHistory(historySamples);
+      console.log('History:');
+      stats.history.forEach(point => {
+        console.log(`  #${point.seq}: waste ${point.totals.internalWaste} B, ` +
+          `fragmentation ${percent(point.totals.externalFragmentation)}`);
+      });
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Print which allocation sites fill the heap, or one bucket
+   * @param {number|null} bucketSize - Only count allocations in this bucket
+   * @returns {Array} Site statistics, the busiest site first
+   */
+  sites(bucketSize = null) {
+    const stats = this.analyzer.generateSiteStats(bucketSize);
+    
+    console.log(bucketSize === null ? '=== Allocation Sites ===' : `=== Allocation Sites in ${bucketSize}-byte bucket ===`);
+    stats.forEach(site => {
+      const buckets = Object.entries(site.buckets)
+        .map(([size, count]) => `${size}B x${count}`)
+        .join(', ');
+      const lifetime = site.averageLifetime === null ? 'n/a' : `${site.averageLifetime.toFixed(1)} events`;
+      
+      console.log(`  ${site.site}`);
+      console.log(`    ${site.count} allocations (${site.active} live), ${site.totalBytes} B (${site.activeBytes} B live), ` +
+        `avg lifetime ${lifetime}, buckets: ${buckets}`);
+    });
+    
+    return stats;
+  }
+  
   /**
    * Find an allocation by ID
    * @param {number} id - Allocation ID
@@ -374,6 +646,38 @@ class ConsoleWrapper {
     return this.analyzer.allocations.get(id);
   }
   
+  /**
+   * Print what keeps an allocation alive and what it keeps alive
+   * @param {number} id - Allocation ID
+   * @returns {Object|null} Retention analysis
+   */
+  retention(id) {
+    const retention = this.analyzer.analyzeRetention(id);
+    if (!retention) {
+      console.error(`Unknown allocation ID: ${id}`);
+      return null;
+    }
+    
+    console.log(`=== Retention of #${id} ===`);
+    if (!retention.reachable) {
+      console.log(retention.managed ? 'Unreachable from the roots' : 'Not in the reference graph (manually managed)');
+      return retention;
+    }
+    
+    console.log(`Retained size: ${retention.retainedSize} bytes (self ${retention.selfSize} bytes)`);
+    console.log(`Dominators: ${['roots', ...retention.dominatorChain.map(dominator => `#${dominator}`)].join(' > ')}`);
+    console.log(`Dominates: ${retention.dominated.map(dominated => `#${dominated.id} (${dominated.retainedSize} B)`).join(', ') || 'nothing'}`);
+    console.log('Retainer paths:');
+    retention.retainerPaths.forEach(path => {
+      const steps = path.steps
+        .map((step, index) => index === 0 ? `#${step.id}` : `${step.name === null ? '' : `.${step.name} `}> #${step.id}`)
+        .join(' ');
+      console.log(`  [${path.rootSets.join(', ')}] ${steps}`);
+    });
+    
+    return retention;
+  }
+  
   /**
    * Find adjacent allocations
    * @param {number} id - Allocation ID
@@ -383,6 +687,485 @@ class ConsoleWrapper {
     return this.analyzer.findAdjacentAllocations(id);
   }
   
+  /**
+   * Find allocations matching a query
+   * @param {string} query - e.g. 'type ~ "Array" and size between 64 and 128 and status = freed'
+   * @returns {Array} Matching allocations
+   */
+  query(query) {
+    const result = this.analyzer.queryAllocations(query);
+    if (result.error) {
+      console.error(`Query error: ${result.error}`);
+      return [];
+    }
+    
+    console.log(`${result.results.length} matching allocations`);
+    return result.results;
+  }
+  
+  /**
+   * Find timeline events matching a query
+   * @param {string} query - e.g. 'type = deallocation and bucketSize = 64'
+   * @returns {Array} Matching events
+   */
+  queryEvents(query) {
+    const result = this.analyzer.queryEvents(query);
+    if (result.error) {
+      console.error(`Query error: ${result.error}`);
+      return [];
+    }
+    
+    console.log(`${result.results.length} matching events`);
+    return result.results;
+  }
+  
+  /**
+   * Switch the allocator backend and lay out the recorded trace again
+   * @param {string} name - Backend name (see listAllocators)
+   * @returns {Object} Description of the active backend
+   */
+  setAllocator(name) {
+    this.analyzer.setBackend(name);
+    console.log(`Switched allocator to ${this.analyzer.backend.label}`);
+    return this.analyzer.backend.describe();
+  }
+  
+  /**
+   * Turn seeded layout randomization on or off and lay out the trace again
+   * @param {Object|null} config - { seed, freelist, slotOrder }, or null to turn it off
+   * @returns {Object} { success, seed } or { error }
+   */
+  setRandomization(config = {}) {
+    const result = this.analyzer.setRandomization(config);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    const backend = this.analyzer.backend;
+    if (result.seed === null) {
+      console.log(`Layout randomization off; ${backend.label} uses its own order`);
+    } else if (backend.randomizable.length === 0) {
+      console.log(`Seed ${result.seed} recorded, but ${backend.label} has no order to randomize`);
+    } else {
+      console.log(`Randomizing ${backend.randomizable.join(' and ')} under ${backend.label} with seed ${result.seed}`);
+    }
+    return result;
+  }
+  
+  /**
+   * Change which partitions allocation types are routed to
+   * @param {Object} routing - { rules: [{ partition, match }], defaultPartition }
+   * @returns {Object} { success } or { error }
+   */
+  setPartitionRouting(routing) {
+    const result = this.analyzer.setPartitionRouting(routing);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`Routing types to ${this.analyzer.partitionRouter.getPartitionNames().join(', ')}`);
+    return result;
+  }
+  
+  /**
+   * Print the partitions, their routing rules and the buckets in use
+   * @returns {Object} Partition statistics
+   */
+  partitions() {
+    const routing = this.analyzer.partitionRouter.toJSON();
+    const stats = this.analyzer.generatePartitionStats();
+    
+    console.log('=== Partitions ===');
+    if (!this.analyzer.backend.isolatesPartitions) {
+      console.log(`(${this.analyzer.backend.label} does not isolate partitions)`);
+    }
+    routing.rules.forEach(rule => {
+      console.log(`  /${rule.match}/ -> ${rule.partition}`);
+    });
+    console.log(`  anything else -> ${routing.defaultPartition}`);
+    
+    Object.entries(stats).forEach(([name, partition]) => {
+      console.log(`${name}: ${partition.activeAllocations}/${partition.totalAllocations} live, ` +
+        `buckets ${partition.buckets.join(', ')}`);
+    });
+    
+    return stats;
+  }
+  
+  /**
+   * Turn UAF mitigations on or off and replay the trace
+   * @param {Object} config - Settings by mitigation, e.g. { quarantine: { enabled: true, capacityBytes: 4096 } }
+   * @returns {Object} { success } or { error }
+   */
+  setMitigations(config) {
+    const result = this.analyzer.setMitigations(config);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    this.mitigations();
+    return result;
+  }
+  
+  /**
+   * Print the UAF mitigation settings and the slots they hold
+   * @returns {Object} Mitigation summary
+   */
+  mitigations() {
+    const summary = this.analyzer.mitigations.describe();
+    const { quarantine, delayedReuse, backupRefPtr } = summary.config;
+    
+    console.log('=== UAF Mitigations ===');
+    console.log(`  Quarantine: ${quarantine.enabled ? `on, ${quarantine.capacityBytes} bytes` : 'off'}`);
+    console.log(`  Delayed reuse: ${delayedReuse.enabled ? `on, ${delayedReuse.events} events` : 'off'}`);
+    console.log(`  BackupRefPtr: ${backupRefPtr.enabled ? 'on' : 'off'}`);
+    console.log(`Holding ${summary.heldSlots} slots (${summary.heldBytes} bytes): ` +
+      `${summary.byMitigation.quarantine} quarantined, ${summary.byMitigation.delayedReuse} delayed, ` +
+      `${summary.byMitigation.backupRefPtr} poisoned`);
+    
+    return summary;
+  }
+  
+  /**
+   * Return slots cached by threads to the shared freelists
+   * @param {string|null} thread - Thread to purge, or null for every thread
+   * @returns {number} Number of slots released
+   */
+  purgeThreadCache(thread = null) {
+    const released = this.analyzer.purgeThreadCache(thread);
+    console.log(`Purged ${thread ?? 'all'} thread cache${thread ? '' : 's'}: ${released} slots released`);
+    return released;
+  }
+  
+  /**
+   * Print each thread's cache
+   * @returns {Object|null} Thread cache state, or null if the allocator has none
+   */
+  threadCaches() {
+    const caches = this.analyzer.backend.getThreadCacheStats();
+    if (!caches) {
+      console.log(`${this.analyzer.backend.label} has no thread caches`);
+      return null;
+    }
+    
+    console.log('=== Thread Caches ===');
+    Object.entries(caches).forEach(([thread, cache]) => {
+      console.log(`${thread}: ${cache.cachedSlots} slots cached, ${cache.hits} hits, ${cache.misses} misses, ` +
+        `${cache.trims} trims, ${cache.purges} purges`);
+      Object.entries(cache.buckets).forEach(([bucket, count]) => {
+        console.log(`  ${bucket}: ${count}`);
+      });
+    });
+    
+    return caches;
+  }
+  
+  /**
+   * List the available allocator backends
+   * @returns {Array} Backend descriptions
+   */
+  listAllocators() {
+    const backends = AllocatorBackends.list();
+    
+    console.log('Available allocators:');
+    backends.forEach(backend => {
+      const active = backend.name === this.analyzer.backend.name ? ' (active)' : '';
+      console.log(`  ${backend.name}: ${backend.label}, reuse order ${backend.reuseOrder}${active}`);
+    });
+    
+    return backends;
+  }
+  
+  /**
+   * List the allocator profiles
+   * @returns {Array} Profile descriptions
+   */
+  listProfiles() {
+    const profiles = AllocatorProfiles.list();
+    
+    console.log('Available allocator profiles:');
+    profiles.forEach(profile => {
+      const active = profile.name === this.analyzer.profile ? ' (active)' : '';
+      console.log(`  ${profile.name}: ${profile.label} [${profile.backend}]${active}`);
+      if (profile.description) {
+        console.log(`    ${profile.description}`);
+      }
+    });
+    
+    return profiles;
+  }
+  
+  /**
+   * Switch to an allocator profile and lay the trace out again
+   * @param {string} name - Profile name (see listProfiles)
+   * @returns {Object} { success, profile } or { error }
+   */
+  setProfile(name) {
+    const result = this.analyzer.setProfile(name);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`Switched to profile ${AllocatorProfiles.get(name).label}`);
+    return result;
+  }
+  
+  /**
+   * Replay the trace under another profile and print how the layout shifts
+   * @param {string} name - Profile name (see listProfiles)
+   * @returns {Object} Comparison, or an object with an error
+   */
+  compareProfile(name) {
+    const result = this.analyzer.compareProfile(name);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`=== ${result.from || 'Current settings'} -> ${result.to}: ${result.allocations} allocations ===`);
+    console.log(`Changed bucket: ${result.bucketChanges.length}, partition: ${result.partitionChanges.length}, ` +
+      `next neighbor: ${result.neighborChanges.length}, reused by: ${result.reuseChanges.length}`);
+    Object.entries(result.bucketMoves)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([move, count]) => {
+        console.log(`  ${move}: ${count}`);
+      });
+    return result;
+  }
+  
+  /**
+   * Register allocator profiles from JSON
+   * @param {string|Object|Array} json - Profile JSON, a profile, or an array of profiles
+   * @returns {Object} { success, loaded } or { error }
+   */
+  loadProfiles(json) {
+    const result = AllocatorProfiles.load(json);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`Loaded profiles: ${result.loaded.join(', ')}`);
+    return result;
+  }
+  
+  /**
+   * Take a heap snapshot
+   * @param {string} label - Snapshot label
+   * @returns {Object} Snapshot
+   */
+  snapshot(label) {
+    const snapshot = this.analyzer.takeSnapshot(label);
+    console.log(`Took snapshot "${snapshot.label}" at event #${snapshot.seq}`);
+    return snapshot;
+  }
+  
+  /**
+   * Compare two snapshots and print what changed
+   * @param {Object|string} a - Earlier snapshot or its label
+   * @param {Object|string} b - Later snapshot or its label
+   * @returns {Object} Snapshot diff
+   */
+  diffSnapshots(a, b) {
+    const diff = this.analyzer.diffSnapshots(a, b);
+    if (diff.error) {
+      console.error(diff.error);
+      return diff;
+    }
+    
+    console.log(`=== ${diff.from.label} -> ${diff.to.label} ===`);
+    console.log(`Added: ${diff.added.length}, freed: ${diff.freed.length}, reused slots: ${diff.reused.length}`);
+    console.log(`Live allocations: ${diff.liveDelta >= 0 ? '+' : ''}${diff.liveDelta}`);
+    
+    console.log('Bucket changes:');
+    Object.entries(diff.bucketDeltas).forEach(([size, delta]) => {
+      console.log(`  ${size} bytes: active ${delta.activeAllocations}, freed ${delta.freedAllocations}`);
+    });
+    
+    console.log('Type changes:');
+    Object.entries(diff.typeDeltas).forEach(([type, delta]) => {
+      console.log(`  ${type}: active ${delta.active}, freed ${delta.freed}`);
+    });
+    
+    console.log('Fragmentation changes:');
+    Object.entries(diff.fragmentationDeltas).forEach(([size, delta]) => {
+      console.log(`  ${size} bytes: waste ${delta.internalWaste} B, free slots ${delta.freeSlots}, ` +
+        `largest free run ${delta.largestFreeRun}`);
+    });
+    
+    return diff;
+  }
+  
+  /**
+   * Subscribe to heap events
+   * @param {string} type - Event type ("allocation", "free", "bug", "reset" or "change")
+   * @param {Function} listener - Called with the event detail
+   * @param {string} source - "analyzer" for heap events or "simulator" for simulated bugs
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener, source = 'analyzer') {
+    const target = source === 'simulator' ? this.bugSimulator : this.analyzer;
+    return target.on(type, listener);
+  }
+  
+  /**
+   * Attach a note to an allocation
+   * @param {number} id - Allocation ID
+   * @param {string} text - Note text; empty text removes the note
+   */
+  annotate(id, text) {
+    this.analyzer.annotate(id, text);
+  }
+  
+  /**
+   * Export the session (allocations, timeline, bugs, strategies, notes) as JSON
+   * @returns {string} Session JSON
+   */
+  exportSession() {
+    const json = HeapSession.serialize({
+      analyzer: this.analyzer,
+      bugSimulator: this.bugSimulator,
+      strategyGenerator: this.strategyGenerator
+    });
+    
+    console.log(`Exported session (${json.length} bytes)`);
+    return json;
+  }
+  
+  /**
+   * Replace the current session with an exported one
+   * @param {string|Object} session - Session JSON or parsed session data
+   * @returns {Object} Import summary, or an object with an error
+   */
+  importSession(session) {
+    const result = HeapSession.import(session, {
+      analyzer: this.analyzer,
+      bugSimulator: this.bugSimulator,
+      strategyGenerator: this.strategyGenerator
+    });
+    
+    if (result.error) {
+      console.error(`Error importing session: ${result.error}`);
+      return result;
+    }
+    
+    // Tracked JavaScript objects belonged to the previous session
+    Object.keys(this.objects).forEach(key => {
+      this.objects[key] = [];
+    });
+    
+    console.log(`Imported session with ${result.allocations} allocations and ${result.bugs} bugs`);
+    return result;
+  }
+  
+  /**
+   * Import a Chrome DevTools heap snapshot or heap timeline
+   * @param {string|Object} snapshot - .heapsnapshot/.heaptimeline contents or parsed JSON
+   * @param {Object} options - Importer options (append, minSize, limit, includeWeakEdges)
+   * @returns {Object} Import summary, or an object with an error
+   */
+  importHeapSnapshot(snapshot, options = {}) {
+    const importer = new HeapSnapshotImporter(this.analyzer, options);
+    const result = importer.import(snapshot);
+    
+    if (result.error) {
+      console.error(`Error importing heap snapshot: ${result.error}`);
+      return result;
+    }
+    
+    console.log(`Imported ${result.imported} of ${result.nodes} nodes from ${result.source}`);
+    return result;
+  }
+  
+  /**
+   * Replay a malloc/calloc/realloc/free trace (text or CSV)
+   * @param {string} text - Trace contents
+   * @param {Object} options - Importer options (append, type)
+   * @returns {Object} Import summary, or an object with an error
+   */
+  importMallocTrace(text, options = {}) {
+    const importer = new AllocationTraceImporter(this.analyzer, options);
+    const result = importer.import(text);
+    
+    if (result.error) {
+      console.error(`Error importing malloc trace: ${result.error}`);
+      return result;
+    }
+    
+    console.log(`Replayed ${result.records} calls (${result.allocations} allocations, ${result.frees} frees, ` +
+      `${result.doubleFrees} double frees, ${result.invalidFrees} invalid frees)`);
+    return result;
+  }
+  
+  /**
+   * Infer bucket sizes from observed addresses and compare them with the allocator's
+   * @param {Array|null} observations - { size, address } or { size, stride } records;
+   *   defaults to the addresses in the imported malloc trace
+   * @returns {Object} Inference report, or an object with an error
+   */
+  inferBuckets(observations = null) {
+    const result = this.analyzer.inferBucketSizes(observations);
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`=== Inferred buckets: ${result.bucketSizes.length} from ${result.strides} strides ===`);
+    result.buckets.forEach(bucket => {
+      const current = bucket.currentBuckets.length === 1 && bucket.currentBuckets[0] === bucket.bucketSize
+        ? 'matches'
+        : `${this.analyzer.backend.label} uses ${bucket.currentBuckets.join(' and ')}`;
+      console.log(`  ${bucket.bucketSize} bytes: requests ${bucket.minRequest}-${bucket.maxRequest}, ` +
+        `${bucket.support} exact strides (${current})`);
+    });
+    if (result.unresolved.length > 0) {
+      console.log(`${result.unresolved.length} request sizes had no exact stride and were left out`);
+    }
+    console.log(result.matchesBackend
+      ? 'The allocator already buckets these sizes the same way'
+      : 'Run heapTools.promoteBuckets() to use the inferred table');
+    return result;
+  }
+  
+  /**
+   * Replace the allocator's bucket table with the inferred one and lay out the trace again
+   * @returns {Object} { success, bucketSizes } or { error }
+   */
+  promoteBuckets() {
+    const result = this.analyzer.promoteDetectedBucketSizes();
+    if (result.error) {
+      console.error(result.error);
+      return result;
+    }
+    
+    console.log(`${this.analyzer.backend.label} now uses buckets ${result.bucketSizes.join(', ')}`);
+    return result;
+  }
+  
+  /**
+   * Time the analyzer's indexed statistics against full scans on a synthetic trace
+   * Runs on its own analyzer, so the current heap is left alone
+   * @param {number} events - Heap events to record
+   * @param {Object} options - Other HeapBenchmark options
+   * @returns {Object} Benchmark results
+   */
+  benchmark(events = 100000, options = {}) {
+    const result = new HeapBenchmark({ ...options, events }).run();
+    
+    console.log(`=== Benchmark: ${result.events} events, ${result.liveAllocations} live ===`);
+    console.log(`Recorded in ${result.recordMs.toFixed(0)}ms`);
+    result.queries.forEach(query => {
+      console.log(`  ${query.name}: ${query.indexedMs.toFixed(3)}ms indexed, ${query.scanMs.toFixed(3)}ms scanned ` +
+        `(${query.speedup.toFixed(1)}x)${query.matches ? '' : ' RESULTS DIFFER'}`);
+    });
+    
+    return result;
+  }
+  
   /**
    * Clear all tracked objects and allocations
    */
@@ -400,8 +1183,23 @@ class ConsoleWrapper {
     console.log('Cleared all allocations and tracked objects');
   }
   
+  /**
+   * Run the simulated collector over the heap model
+   * @returns {Object} The "gc" event: { collected, marked, bytes }
+   */
+  collectGarbage() {
+    const event = this.analyzer.collectGarbage();
+    
+    console.log(`Collected ${event.collected.length} unreachable allocations (${event.bytes} bytes), ` +
+      `${event.marked} reachable`);
+    return event;
+  }
+  
   /**
    * Force garbage collection
+   * Runs the engine's collector when possible, then the simulated one so the
+   * heap model sees the same frees
+   * @returns {Object} The simulated "gc" event
    */
   gcForce() {
     console.log('Attempting to force garbage collection...');
@@ -419,6 +1217,8 @@ class ConsoleWrapper {
     }
     
     console.log('Garbage collection attempted');
+    
+    return this.collectGarbage();
   }
   
   /**
@@ -427,8 +1227,9 @@ class ConsoleWrapper {
   help() {
     console.log('=== Heap Grooming Toolkit Console API ===');
     console.log('Allocation functions:');
-    console.log('  heapTools.allocate(size, type, metadata) - Record a manual allocation');
-    console.log('  heapTools.free(id) - Record a deallocation');
+    console.log('  heapTools.allocate(size, type, metadata, thread) - Record a manual allocation (metadata.site labels its call site)');
+    console.log('  heapTools.free(id, thread) - Record a deallocation');
+    console.log('  heapTools.realloc(id, newSize, thread) - Resize in place or move to a new bucket');
     console.log('  heapTools.createArrayBuffer(size) - Create and track an ArrayBuffer');
     console.log('  heapTools.createTypedArray(type, length) - Create and track a typed array');
     console.log('  heapTools.createArray(length, fillValue) - Create and track an array');
@@ -443,21 +1244,56 @@ class ConsoleWrapper {
     console.log('\nBug simulation:');
     console.log('  heapTools.simulateOverflow(sourceId, overflowSize) - Simulate a buffer overflow');
     console.log('  heapTools.simulateUAF(freedId) - Simulate a use-after-free bug');
+    console.log('  heapTools.measureRandomization(bugId, trials) - Replay an overflow or UAF under randomized layouts and report hit rates');
     console.log('  heapTools.simulateTypeConfusion(sourceId, wrongType) - Simulate type confusion');
     
     console.log('\nAnalysis functions:');
     console.log('  heapTools.analyze() - Analyze the current heap state');
     console.log('  heapTools.getBucketStats() - Get statistics for all buckets');
+    console.log('  heapTools.fragmentation(historySamples) - Show rounding waste and fragmentation per bucket');
+    console.log('  heapTools.sites(bucketSize) - Show allocation counts, bytes and lifetimes per call site');
     console.log('  heapTools.findAllocationById(id) - Find an allocation by ID');
     console.log('  heapTools.findAdjacentAllocations(id) - Find adjacent allocations');
+    console.log('  heapTools.query(query) - Find allocations, e.g. \'type ~ "Array" and size > 64\'');
+    console.log('  heapTools.queryEvents(query) - Find timeline events matching a query');
+    console.log('  heapTools.setAllocator(name) - Switch allocator backend and replay the trace');
+    console.log('  heapTools.listAllocators() - List available allocator backends');
+    console.log('  heapTools.listProfiles() - List allocator profiles (bucket tables, slot spans, thread caches, routing)');
+    console.log('  heapTools.setProfile(name) - Switch to an allocator profile and replay the trace');
+    console.log('  heapTools.compareProfile(name) - Show how the trace\'s layout shifts under another profile');
+    console.log('  heapTools.loadProfiles(json) - Register allocator profiles from JSON');
+    console.log('  heapTools.setRandomization({ seed, freelist, slotOrder }) - Randomize slot reuse and placement with a seed; null turns it off');
+    console.log('  heapTools.setPartitionRouting({ rules, defaultPartition }) - Route types to partitions, e.g. rules: [{ partition: "Layout", match: "^Layout" }]');
+    console.log('  heapTools.partitions() - Show partitions, their routing rules and buckets');
+    console.log('  heapTools.setMitigations(config) - Toggle quarantine, delayed reuse and BackupRefPtr, e.g. { backupRefPtr: { enabled: true } }');
+    console.log('  heapTools.mitigations() - Show UAF mitigation settings and the slots they hold');
+    console.log('  heapTools.purgeThreadCache(thread) - Return cached slots of one or all threads to the freelists');
+    console.log('  heapTools.threadCaches() - Show what each thread has cached');
+    console.log('  heapTools.snapshot(label) - Take a heap snapshot');
+    console.log('  heapTools.diffSnapshots(a, b) - Compare two snapshots (objects or labels)');
+    console.log('  heapTools.on(type, listener, source) - Subscribe to analyzer or simulator events');
+    console.log('  heapTools.annotate(id, text) - Attach a note to an allocation');
+    console.log('  heapTools.exportSession() - Export the session as JSON');
+    console.log('  heapTools.importSession(json) - Import a previously exported session');
+    console.log('  heapTools.importHeapSnapshot(json, options) - Import a Chrome .heapsnapshot or .heaptimeline');
+    console.log('  heapTools.importMallocTrace(text, options) - Replay a malloc/free/realloc trace (text or CSV)');
+    console.log('  heapTools.inferBuckets(observations) - Infer bucket sizes from trace addresses or { size, address | stride } records');
+    console.log('  heapTools.promoteBuckets() - Replace the allocator\'s bucket table with the inferred one');
     
     console.log('\nStrategy functions:');
     console.log('  heapTools.generateStrategy(bugId) - Generate an exploitation strategy');
+    console.log('  heapTools.strategyReliability(bugId, trials, noise) - Run the strategy against seeded noisy heaps and estimate its success rate');
     console.log('  heapTools.generateExploitCode(bugId) - Generate exploit code');
     
     console.log('\nUtility functions:');
     console.log('  heapTools.clearAll() - Clear all tracked objects and allocations');
-    console.log('  heapTools.gcForce() - Force garbage collection');
+    console.log('  heapTools.benchmark(events) - Time indexed statistics against full scans on a synthetic trace');
+    console.log('  heapTools.gcForce() - Force garbage collection, then collect the heap model');
+    console.log('  heapTools.collectGarbage() - Mark-sweep the heap model, freeing unreachable allocations');
+    console.log('  heapTools.reference(fromId, toId, name) / unreference(fromId, toId) - Edit the reference graph');
+    console.log('  heapTools.root(id, rootSet) / unroot(id, rootSet) - Edit root sets');
+    console.log('  heapTools.retention(id) - Show retained size, dominators and retainer paths');
+    console.log('  heapTools.release(id) - Drop the hold on a create* object so a collection can free it');
     console.log('  heapTools.help() - Show this help information');
   }
 }
@@ -0,0 +1,198 @@
+/**
+ * Dominator tree over the live reference graph
+ * An allocation dominates another when every path from the roots to the
+ * other passes through it, so freeing the dominator's only owner frees both.
+ * Retained size is an allocation's own size plus everything it dominates.
+ * Built with the iterative algorithm of Cooper, Harvey and Kennedy.
+ */
+
+class DominatorTree {
+  /**
+   * Virtual node above every root set; the immediate dominator of the roots
+   */
+  static ROOT = 'root';
+
+  /**
+   * Build the dominator tree for the allocations reachable from the roots
+   * @param {ReferenceGraph} graph - References and root sets
+   * @param {Map} allocations - Allocation ID -> allocation
+   */
+  constructor(graph, allocations) {
+    const isLive = (id) => allocations.get(id)?.status === 'allocated';
+
+    // Immediate dominator by ID, with ROOT for allocations only the roots dominate
+    this.idom = new Map();
+
+    // ID -> IDs it immediately dominates
+    this.children = new Map();
+
+    // ID -> own size plus the sizes of everything it dominates
+    this.retainedSizes = new Map();
+
+    const order = this.orderFromRoots(graph, isLive);
+    const postorder = new Map();
+    order.forEach((id, index) => postorder.set(id, order.length - 1 - index));
+
+    // Reachable retainers of each reachable allocation, with ROOT for rooted ones
+    const predecessors = new Map();
+    for (const id of order) {
+      predecessors.set(id, graph.getRetainers(id)
+        .map(retainer => retainer.fromId)
+        .filter(fromId => postorder.has(fromId)));
+    }
+    for (const ids of graph.roots.values()) {
+      ids.forEach(id => predecessors.get(id)?.push(DominatorTree.ROOT));
+    }
+
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (postorder.get(a) < postorder.get(b)) a = this.idom.get(a);
+        while (postorder.get(b) < postorder.get(a)) b = this.idom.get(b);
+      }
+      return a;
+    };
+
+    this.idom.set(DominatorTree.ROOT, DominatorTree.ROOT);
+
+    // Walk in reverse postorder until no immediate dominator changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (const id of order) {
+        if (id === DominatorTree.ROOT) continue;
+
+        let dominator = null;
+        for (const pred of predecessors.get(id)) {
+          if (!this.idom.has(pred)) continue;
+          dominator = dominator === null ? pred : intersect(pred, dominator);
+        }
+
+        if (dominator !== null && this.idom.get(id) !== dominator) {
+          this.idom.set(id, dominator);
+          changed = true;
+        }
+      }
+    }
+
+    this.idom.delete(DominatorTree.ROOT);
+
+    // Children come after their dominator in reverse postorder, so summing
+    // backwards finishes each subtree before its parent
+    for (const id of order) {
+      if (id === DominatorTree.ROOT) continue;
+
+      this.retainedSizes.set(id, allocations.get(id).size);
+
+      const parent = this.idom.get(id);
+      if (!this.children.has(parent)) {
+        this.children.set(parent, []);
+      }
+      this.children.get(parent).push(id);
+    }
+
+    for (let i = order.length - 1; i >= 0; i--) {
+      const id = order[i];
+      const parent = this.idom.get(id);
+      if (id === DominatorTree.ROOT || parent === DominatorTree.ROOT) continue;
+
+      this.retainedSizes.set(parent, this.retainedSizes.get(parent) + this.retainedSizes.get(id));
+    }
+  }
+
+  /**
+   * List ROOT and every reachable live allocation in reverse postorder
+   * @private
+   */
+  orderFromRoots(graph, isLive) {
+    const visited = new Set([DominatorTree.ROOT]);
+    const postorder = [];
+
+    const rootIds = [];
+    for (const ids of graph.roots.values()) {
+      ids.forEach(id => rootIds.push(id));
+    }
+
+    // Iterative depth-first search; each frame is a node and its unvisited successors
+    const stack = [{ id: DominatorTree.ROOT, next: rootIds[Symbol.iterator]() }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const step = frame.next.next();
+
+      if (step.done) {
+        postorder.push(frame.id);
+        stack.pop();
+        continue;
+      }
+
+      const id = step.value;
+      if (visited.has(id) || !isLive(id)) continue;
+
+      visited.add(id);
+      stack.push({ id, next: graph.getReferences(id).map(ref => ref.toId)[Symbol.iterator]() });
+    }
+
+    return postorder.reverse();
+  }
+
+  /**
+   * Whether an allocation is reachable from the roots
+   * @param {number} id - Allocation ID
+   * @returns {boolean} Whether it is in the tree
+   */
+  has(id) {
+    return this.idom.has(id);
+  }
+
+  /**
+   * Get an allocation's immediate dominator
+   * @param {number} id - Allocation ID
+   * @returns {number|string|null} Dominator ID, ROOT if only the roots
+   *   dominate it, or null if it is unreachable
+   */
+  getImmediateDominator(id) {
+    return this.idom.get(id) ?? null;
+  }
+
+  /**
+   * Get every dominator of an allocation, outermost first
+   * @param {number} id - Allocation ID
+   * @returns {Array} Dominator IDs, not including ROOT or the allocation itself
+   */
+  getDominatorChain(id) {
+    const chain = [];
+    let current = this.idom.get(id);
+
+    while (current !== undefined && current !== DominatorTree.ROOT) {
+      chain.unshift(current);
+      current = this.idom.get(current);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Get the allocations an allocation immediately dominates
+   * @param {number|string} id - Allocation ID, or ROOT for the top of the tree
+   * @returns {Array} Dominated IDs, largest retained size first
+   */
+  getDominated(id) {
+    return (this.children.get(id) || [])
+      .slice()
+      .sort((a, b) => this.retainedSizes.get(b) - this.retainedSizes.get(a));
+  }
+
+  /**
+   * Get an allocation's retained size
+   * @param {number} id - Allocation ID
+   * @returns {number|null} Bytes freed if it became unreachable, or null if
+   *   it is already unreachable
+   */
+  getRetainedSize(id) {
+    return this.retainedSizes.get(id) ?? null;
+  }
+}
+
+// Export the DominatorTree
+export default DominatorTree;
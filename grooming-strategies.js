@@ -5,6 +5,7 @@
 
 import HeapAnalyzer from './heap-analyzer.js';
 import BugSimulator from './bug-simulator.js';
+import StrategyReliability from './strategy-reliability.js';
 
 class GroomingStrategyGenerator {
   /**
@@ -16,6 +17,21 @@ class GroomingStrategyGenerator {
     this.analyzer = analyzer;
     this.bugSimulator = bugSimulator;
     
+    // Most recent strategy generated for each bug: bug ID -> strategy
+    this.generatedStrategies = new Map();
+    
+    // Strategies go stale with the bugs they were generated for
+    this.bugSimulator.on('remove', ({ bugId }) => this.generatedStrategies.delete(bugId));
+    this.bugSimulator.on('reset', () => this.generatedStrategies.clear());
+    
+    // Fallback spray type per partition when no suitable type has been seen
+    this.partitionSprayTypes = {
+      ArrayBuffer: 'ArrayBuffer',
+      Buffer: 'String',
+      Layout: 'LayoutObject',
+      FastMalloc: 'Object'
+    };
+    
     // Strategy templates for common exploit scenarios
     this.strategyTemplates = {
       defragmentation: {
@@ -73,6 +89,9 @@ class GroomingStrategyGenerator {
   
   /**
    * Generate a grooming strategy for a specific bug
+   * Overflow and use-after-free phases carry a simulation step ({ action,
+   * role, type, size, count } for allocations, { action, role, which } for
+   * frees, { action } for the trigger) so the strategy can be replayed
    * @param {number} bugId - Bug ID
    * @returns {Object} Generated strategy
    */
@@ -98,9 +117,32 @@ class GroomingStrategyGenerator {
         strategy = this.generateGenericStrategy(bug);
     }
     
+    if (!strategy.error) {
+      this.generatedStrategies.set(bugId, strategy);
+    }
+    
     return strategy;
   }
   
+  /**
+   * Estimate how often a bug's strategy works, by running it many times
+   * against the simulated allocator with different seeds and background noise
+   * A cached strategy without simulation steps, such as one restored from a
+   * session saved before they existed, is generated again first
+   * @param {number} bugId - Bug ID
+   * @param {Object} options - Run options, as for StrategyReliability.run
+   * @returns {Object} Success probability with its confidence interval, or an
+   *   object with an error
+   */
+  estimateReliability(bugId, options = {}) {
+    let strategy = this.generatedStrategies.get(bugId);
+    if (!strategy || !strategy.phases.some(phase => phase.simulation)) {
+      strategy = this.generateStrategyForBug(bugId);
+    }
+    
+    return new StrategyReliability(this.analyzer).run(strategy, options);
+  }
+  
   /**
    * Generate a strategy for buffer overflow bugs
    * @private
@@ -116,6 +158,8 @@ class GroomingStrategyGenerator {
       name: `Buffer Overflow Strategy (${source.type})`,
       targetBug: bug,
       targetBucket: bucketSize,
+      partition: this.analyzer.getIsolatedPartition(source),
+      allocator: this.analyzer.backend.describe(),
       description: `Strategy to exploit ${bug.overflowSize}-byte overflow in ${source.type} object`,
       phases: []
     };
@@ -132,25 +176,35 @@ class GroomingStrategyGenerator {
       strategy.phases.push({
         type: 'preparation',
         description: 'Prepare the heap by cleaning up the target bucket',
-        code: this.generateBucketCleanupCode(bucketSize)
+        code: this.generateBucketCleanupCode(bucketSize),
+        simulation: { action: 'allocate', role: 'filler', type: source.type, size: source.size, count: 16 }
       });
       
       strategy.phases.push({
         type: 'allocation',
         description: `Allocate vulnerable ${source.type} object`,
-        code: this.generateAllocationCode(source.type, source.size)
+        code: this.generateAllocationCode(source.type, source.size),
+        simulation: { action: 'allocate', role: 'victim', type: source.type, size: source.size, count: 1 }
       });
       
       strategy.phases.push({
         type: 'allocation',
         description: `Allocate target ${desirableNeighbors[0].type} object adjacent to vulnerable object`,
-        code: this.generateAllocationCode(desirableNeighbors[0].type, desirableNeighbors[0].size)
+        code: this.generateAllocationCode(desirableNeighbors[0].type, desirableNeighbors[0].size),
+        simulation: {
+          action: 'allocate',
+          role: 'target',
+          type: desirableNeighbors[0].type,
+          size: desirableNeighbors[0].size,
+          count: 1
+        }
       });
       
       strategy.phases.push({
         type: 'trigger',
         description: 'Trigger the overflow to corrupt adjacent object',
-        code: this.generateOverflowTriggerCode(source.type, bug.overflowSize)
+        code: this.generateOverflowTriggerCode(source.type, bug.overflowSize),
+        simulation: { action: 'trigger' }
       });
     } 
     // If no good targets, use spray technique
@@ -158,32 +212,36 @@ class GroomingStrategyGenerator {
       strategy.approach = 'spray';
       
       // Find potential spray candidates
-      const sprayType = this.findBestSprayCandidate(source.size);
+      const sprayType = this.findBestSprayCandidate(source.size, this.analyzer.getIsolatedPartition(source));
       strategy.targetObjects = [sprayType];
       
       // Add phases for spray technique
       strategy.phases.push({
         type: 'preparation',
         description: 'Prepare the heap by spraying with dummy objects',
-        code: this.generateHeapSprayCode(sprayType, 100)
+        code: this.generateHeapSprayCode(sprayType, 100),
+        simulation: { action: 'allocate', role: 'target', type: sprayType, size: source.size, count: 100 }
       });
       
       strategy.phases.push({
         type: 'allocation',
         description: `Allocate vulnerable ${source.type} object among spray`,
-        code: this.generateAllocationCode(source.type, source.size)
+        code: this.generateAllocationCode(source.type, source.size),
+        simulation: { action: 'allocate', role: 'victim', type: source.type, size: source.size, count: 1 }
       });
       
       strategy.phases.push({
         type: 'spray',
         description: `Continue spraying with ${sprayType} objects`,
-        code: this.generateHeapSprayCode(sprayType, 100)
+        code: this.generateHeapSprayCode(sprayType, 100),
+        simulation: { action: 'allocate', role: 'target', type: sprayType, size: source.size, count: 100 }
       });
       
       strategy.phases.push({
         type: 'trigger',
         description: 'Trigger the overflow to corrupt sprayed objects',
-        code: this.generateOverflowTriggerCode(source.type, bug.overflowSize)
+        code: this.generateOverflowTriggerCode(source.type, bug.overflowSize),
+        simulation: { action: 'trigger' }
       });
     }
     
@@ -207,11 +265,14 @@ class GroomingStrategyGenerator {
       return { error: 'Source allocation not found' };
     }
     
+    const backend = this.analyzer.backend;
     const bucketSize = this.analyzer.findBucketForSize(source.size);
     const strategy = {
       name: `Use-After-Free Strategy (${source.type})`,
       targetBug: bug,
       targetBucket: bucketSize,
+      partition: this.analyzer.getIsolatedPartition(source),
+      allocator: backend.describe(),
       description: `Strategy to exploit use-after-free on ${source.type} object`,
       phases: []
     };
@@ -219,7 +280,34 @@ class GroomingStrategyGenerator {
     // Find replacement objects for UAF
     const replacementCandidates = this.findUafReplacementCandidates(source);
     
-    if (replacementCandidates.length > 0) {
+    if (backend.reuseOrder === 'none') {
+      // Nothing can reclaim the slot, so only stale data is reachable
+      strategy.approach = 'stale_data';
+      strategy.targetObjects = [source.type];
+      strategy.description += ` (${backend.label} never reuses freed memory)`;
+      
+      strategy.phases.push({
+        type: 'preparation',
+        description: 'Prepare the heap with victim objects',
+        code: this.generateAllocationArrayCode(source.type, source.size, 10),
+        simulation: { action: 'allocate', role: 'victim', type: source.type, size: source.size, count: 10 }
+      });
+      
+      strategy.phases.push({
+        type: 'free',
+        description: 'Free the victim object while keeping a reference',
+        code: this.generateSpecificFreeCode(source.type),
+        simulation: { action: 'free', role: 'victim', which: 'last' }
+      });
+      
+      strategy.phases.push({
+        type: 'trigger',
+        description: 'Read stale data through the dangling pointer',
+        code: this.generateUafTriggerCode(source.type),
+        simulation: { action: 'trigger' }
+      });
+    }
+    else if (replacementCandidates.length > 0) {
       strategy.approach = 'controlled_reuse';
       strategy.targetObjects = replacementCandidates.map(c => c.type);
       
@@ -227,59 +315,77 @@ class GroomingStrategyGenerator {
       strategy.phases.push({
         type: 'preparation',
         description: 'Prepare the heap by allocating many victim objects',
-        code: this.generateAllocationArrayCode(source.type, source.size, 10)
+        code: this.generateAllocationArrayCode(source.type, source.size, 10),
+        simulation: { action: 'allocate', role: 'victim', type: source.type, size: source.size, count: 10 }
       });
       
       strategy.phases.push({
         type: 'free',
         description: 'Free the victim object while keeping a reference',
-        code: this.generateSpecificFreeCode(source.type)
+        code: this.generateSpecificFreeCode(source.type),
+        simulation: { action: 'free', role: 'victim', which: 'last' }
       });
       
       strategy.phases.push({
         type: 'allocation',
-        description: `Allocate ${replacementCandidates[0].type} objects to replace freed memory`,
-        code: this.generateAllocationCode(replacementCandidates[0].type, replacementCandidates[0].size, 20)
+        description: `Allocate ${replacementCandidates[0].type} objects to replace freed memory ${this.describeReuseOrder(backend)}`,
+        code: this.generateAllocationCode(replacementCandidates[0].type, replacementCandidates[0].size, 20),
+        simulation: {
+          action: 'allocate',
+          role: 'target',
+          type: replacementCandidates[0].type,
+          size: replacementCandidates[0].size,
+          count: 20
+        }
       });
       
       strategy.phases.push({
         type: 'trigger',
         description: 'Access the victim object through dangling pointer',
-        code: this.generateUafTriggerCode(source.type)
+        code: this.generateUafTriggerCode(source.type),
+        simulation: { action: 'trigger' }
       });
     } 
     // If no good replacement candidates, use massively parallel strategy
     else {
       strategy.approach = 'mass_spray';
       
-      // Find any object type in the same bucket
-      const bucketTypes = this.findTypesInBucket(bucketSize);
-      const sprayType = bucketTypes.length > 0 ? bucketTypes[0] : 'ArrayBuffer';
+      // Find any object type in the same bucket of the same partition
+      const partition = this.analyzer.getIsolatedPartition(source);
+      const bucketTypes = this.findTypesInBucket(bucketSize, partition);
+      let sprayType = bucketTypes.length > 0 ? bucketTypes[0] : 'ArrayBuffer';
+      if (bucketTypes.length === 0 && partition !== null) {
+        sprayType = this.findBestSprayCandidate(source.size, partition);
+      }
       strategy.targetObjects = [sprayType];
       
       // Add phases for mass spray technique
       strategy.phases.push({
         type: 'preparation',
         description: 'Prepare the heap with victim objects',
-        code: this.generateAllocationArrayCode(source.type, source.size, 10)
+        code: this.generateAllocationArrayCode(source.type, source.size, 10),
+        simulation: { action: 'allocate', role: 'victim', type: source.type, size: source.size, count: 10 }
       });
       
       strategy.phases.push({
         type: 'free',
         description: 'Free the victim objects while keeping references',
-        code: this.generateFreeManyCode(source.type)
+        code: this.generateFreeManyCode(source.type),
+        simulation: { action: 'free', role: 'victim', which: 'all' }
       });
       
       strategy.phases.push({
         type: 'spray',
         description: `Spray many ${sprayType} objects to increase likelihood of reuse`,
-        code: this.generateHeapSprayCode(sprayType, 1000, bucketSize)
+        code: this.generateHeapSprayCode(sprayType, 1000, bucketSize),
+        simulation: { action: 'allocate', role: 'target', type: sprayType, size: bucketSize, count: 1000 }
       });
       
       strategy.phases.push({
         type: 'trigger',
         description: 'Access the victim objects through dangling pointers',
-        code: this.generateUafTriggerManyCode(source.type)
+        code: this.generateUafTriggerManyCode(source.type),
+        simulation: { action: 'trigger' }
       });
     }
     
@@ -410,6 +516,23 @@ class GroomingStrategyGenerator {
     return template;
   }
   
+  /**
+   * Describe how the allocator hands out freed slots
+   * @private
+   */
+  describeReuseOrder(backend) {
+    switch (backend.reuseOrder) {
+      case 'lifo':
+        return `(${backend.label} reuses the most recently freed slot first)`;
+      case 'fifo':
+        return `(${backend.label} reuses the oldest freed slot first, so drain older holes)`;
+      case 'lowest-address':
+        return `(${backend.label} reuses the lowest free slot first, so fill lower holes)`;
+      default:
+        return `(${backend.label})`;
+    }
+  }
+  
   /**
    * Find desirable neighbor objects for overflow
    * @private
@@ -422,8 +545,11 @@ class GroomingStrategyGenerator {
     // Get the bucket size
     const bucketSize = this.analyzer.findBucketForSize(source.size);
     
-    // Find allocations in the same bucket
-    const allocationsInBucket = this.analyzer.getAllocationsInBucket(bucketSize);
+    // Find allocations in the same bucket; other partitions are never adjacent
+    const allocationsInBucket = this.analyzer.getAllocationsInBucket(
+      bucketSize,
+      this.analyzer.getIsolatedPartition(source)
+    );
     
     // First check for critical types
     for (const type of criticalTypes) {
@@ -454,9 +580,14 @@ class GroomingStrategyGenerator {
   
   /**
    * Find the best object type for spraying
+   * @param {number} targetSize - Size of the allocation to surround
+   * @param {string|null} partition - Only consider types routed to this partition
    * @private
    */
-  findBestSprayCandidate(targetSize) {
+  findBestSprayCandidate(targetSize, partition = null) {
+    const router = this.analyzer.partitionRouter;
+    const inPartition = (type) => partition === null || router.route(type) === partition;
+    
     // Preferred spray types in order
     const preferredTypes = ['ArrayBuffer', 'Uint8Array', 'Object', 'Array'];
     
@@ -468,11 +599,17 @@ class GroomingStrategyGenerator {
     
     // Check if any preferred types are available
     for (const type of preferredTypes) {
-      if (usedTypes.has(type)) {
+      if (usedTypes.has(type) && inPartition(type)) {
         return type;
       }
     }
     
+    if (partition !== null) {
+      // Any type seen in the partition, else a type known to land there
+      const seen = Array.from(usedTypes).find(inPartition);
+      return seen || this.partitionSprayTypes[partition] || preferredTypes.find(inPartition) || 'ArrayBuffer';
+    }
+    
     // Default to ArrayBuffer if no preferred types are available
     return 'ArrayBuffer';
   }
@@ -489,8 +626,10 @@ class GroomingStrategyGenerator {
     // Get the bucket size
     const bucketSize = this.analyzer.findBucketForSize(source.size);
     
-    // Find allocations in the same bucket excluding the source
-    const allocationsInBucket = this.analyzer.getAllocationsInBucket(bucketSize)
+    // Find allocations in the same bucket excluding the source; only the
+    // source's partition can reclaim its slot
+    const allocationsInBucket = this.analyzer
+      .getAllocationsInBucket(bucketSize, this.analyzer.getIsolatedPartition(source))
       .filter(a => a.id !== source.id);
     
     // First check for critical types
@@ -530,10 +669,12 @@ class GroomingStrategyGenerator {
   
   /**
    * Find object types in a specific bucket
+   * @param {number} bucketSize - Bucket size
+   * @param {string|null} partition - Only this partition's bucket, or null for all
    * @private
    */
-  findTypesInBucket(bucketSize) {
-    const allocationsInBucket = this.analyzer.getAllocationsInBucket(bucketSize);
+  findTypesInBucket(bucketSize, partition = null) {
+    const allocationsInBucket = this.analyzer.getAllocationsInBucket(bucketSize, partition);
     const types = new Set();
     
     allocationsInBucket.forEach(a => types.add(a.type));
@@ -929,6 +1070,37 @@ function triggerMultipleUAF() {
 triggerMultipleUAF();`;
   }
   
+  /**
+   * Generate JavaScript code for exploiting an overflow-corrupted object
+   * @private
+   */
+  generateExploitationCode(targetType) {
+    return `// Find the ${targetType} object corrupted by the overflow
+function findCorrupted() {
+  const candidates = typeof buffers !== 'undefined' ? buffers : objects;
+  
+  for (let i = 0; i < candidates.length; i++) {
+    try {
+      // A corrupted length field shows up as an implausibly large size
+      const size = candidates[i].byteLength ?? Object.keys(candidates[i]).length;
+      if (size > 0x100000) {
+        console.log(\`Found corrupted ${targetType} at index \${i} (size \${size})\`);
+        
+        // In a real exploit, this object now reads and writes out of bounds
+        return candidates[i];
+      }
+    } catch (e) {
+      console.log(\`Exception inspecting object \${i}:\`, e);
+    }
+  }
+  
+  console.log("No corrupted object found; retry the grooming");
+  return null;
+}
+
+findCorrupted();`;
+  }
+  
   /**
    * Generate JavaScript code for UAF exploitation
    * @private
@@ -1269,6 +1441,11 @@ function triggerGC() {
       pressure.push(new Uint8Array(1024 * 1024));
     }
   }
+
+  // Let the toolkit's heap model collect too, when it is loaded on the page
+  if (window.heapTools) {
+    window.heapTools.collectGarbage();
+  }
 }
 
 triggerGC();
@@ -1,28 +1,122 @@
 /**
  * Core heap analyzer module that tracks memory allocations and provides
  * data structures for visualizations.
+ * Emits "allocation", "free", "reallocation", "invalid-free", "purge", "reference", "root",
+ * "gc", "bug", "annotation", "relayout", "mitigations" and "reset" events, plus a batched
+ * "change" event for views.
  */
-class HeapAnalyzer {
-  constructor() {
+
+import AllocatorBackends from './allocator-backends.js';
+import LogicalClock from './logical-clock.js';
+import HeapEventEmitter from './heap-event-emitter.js';
+import HeapQuery from './heap-query.js';
+import PartitionRouter from './partition-router.js';
+import HeapIndex from './heap-index.js';
+import ReferenceGraph from './reference-graph.js';
+import DominatorTree from './dominator-tree.js';
+import UafMitigations from './uaf-mitigations.js';
+import SeededRandom from './seeded-random.js';
+import BucketInference from './bucket-inference.js';
+import AllocatorProfiles from './allocator-profiles.js';
+
+class HeapAnalyzer extends HeapEventEmitter {
+  /**
+   * Create a new heap analyzer
+   * @param {Object} options - Analyzer options
+   * @param {string} options.backend - Allocator backend name
+   * @param {Object} options.backendOptions - Options for the backend
+   * @param {Object} options.partitionRouting - Rules routing types to partitions
+   * @param {Object} options.mitigations - UAF mitigation settings, as for UafMitigations
+   * @param {Object|null} options.randomization - { seed, freelist, slotOrder } for
+   *   seeded layout randomization, or null for the allocator's own order
+   * @param {string|null} options.profile - Named allocator profile; its backend,
+   *   backend options and partition routing replace the ones above
+   * @param {Function|null} options.now - Wall time source for event stamps, or null to omit
+   */
+  constructor(options = {}) {
+    super();
+    
     // Track all allocations by ID
     this.allocations = new Map();
     
     // Track allocations by size bucket
     this.buckets = new Map();
     
+    // Partition name -> { name, buckets } with that partition's own bucket map
+    this.partitions = new Map();
+    
+    // Allocator profile the backend and routing come from; null once either
+    // is changed by hand
+    const profile = options.profile ? AllocatorProfiles.get(options.profile) : null;
+    if (options.profile && !profile) {
+      console.warn(`Unknown allocator profile: ${options.profile}; using the allocator options given`);
+    }
+    this.profile = profile ? profile.name : null;
+    
+    // Decides which partition each allocation type lives in
+    this.partitionRouter = new PartitionRouter(profile ? profile.partitionRouting || {} : options.partitionRouting);
+    
+    // Seeded layout randomization; kept across backend switches
+    this.randomization = options.randomization ?? null;
+    
+    // Allocator model that decides where allocations land
+    this.backendOptions = profile ? { ...profile.backendOptions } : options.backendOptions || {};
+    this.backend = this.createBackend(profile ? profile.backend : options.backend, this.backendOptions);
+    
+    // Slot address -> allocation that last occupied the slot, or the freed
+    // block a reallocation moved out of it
+    this.slots = new Map();
+    
+    // Slot address -> freed block a reallocation last moved out of the slot,
+    // oldest move first; kept out of the bucket lists, and the slot's occupant
+    // until the slot is handed out again
+    this.vacatedBlocks = new Map();
+    
+    // Quarantine, delayed reuse and BackupRefPtr between frees and the backend
+    this.mitigations = new UafMitigations(options.mitigations);
+    
+    // Hands a slot a mitigation has let go of back to whichever backend is current
+    this.releaseToBackend = (slot) => this.backend.free(slot.address, { thread: slot.thread });
+    
+    // Live set and per-type, bucket, partition and site counters, kept up to date
+    this.index = new HeapIndex();
+    
+    // Which allocations reference which, and the roots that keep them alive
+    this.references = new ReferenceGraph();
+    
+    // Dominator tree for the current graph and heap, rebuilt when either changes
+    this.dominatorTree = null;
+    this.dominatorTreeSource = null;
+    
+    // Bucket size -> partition key -> slot occupants sorted by address; a
+    // bucket's entry is dropped whenever one of its slots changes hands
+    this.occupantCache = new Map();
+    
     // Timeline of events for replay
     this.timeline = [];
     
+    // Orders timeline events; wall time alone collides within a millisecond
+    this.clock = new LogicalClock({ now: options.now });
+    
+    // Snapshots taken with takeSnapshot, oldest first
+    this.snapshots = [];
+    
+    // User notes on allocations: allocation ID -> text
+    this.annotations = new Map();
+    
     // Counter for allocation IDs
     this.nextId = 1;
     
-    // Detected bucket sizes in PartitionAlloc
+    // Bucket sizes inferred from observed addresses by inferBucketSizes, and
+    // the smallest request observed in each
     this.detectedBucketSizes = [];
+    this.detectedBucketRequests = new Map();
     
     // Stats for analysis
     this.stats = {
       totalAllocations: 0,
       totalDeallocations: 0,
+      totalReallocations: 0,
       maxLiveAllocations: 0,
       currentLiveAllocations: 0,
     };
@@ -33,35 +127,39 @@ class HeapAnalyzer {
    * @param {number} size - Size in bytes
    * @param {string} type - Object type (e.g., "ArrayBuffer", "String")
    * @param {Object} metadata - Additional information about the allocation
+   * @param {string} thread - Allocating thread
    * @returns {number} Allocation ID
    */
-  recordAllocation(size, type, metadata = {}) {
+  recordAllocation(size, type, metadata = {}, thread = "main") {
     const id = this.nextId++;
-    const timestamp = Date.now();
+    const { seq, timestamp } = this.clock.tick();
+    this.mitigations.advance(seq, this.releaseToBackend);
     
     const allocation = {
       id,
       size,
       type,
+      seq,
       timestamp,
       metadata,
-      status: "allocated"
+      status: "allocated",
+      thread,
+      partition: null,
+      bucketSize: 0,
+      address: null,
+      slotSpan: null
     };
     
     this.allocations.set(id, allocation);
+    this.placeAllocation(allocation);
+    this.index.add(allocation);
     
-    // Find the appropriate bucket
-    const bucketSize = this.findBucketForSize(size);
-    if (!this.buckets.has(bucketSize)) {
-      this.buckets.set(bucketSize, []);
-    }
-    
-    this.buckets.get(bucketSize).push(allocation);
-    
-    // Record in timeline
+    // Record in timeline; the size is kept because reallocation changes the allocation's
     this.timeline.push({
       type: "allocation",
+      seq,
       timestamp,
+      size,
       allocation
     });
     
@@ -72,216 +170,1820 @@ class HeapAnalyzer {
       this.stats.maxLiveAllocations = this.stats.currentLiveAllocations;
     }
     
+    this.emit("allocation", { allocation });
+    
     return id;
   }
   
   /**
    * Record a deallocation
+   * Freeing an unknown or already freed ID leaves the heap untouched and is
+   * recorded as an "invalid-free" or "double-free" bug instead
    * @param {number} id - Allocation ID
+   * @param {string|null} thread - Freeing thread; defaults to the allocating thread
+   * @returns {boolean} Whether the allocation was freed
    */
-  recordDeallocation(id) {
+  recordDeallocation(id, thread = null) {
     if (!this.allocations.has(id)) {
-      console.warn(`Tried to deallocate unknown ID: ${id}`);
-      return;
+      this.recordInvalidFree("invalid-free", id, null, thread ?? "main");
+      return false;
     }
     
     const allocation = this.allocations.get(id);
-    const timestamp = Date.now();
+    const freeingThread = thread ?? allocation.thread;
+    
+    if (allocation.status !== "allocated") {
+      this.recordInvalidFree("double-free", id, allocation, freeingThread);
+      return false;
+    }
+    
+    this.freeAllocation(allocation, freeingThread);
+    
+    return true;
+  }
+  
+  /**
+   * Free a live allocation and record it on the timeline
+   * @private
+   * @param {string|null} reason - Why it was freed, such as "gc", or null for an explicit free
+   */
+  freeAllocation(allocation, thread, reason = null) {
+    const { seq, timestamp } = this.clock.tick();
+    this.mitigations.advance(seq, this.releaseToBackend);
+    
+    // Live objects still pointing here would be dangling raw_ptrs; kept on the
+    // event whether or not BackupRefPtr is on, so replays can turn it on later
+    const danglingRefs = this.references.getRetainers(allocation.id)
+      .map(retainer => retainer.fromId)
+      .filter(fromId => fromId !== allocation.id && this.allocations.get(fromId)?.status === "allocated");
+    
+    // Hand the slot back to the allocator so later allocations can reuse it
+    const held = this.releaseSlot(allocation, thread, seq, danglingRefs);
     
     allocation.status = "freed";
+    allocation.freedSeq = seq;
     allocation.freedAt = timestamp;
+    allocation.freedThread = thread;
+    this.index.markFreed(allocation);
     
     // Record in timeline
-    this.timeline.push({
+    const event = {
       type: "deallocation",
+      seq,
       timestamp,
+      thread,
       allocation
-    });
+    };
+    if (reason) {
+      event.reason = reason;
+    }
+    if (danglingRefs.length > 0) {
+      event.danglingRefs = danglingRefs;
+    }
+    this.timeline.push(event);
     
     // Update stats
     this.stats.totalDeallocations++;
     this.stats.currentLiveAllocations--;
+    
+    this.emit("free", { allocation, reason, held });
   }
   
   /**
-   * Record a simulated bug (overflow, use-after-free, etc.)
-   * @param {number} sourceId - Source allocation ID
-   * @param {string} bugType - Type of bug
-   * @param {Object} details - Bug details (e.g., overflow size)
+   * Give a freed allocation's slot to the UAF mitigations, which pass it on to
+   * the backend unless one of them holds it back, then drop the pointers the
+   * allocation itself held into poisoned slots
+   * @private
+   * @returns {Array} Mitigations holding the slot
    */
-  recordBug(sourceId, bugType, details = {}) {
-    if (!this.allocations.has(sourceId)) {
-      console.warn(`Tried to record bug for unknown ID: ${sourceId}`);
-      return;
+  releaseSlot(allocation, thread, seq, danglingRefs = []) {
+    let held = [];
+    
+    if (allocation.address !== null) {
+      held = this.mitigations.hold({
+        address: allocation.address,
+        bucketSize: allocation.bucketSize,
+        thread
+      }, seq, danglingRefs, this.releaseToBackend);
     }
     
-    const timestamp = Date.now();
+    this.mitigations.dropReferencesFrom(allocation.id, this.releaseToBackend);
     
-    // Record in timeline
-    this.timeline.push({
-      type: "bug",
-      timestamp,
-      sourceId,
-      bugType,
-      details
-    });
+    return held;
   }
   
   /**
-   * Find the appropriate bucket size for an allocation
-   * Uses knowledge of PartitionAlloc's bucketing strategy
-   * @param {number} size - Allocation size
-   * @returns {number} Bucket size
+   * Record that one allocation references another
+   * Referenced and rooted allocations are owned by the simulated collector
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @param {string|null} name - Edge name, such as a property or index
+   * @returns {boolean} Whether the reference was recorded
    */
-  findBucketForSize(size) {
-    // Simplified PartitionAlloc bucketing strategy
-    // This would be refined based on reverse engineering
-    if (size <= 0) return 0;
-    
-    // Small allocations (up to 1024 bytes)
-    if (size <= 1024) {
-      // Calculate bucket size using PartitionAlloc's strategy
-      // This is a simplified approximation
-      const bucketSizes = [8, 16, 32, 48, 64, 80, 96, 112, 128, 
-                          144, 160, 192, 224, 256, 320, 384, 
-                          448, 512, 576, 640, 704, 768, 832, 896, 960, 1024];
-      
-      for (const bucketSize of bucketSizes) {
-        if (size <= bucketSize) {
-          return bucketSize;
-        }
-      }
+  recordReference(fromId, toId, name = null) {
+    if (!this.allocations.has(fromId) || !this.allocations.has(toId)) {
+      console.warn(`Tried to record reference between unknown IDs: ${fromId} -> ${toId}`);
+      return false;
+    }
+    
+    this.references.addReference(fromId, toId, name);
+    this.emit("reference", { fromId, toId, name });
+    
+    return true;
+  }
+  
+  /**
+   * Drop a reference between two allocations
+   * Clearing a live allocation's dangling pointer to a freed one goes on the
+   * timeline, since it can release a slot BackupRefPtr poisoned
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @returns {boolean} Whether the reference existed
+   */
+  removeReference(fromId, toId) {
+    if (!this.references.removeReference(fromId, toId)) {
+      return false;
     }
     
-    // Medium allocations (up to 4096 bytes)
-    if (size <= 4096) {
-      // 128-byte increments
-      return Math.ceil(size / 128) * 128;
+    const target = this.allocations.get(toId);
+    if (target?.status === "freed" && this.allocations.get(fromId)?.status === "allocated") {
+      const { seq, timestamp } = this.clock.tick();
+      
+      this.timeline.push({
+        type: "reference-cleared",
+        seq,
+        timestamp,
+        fromId,
+        toId
+      });
+      
+      this.clearDanglingReference(fromId, toId);
     }
     
-    // Large allocations
-    // 4096-byte increments
-    return Math.ceil(size / 4096) * 4096;
+    this.emit("reference", { fromId, toId, removed: true });
+    
+    return true;
   }
   
   /**
-   * Get all allocations in a specific bucket
-   * @param {number} bucketSize - Bucket size
-   * @returns {Array} Allocations in the bucket
+   * Add an allocation to a root set, keeping it and what it references alive
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name, such as "global" or "stack"
+   * @returns {boolean} Whether the root was added
    */
-  getAllocationsInBucket(bucketSize) {
-    return this.buckets.get(bucketSize) || [];
+  addRoot(id, rootSet = "global") {
+    if (!this.allocations.has(id)) {
+      console.warn(`Tried to root unknown ID: ${id}`);
+      return false;
+    }
+    
+    this.references.addRoot(id, rootSet);
+    this.emit("root", { id, rootSet });
+    
+    return true;
   }
   
   /**
-   * Get all active buckets
-   * @returns {Array} Array of bucket sizes
+   * Remove an allocation from a root set
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name
+   * @returns {boolean} Whether the allocation was in the set
    */
-  getActiveBuckets() {
-    return Array.from(this.buckets.keys()).sort((a, b) => a - b);
+  removeRoot(id, rootSet = "global") {
+    if (!this.references.removeRoot(id, rootSet)) {
+      return false;
+    }
+    
+    this.emit("root", { id, rootSet, removed: true });
+    
+    return true;
   }
   
   /**
-   * Get active (not freed) allocations
-   * @returns {Array} Active allocations
+   * Run a mark-sweep collection
+   * Marks everything reachable from the root sets, then frees the collector's
+   * unmarked allocations. Allocations never rooted or referenced are manually
+   * managed and left alone. Each free goes on the timeline with reason "gc",
+   * followed by a "gc" event summarizing the cycle.
+   * @returns {Object} The "gc" event: { collected, marked, bytes }
    */
-  getActiveAllocations() {
-    return Array.from(this.allocations.values())
-      .filter(alloc => alloc.status === "allocated");
+  collectGarbage() {
+    const marked = this.references.mark(id => this.allocations.get(id)?.status === "allocated");
+    const garbage = this.getActiveAllocations()
+      .filter(allocation => this.references.isManaged(allocation.id) && !marked.has(allocation.id));
+    
+    // Sweep in allocation order so replays free slots in the same order
+    garbage.forEach(allocation => this.freeAllocation(allocation, allocation.thread, "gc"));
+    
+    const { seq, timestamp } = this.clock.tick();
+    
+    const event = {
+      type: "gc",
+      seq,
+      timestamp,
+      collected: garbage.map(allocation => allocation.id),
+      marked: marked.size,
+      bytes: garbage.reduce((sum, allocation) => sum + allocation.size, 0)
+    };
+    
+    this.timeline.push(event);
+    
+    this.emit("gc", { event });
+    
+    return event;
   }
   
   /**
-   * Find adjacent allocations to a given allocation
+   * Record a reallocation
+   * The allocation keeps its ID. It is resized in place when the backend can
+   * fit the new size in its current slot; otherwise it moves to a slot of the
+   * new size's bucket and the old slot is freed. A new size of 0 frees it.
    * @param {number} id - Allocation ID
-   * @returns {Object} Previous and next allocations
+   * @param {number} newSize - New size in bytes
+   * @param {string|null} thread - Reallocating thread; defaults to the allocating thread
+   * @returns {Object|null} The reallocation event, or null if nothing was reallocated
    */
-  findAdjacentAllocations(id) {
+  recordReallocation(id, newSize, thread = null) {
+    if (newSize <= 0) {
+      this.recordDeallocation(id, thread);
+      return null;
+    }
+    
     if (!this.allocations.has(id)) {
-      return { prev: null, next: null };
+      this.recordInvalidFree("invalid-free", id, null, thread ?? "main");
+      return null;
     }
     
     const allocation = this.allocations.get(id);
-    const bucketSize = this.findBucketForSize(allocation.size);
-    const bucketed = this.buckets.get(bucketSize) || [];
+    const reallocatingThread = thread ?? allocation.thread;
     
-    // Find the index of the allocation in its bucket
-    const index = bucketed.findIndex(a => a.id === id);
-    if (index === -1) {
-      return { prev: null, next: null };
+    // realloc of a freed pointer frees it a second time
+    if (allocation.status !== "allocated") {
+      this.recordInvalidFree("double-free", id, allocation, reallocatingThread);
+      return null;
+    }
+    
+    const { seq, timestamp } = this.clock.tick();
+    this.mitigations.advance(seq, this.releaseToBackend);
+    const before = { ...allocation };
+    
+    const event = {
+      type: "reallocation",
+      seq,
+      timestamp,
+      thread: reallocatingThread,
+      oldSize: allocation.size,
+      size: newSize,
+      allocation,
+      ...this.resizeAllocation(allocation, newSize, reallocatingThread, seq)
+    };
+    
+    this.timeline.push(event);
+    this.index.update(before, allocation);
+    this.stats.totalReallocations++;
+    
+    this.emit("reallocation", { allocation, event });
+    
+    return event;
+  }
+  
+  /**
+   * Resize an allocation in place or move it to a new slot
+   * @private
+   * @returns {Object} { inPlace, from, to } with the slot before and after
+   */
+  resizeAllocation(allocation, newSize, thread, seq) {
+    const from = {
+      address: allocation.address,
+      bucketSize: allocation.bucketSize,
+      slotSpan: allocation.slotSpan
+    };
+    
+    if (from.address !== null && this.backend.canResizeInPlace(from.address, from.bucketSize, newSize)) {
+      allocation.size = newSize;
+      return { inPlace: true, from, to: from };
+    }
+    
+    // The block left behind occupies the old slot as a freed block until the
+    // slot is handed out again, so fragmentation and reuse still see it
+    const vacated = {
+      ...allocation,
+      status: "freed",
+      freedSeq: seq,
+      freedThread: thread,
+      vacated: true
+    };
+    delete vacated.reusedBy;
+    
+    // Like realloc, take the new slot before releasing the old one
+    this.unlinkFromBuckets(allocation);
+    allocation.size = newSize;
+    this.placeAllocation(allocation);
+    
+    // The old slot is quarantined or delayed like any other free; pointers
+    // follow the move, so BackupRefPtr has nothing to poison
+    if (from.address !== null) {
+      this.slots.set(from.address, vacated);
+      this.vacatedBlocks.delete(from.address);
+      this.vacatedBlocks.set(from.address, vacated);
+      this.occupantCache.delete(from.bucketSize);
+      this.mitigations.hold({ ...from, thread }, seq, [], this.releaseToBackend);
     }
     
     return {
-      prev: index > 0 ? bucketed[index - 1] : null,
-      next: index < bucketed.length - 1 ? bucketed[index + 1] : null
+      inPlace: false,
+      from,
+      to: {
+        address: allocation.address,
+        bucketSize: allocation.bucketSize,
+        slotSpan: allocation.slotSpan
+      }
     };
   }
   
   /**
-   * Generate statistics on bucket utilization
-   * @returns {Object} Bucket statistics
+   * Remove an allocation from its bucket lists before it moves
+   * @private
    */
-  generateBucketStats() {
-    const stats = {};
+  unlinkFromBuckets(allocation) {
+    const lists = [
+      [this.buckets, allocation.bucketSize],
+      [this.partitions.get(allocation.partition)?.buckets, allocation.bucketSize]
+    ];
     
-    for (const [bucketSize, allocations] of this.buckets.entries()) {
-      const active = allocations.filter(a => a.status === "allocated").length;
-      const freed = allocations.filter(a => a.status === "freed").length;
+    for (const [buckets, bucketSize] of lists) {
+      const list = buckets?.get(bucketSize);
+      if (!list) continue;
       
-      stats[bucketSize] = {
-        totalAllocations: allocations.length,
-        activeAllocations: active,
-        freedAllocations: freed,
-        utilizationRate: allocations.length > 0 ? active / allocations.length : 0
-      };
+      // Searched from the end since recent allocations move most often
+      const index = list.lastIndexOf(allocation);
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+      if (list.length === 0) {
+        buckets.delete(bucketSize);
+      }
     }
+  }
+  
+  /**
+   * Record a free of memory no allocation was recorded at as an "invalid-free" bug
+   * Used for frees of addresses an imported trace never allocated
+   * @param {string} thread - Freeing thread
+   * @param {Object} details - What was freed, such as { traceAddress }
+   */
+  recordUnknownFree(thread = "main", details = {}) {
+    this.recordInvalidFree("invalid-free", null, null, thread, details);
+  }
+  
+  /**
+   * Record a free of the slot a reallocation moved a block out of as a
+   * "double-free" bug; the block itself stays live at its new address
+   * Used for traces that free the old pointer after realloc moved it
+   * @param {number} id - Allocation that moved
+   * @param {string} thread - Freeing thread
+   * @param {Object} details - What was freed, such as { traceAddress }
+   */
+  recordVacatedFree(id, thread = "main", details = {}) {
+    const allocation = this.allocations.get(id);
+    const moves = Array.from(this.vacatedBlocks.values()).filter(block => block.id === id);
     
-    return stats;
+    // If this layout resized in place, the old pointer is still the block's own slot
+    const vacated = moves.length > 0
+      ? moves[moves.length - 1]
+      : { ...allocation, status: "freed", vacated: true };
+    
+    this.recordInvalidFree("double-free", id, vacated, thread, details);
   }
   
   /**
-   * Calculate statistics on allocation types
-   * @returns {Object} Type statistics
+   * Record a free the allocator would reject as a bug event
+   * @private
    */
-  generateTypeStats() {
-    const stats = {};
+  recordInvalidFree(bugType, id, allocation, thread, extraDetails = {}) {
+    const { seq, timestamp } = this.clock.tick();
     
-    for (const allocation of this.allocations.values()) {
-      if (!stats[allocation.type]) {
-        stats[allocation.type] = {
-          count: 0,
-          totalSize: 0,
-          active: 0,
-          freed: 0
-        };
+    const details = { ...extraDetails, thread };
+    if (allocation) {
+      details.firstFreedSeq = allocation.freedSeq;
+    }
+    
+    const event = {
+      type: "bug",
+      seq,
+      timestamp,
+      sourceId: id,
+      bugType,
+      details
+    };
+    
+    this.timeline.push(event);
+    
+    this.emit("bug", { event });
+    this.emit("invalid-free", { bugType, event, allocation });
+  }
+  
+  /**
+   * Ask the backend for a slot and link the allocation into the buckets
+   * @private
+   */
+  placeAllocation(allocation) {
+    allocation.partition = this.partitionRouter.route(allocation.type);
+    
+    const placement = this.backend.allocate(allocation.size, {
+      partition: allocation.partition,
+      thread: allocation.thread
+    });
+    
+    allocation.bucketSize = placement ? placement.bucketSize : this.findBucketForSize(allocation.size);
+    allocation.address = placement ? placement.address : null;
+    allocation.slotSpan = placement ? placement.region : null;
+    
+    if (placement) {
+      // A reused slot takes over from the allocation that freed it, unless
+      // a reallocation is moving the block back into its own old slot
+      const previous = this.slots.get(placement.address);
+      if (placement.reused && previous && previous.id !== allocation.id) {
+        previous.reusedBy = allocation.id;
+        allocation.reuses = previous.id;
+      }
+      if (previous) {
+        this.occupantCache.delete(previous.bucketSize);
       }
       
-      stats[allocation.type].count++;
-      stats[allocation.type].totalSize += allocation.size;
+      this.slots.set(placement.address, allocation);
+      this.occupantCache.delete(allocation.bucketSize);
+    }
+    
+    if (!this.buckets.has(allocation.bucketSize)) {
+      this.buckets.set(allocation.bucketSize, []);
+    }
+    
+    this.buckets.get(allocation.bucketSize).push(allocation);
+    
+    if (!this.partitions.has(allocation.partition)) {
+      this.partitions.set(allocation.partition, { name: allocation.partition, buckets: new Map() });
+    }
+    
+    const partitionBuckets = this.partitions.get(allocation.partition).buckets;
+    if (!partitionBuckets.has(allocation.bucketSize)) {
+      partitionBuckets.set(allocation.bucketSize, []);
+    }
+    
+    partitionBuckets.get(allocation.bucketSize).push(allocation);
+  }
+  
+  /**
+   * Return slots cached by threads to the shared freelists
+   * Recorded on the timeline so replays purge at the same point
+   * @param {string|null} thread - Thread to purge, or null for every thread
+   * @returns {number} Number of slots released
+   */
+  purgeThreadCache(thread = null) {
+    const { seq, timestamp } = this.clock.tick();
+    const released = this.backend.purgeThreadCache(thread);
+    
+    const event = {
+      type: "purge",
+      seq,
+      timestamp,
+      thread
+    };
+    this.timeline.push(event);
+    
+    this.emit("purge", { event, released });
+    
+    return released;
+  }
+  
+  /**
+   * Get every thread that has allocated, freed, reallocated or purged its cache
+   * @returns {Array} Thread names in order of first appearance
+   */
+  getThreads() {
+    const threads = new Set();
+    
+    for (const event of this.timeline) {
+      const thread = event.type === "allocation"
+        ? event.allocation.thread
+        : event.thread ?? event.details?.thread;
       
-      if (allocation.status === "allocated") {
-        stats[allocation.type].active++;
-      } else {
-        stats[allocation.type].freed++;
+      // A purge of every thread's cache names none
+      if (thread !== undefined && thread !== null) {
+        threads.add(thread);
       }
     }
     
-    return stats;
+    return Array.from(threads);
   }
   
   /**
-   * Reset all tracking data
+   * Switch to a different allocator backend
+   * The recorded trace is laid out again under the new allocator
+   * @param {string} name - Backend name
+   * @param {Object} options - Backend options
    */
-  reset() {
-    this.allocations.clear();
-    this.buckets.clear();
-    this.timeline = [];
-    this.nextId = 1;
-    this.stats = {
-      totalAllocations: 0,
-      totalDeallocations: 0,
-      maxLiveAllocations: 0,
-      currentLiveAllocations: 0,
-    };
+  setBackend(name, options = {}) {
+    // Settings other than the profile's leave it
+    if (this.profile && !this.matchesProfile(name, options)) {
+      this.profile = null;
+    }
+    
+    this.backend = this.createBackend(name, options);
+    this.backendOptions = options;
+    this.relayout();
+    
+    this.emit("relayout", { backend: this.backend.describe() });
+  }
+  
+  /**
+   * Turn seeded layout randomization on or off
+   * Freed slots are handed out in random order and new slots are provisioned
+   * in random order, as far as the backend supports each. The same seed
+   * always gives the same layout. The recorded trace is laid out again.
+   * @param {Object|null} config - { seed, freelist, slotOrder }, or null to turn
+   *   it off; a missing seed is picked at random, and both modes default to on
+   * @returns {Object} { success, seed } or { error } if the seed is invalid
+   */
+  setRandomization(config) {
+    if (!config) {
+      this.randomization = null;
+    } else {
+      const seed = config.seed ?? SeededRandom.randomSeed();
+      if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+        return { error: "Randomization seed must be a 32-bit unsigned integer" };
+      }
+      
+      this.randomization = {
+        seed,
+        freelist: config.freelist ?? true,
+        slotOrder: config.slotOrder ?? true
+      };
+    }
+    
+    this.setBackend(this.backend.name, this.backendOptions);
+    
+    return { success: true, seed: this.randomization?.seed ?? null };
+  }
+  
+  /**
+   * Create a backend with the analyzer's randomization applied
+   * @private
+   */
+  createBackend(name, options) {
+    return AllocatorBackends.create(name, this.randomization
+      ? { ...options, randomization: this.randomization }
+      : options);
+  }
+  
+  /**
+   * Switch to a named allocator profile
+   * Applies the profile's backend, bucket table, slot spans, thread-cache
+   * limits and partition routing, then lays the recorded trace out again
+   * @param {string} name - Profile name, as in AllocatorProfiles
+   * @returns {Object} { success, profile } or { error } if the profile is unknown
+   */
+  setProfile(name) {
+    const profile = AllocatorProfiles.get(name);
+    if (!profile) {
+      return { error: `Unknown allocator profile: ${name}` };
+    }
+    
+    // Routing was validated when the profile was registered
+    this.partitionRouter.configure(profile.partitionRouting || {});
+    this.profile = profile.name;
+    this.setBackend(profile.backend, { ...profile.backendOptions });
+    
+    return { success: true, profile: profile.name };
+  }
+  
+  /**
+   * Whether backend settings are still those of the active profile
+   * @private
+   */
+  matchesProfile(name, options) {
+    const profile = AllocatorProfiles.get(this.profile);
+    
+    return Boolean(profile) && profile.backend === name &&
+      JSON.stringify(profile.backendOptions) === JSON.stringify(options);
+  }
+  
+  /**
+   * Change which partitions allocation types are routed to
+   * The recorded trace is laid out again under the new rules
+   * @param {Object} routing - { rules, defaultPartition }, as for PartitionRouter
+   * @returns {Object} { success } or { error } if a rule is invalid
+   */
+  setPartitionRouting(routing) {
+    const result = this.partitionRouter.configure(routing);
+    if (result.error) {
+      return result;
+    }
+    
+    // Hand-made routing no longer matches the profile
+    this.profile = null;
+    this.relayout();
+    this.emit("relayout", { backend: this.backend.describe() });
+    
+    return result;
+  }
+  
+  /**
+   * Turn UAF mitigations on or off, or change their settings
+   * Mitigations and fields left out keep their current settings. The recorded
+   * trace is laid out again so reuse reflects the new settings.
+   * @param {Object} config - Settings by mitigation, as for UafMitigations
+   * @returns {Object} { success } or { error } if a setting is invalid
+   */
+  setMitigations(config = {}) {
+    const current = this.mitigations.toJSON();
+    const merged = {};
+    for (const name of UafMitigations.NAMES) {
+      merged[name] = { ...current[name], ...config[name] };
+    }
+    
+    const result = this.mitigations.configure(merged);
+    if (result.error) {
+      return result;
+    }
+    
+    this.relayout();
+    this.emit("mitigations", { mitigations: this.mitigations.describe() });
+    this.emit("relayout", { backend: this.backend.describe() });
+    
+    return result;
+  }
+  
+  /**
+   * Get the UAF mitigations holding a freed allocation's slot out of reuse
+   * @param {number} id - Allocation ID
+   * @returns {Object|null} { holds, danglingRefs }, or null for an unknown ID
+   *   or one whose slot is not held
+   */
+  getSlotHolds(id) {
+    const allocation = this.allocations.get(id);
+    if (!allocation || allocation.status !== "freed" || allocation.address === null) {
+      return null;
+    }
+    
+    // A later occupant means the slot was released and handed out again
+    if (this.slots.get(allocation.address) !== allocation) {
+      return null;
+    }
+    
+    const holds = this.mitigations.getHolds(allocation.address);
+    return holds.length > 0
+      ? { holds, danglingRefs: this.mitigations.getDanglingRefs(allocation.address) }
+      : null;
+  }
+  
+  /**
+   * Drop a replayed dangling reference from BackupRefPtr's count
+   * @private
+   */
+  clearDanglingReference(fromId, toId) {
+    const target = this.allocations.get(toId);
+    if (target && target.address !== null) {
+      this.mitigations.clearReference(fromId, target.address, this.releaseToBackend);
+    }
+  }
+  
+  /**
+   * Get the partition that limits which allocations can interact with one
+   * @param {Object} allocation - Allocation
+   * @returns {string|null} Partition name, or null if the backend shares memory
+   *   between partitions
+   */
+  getIsolatedPartition(allocation) {
+    return this.backend.isolatesPartitions ? allocation.partition : null;
+  }
+  
+  /**
+   * Replay the recorded allocations and frees through the current backend
+   */
+  relayout() {
+    this.backend.reset();
+    this.mitigations.clear();
+    this.slots.clear();
+    this.vacatedBlocks.clear();
+    this.occupantCache.clear();
+    this.buckets.clear();
+    this.partitions.clear();
+    
+    for (const allocation of this.allocations.values()) {
+      delete allocation.reuses;
+      delete allocation.reusedBy;
+    }
+    
+    for (const event of this.timeline) {
+      if (event.type === "allocation" || event.type === "deallocation" || event.type === "reallocation") {
+        this.mitigations.advance(event.seq, this.releaseToBackend);
+      }
+      
+      if (event.type === "allocation") {
+        event.allocation.size = event.size ?? event.allocation.size;
+        this.placeAllocation(event.allocation);
+      } else if (event.type === "deallocation") {
+        this.releaseSlot(event.allocation, event.thread, event.seq, event.danglingRefs);
+      } else if (event.type === "reallocation") {
+        // The new layout may resize in place where the old one moved, or vice versa
+        Object.assign(event, this.resizeAllocation(event.allocation, event.size, event.thread, event.seq));
+      } else if (event.type === "reference-cleared") {
+        this.clearDanglingReference(event.fromId, event.toId);
+      } else if (event.type === "purge") {
+        this.backend.purgeThreadCache(event.thread);
+      }
+    }
+    
+    // Buckets, partitions and sizes may all have changed
+    this.index = HeapIndex.fromAllocations(this.allocations.values());
+  }
+  
+  /**
+   * Create a copy of this analyzer laid out under another backend
+   * Useful for comparing the same trace across allocators
+   * @param {string} name - Backend name
+   * @param {Object} options - Backend options
+   * @returns {HeapAnalyzer} New analyzer with the replayed trace
+   */
+  cloneWithBackend(name, options = {}) {
+    return this.cloneWith({
+      backend: name,
+      backendOptions: options,
+      mitigations: this.mitigations.toJSON(),
+      randomization: this.randomization
+    });
+  }
+  
+  /**
+   * Create a copy of this analyzer laid out with other layout randomization
+   * Useful for measuring how much a randomized layout changes outcomes
+   * @param {Object|null} randomization - { seed, freelist, slotOrder }, or null
+   * @returns {HeapAnalyzer} New analyzer with the replayed trace
+   */
+  cloneWithRandomization(randomization) {
+    return this.cloneWith({
+      backend: this.backend.name,
+      backendOptions: this.backendOptions,
+      profile: this.profile,
+      mitigations: this.mitigations.toJSON(),
+      randomization
+    });
+  }
+  
+  /**
+   * Create a copy of this analyzer laid out with other UAF mitigations
+   * Useful for seeing how each mitigation changes slot reuse
+   * @param {Object} config - Mitigation settings, as for UafMitigations
+   * @returns {HeapAnalyzer} New analyzer with the replayed trace
+   */
+  cloneWithMitigations(config) {
+    return this.cloneWith({
+      backend: this.backend.name,
+      backendOptions: this.backendOptions,
+      profile: this.profile,
+      mitigations: config,
+      randomization: this.randomization
+    });
+  }
+  
+  /**
+   * Create a copy of this analyzer laid out under another allocator profile
+   * Useful for seeing how a trace shifts between allocator releases
+   * @param {string} name - Profile name, as in AllocatorProfiles
+   * @returns {HeapAnalyzer|null} New analyzer with the replayed trace, or null
+   *   if the profile is unknown
+   */
+  cloneWithProfile(name) {
+    if (!AllocatorProfiles.get(name)) {
+      return null;
+    }
+    
+    return this.cloneWith({
+      profile: name,
+      mitigations: this.mitigations.toJSON(),
+      randomization: this.randomization
+    });
+  }
+  
+  /**
+   * Lay the recorded trace out under another allocator profile and report
+   * which allocations change bucket, partition, next neighbor or reuser
+   * @param {string} name - Profile name, as in AllocatorProfiles
+   * @returns {Object} { from, to, allocations, bucketMoves, bucketChanges,
+   *   partitionChanges, neighborChanges, reuseChanges } where bucketMoves
+   *   counts allocations by "old -> new" bucket size, or { error }
+   */
+  compareProfile(name) {
+    const other = this.cloneWithProfile(name);
+    if (!other) {
+      return { error: `Unknown allocator profile: ${name}` };
+    }
+    
+    const result = {
+      from: this.profile,
+      to: name,
+      allocations: this.allocations.size,
+      bucketMoves: {},
+      bucketChanges: [],
+      partitionChanges: [],
+      neighborChanges: [],
+      reuseChanges: []
+    };
+    
+    for (const [id, allocation] of this.allocations) {
+      const moved = other.allocations.get(id);
+      const { type, size } = allocation;
+      
+      if (allocation.bucketSize !== moved.bucketSize) {
+        const move = `${allocation.bucketSize} -> ${moved.bucketSize}`;
+        result.bucketMoves[move] = (result.bucketMoves[move] || 0) + 1;
+        result.bucketChanges.push({ id, type, size, from: allocation.bucketSize, to: moved.bucketSize });
+      }
+      
+      if (allocation.partition !== moved.partition) {
+        result.partitionChanges.push({ id, type, from: allocation.partition, to: moved.partition });
+      }
+      
+      const reuser = allocation.reusedBy ?? null;
+      const otherReuser = moved.reusedBy ?? null;
+      if (reuser !== otherReuser) {
+        result.reuseChanges.push({ id, type, from: reuser, to: otherReuser });
+      }
+      
+      // What an overflow from a live allocation would run into
+      if (allocation.status === "allocated") {
+        const next = this.findAdjacentAllocations(id).next;
+        const otherNext = other.findAdjacentAllocations(id).next;
+        if ((next ? next.id : null) !== (otherNext ? otherNext.id : null)) {
+          result.neighborChanges.push({
+            id,
+            type,
+            from: next ? next.id : null,
+            to: otherNext ? otherNext.id : null
+          });
+        }
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Copy the trace into a new analyzer and lay it out again
+   * @private
+   */
+  cloneWith({ backend, backendOptions, profile = null, mitigations, randomization }) {
+    const clone = new HeapAnalyzer({
+      backend,
+      backendOptions,
+      partitionRouting: this.partitionRouter.toJSON(),
+      profile,
+      mitigations,
+      randomization
+    });
+    const copies = new Map();
+    
+    for (const [id, allocation] of this.allocations) {
+      copies.set(id, { ...allocation });
+    }
+    
+    clone.allocations = copies;
+    clone.timeline = this.timeline.map(event => (
+      event.allocation ? { ...event, allocation: copies.get(event.allocation.id) } : { ...event }
+    ));
+    clone.nextId = this.nextId;
+    clone.clock.observe(this.clock.current());
+    clone.stats = { ...this.stats };
+    clone.references = ReferenceGraph.fromJSON(this.references.toJSON());
+    clone.relayout();
+    
+    return clone;
+  }
+  
+  /**
+   * Reconstruct the heap as it was right after a timeline event
+   * The trace up to the event is replayed through a fresh backend of the same
+   * kind, so slot addresses and reuse match what they were at that moment
+   * @param {number} index - Timeline index; -1 for the empty heap
+   * @returns {HeapAnalyzer} New analyzer holding the reconstructed state
+   */
+  stateAt(index) {
+    const state = new HeapAnalyzer({
+      backend: this.backend.name,
+      backendOptions: this.backendOptions,
+      partitionRouting: this.partitionRouter.toJSON(),
+      profile: this.profile,
+      mitigations: this.mitigations.toJSON(),
+      randomization: this.randomization,
+      now: this.clock.now
+    });
+    const last = Math.min(index, this.timeline.length - 1);
+    
+    for (let i = 0; i <= last; i++) {
+      const event = this.timeline[i];
+      
+      if (event.type === "allocation" || event.type === "deallocation" || event.type === "reallocation") {
+        state.mitigations.advance(event.seq, state.releaseToBackend);
+      }
+      
+      if (event.type === "allocation") {
+        const allocation = {
+          ...event.allocation,
+          size: event.size ?? event.allocation.size,
+          status: "allocated"
+        };
+        delete allocation.freedSeq;
+        delete allocation.freedAt;
+        delete allocation.freedThread;
+        delete allocation.reuses;
+        delete allocation.reusedBy;
+        
+        state.allocations.set(allocation.id, allocation);
+        state.placeAllocation(allocation);
+        state.timeline.push({ ...event, allocation });
+        
+        state.stats.totalAllocations++;
+        state.stats.currentLiveAllocations++;
+        state.stats.maxLiveAllocations = Math.max(
+          state.stats.maxLiveAllocations,
+          state.stats.currentLiveAllocations
+        );
+        state.nextId = Math.max(state.nextId, allocation.id + 1);
+      } else if (event.type === "deallocation") {
+        const allocation = state.allocations.get(event.allocation.id);
+        
+        if (allocation.status === "allocated") {
+          state.releaseSlot(allocation, event.thread, event.seq, event.danglingRefs);
+        }
+        
+        allocation.status = "freed";
+        allocation.freedSeq = event.seq;
+        allocation.freedAt = event.timestamp;
+        allocation.freedThread = event.thread;
+        state.timeline.push({ ...event, allocation });
+        
+        state.stats.totalDeallocations++;
+        state.stats.currentLiveAllocations--;
+      } else if (event.type === "reallocation") {
+        const allocation = state.allocations.get(event.allocation.id);
+        
+        state.timeline.push({
+          ...event,
+          allocation,
+          ...state.resizeAllocation(allocation, event.size, event.thread, event.seq)
+        });
+        state.stats.totalReallocations++;
+      } else {
+        if (event.type === "purge") {
+          state.backend.purgeThreadCache(event.thread);
+        } else if (event.type === "reference-cleared") {
+          state.clearDanglingReference(event.fromId, event.toId);
+        }
+        state.timeline.push({ ...event });
+      }
+      
+      state.clock.observe(event.seq);
+    }
+    
+    state.annotations = new Map(this.annotations);
+    
+    // The reference graph is not on the timeline; past states see the current one
+    state.references = ReferenceGraph.fromJSON(this.references.toJSON());
+    state.index = HeapIndex.fromAllocations(state.allocations.values());
+    
+    return state;
+  }
+  
+  /**
+   * Get the dominator tree of the live allocations reachable from the roots
+   * @returns {DominatorTree} Dominator tree, cached until the graph or heap changes
+   */
+  getDominatorTree() {
+    const source = this.dominatorTreeSource;
+    
+    if (!source || source.graph !== this.references || source.version !== this.references.version ||
+        source.seq !== this.clock.current()) {
+      this.dominatorTree = new DominatorTree(this.references, this.allocations);
+      this.dominatorTreeSource = {
+        graph: this.references,
+        version: this.references.version,
+        seq: this.clock.current()
+      };
+    }
+    
+    return this.dominatorTree;
+  }
+  
+  /**
+   * Explain what keeps an allocation alive and what it keeps alive
+   * @param {number} id - Allocation ID
+   * @param {number} maxPaths - Most retainer paths to find
+   * @returns {Object|null} { selfSize, managed, reachable, retainedSize, rootSets,
+   *   immediateDominator, dominatorChain, dominated, retainerPaths }, or null
+   *   for an unknown ID. retainedSize is null when the allocation is unreachable.
+   */
+  analyzeRetention(id, maxPaths = 5) {
+    const allocation = this.allocations.get(id);
+    if (!allocation) return null;
+    
+    const tree = this.getDominatorTree();
+    const isLive = (candidate) => this.allocations.get(candidate)?.status === "allocated";
+    const immediateDominator = tree.getImmediateDominator(id);
+    
+    return {
+      selfSize: allocation.size,
+      managed: this.references.isManaged(id),
+      reachable: tree.has(id),
+      retainedSize: tree.getRetainedSize(id),
+      rootSets: this.references.getRootSets(id),
+      immediateDominator: immediateDominator === DominatorTree.ROOT ? null : immediateDominator,
+      dominatorChain: tree.getDominatorChain(id),
+      dominated: tree.getDominated(id)
+        .map(dominatedId => ({ id: dominatedId, retainedSize: tree.getRetainedSize(dominatedId) })),
+      retainerPaths: isLive(id) ? this.references.findRetainerPaths(id, isLive, maxPaths) : []
+    };
+  }
+  
+  /**
+   * Record a simulated bug (overflow, use-after-free, etc.)
+   * @param {number} sourceId - Source allocation ID
+   * @param {string} bugType - Type of bug
+   * @param {Object} details - Bug details (e.g., overflow size)
+   * @returns {number|null} Sequence number of the bug event
+   */
+  recordBug(sourceId, bugType, details = {}) {
+    if (!this.allocations.has(sourceId)) {
+      console.warn(`Tried to record bug for unknown ID: ${sourceId}`);
+      return null;
+    }
+    
+    const { seq, timestamp } = this.clock.tick();
+    
+    const event = {
+      type: "bug",
+      seq,
+      timestamp,
+      sourceId,
+      bugType,
+      details
+    };
+    
+    // Record in timeline
+    this.timeline.push(event);
+    
+    this.emit("bug", { event });
+    
+    return seq;
+  }
+  
+  /**
+   * Check whether an allocation was live at a point on the logical clock
+   * @param {Object} allocation - Allocation to check
+   * @param {number} seq - Sequence number
+   * @returns {boolean} True if allocated at or before seq and not yet freed
+   */
+  isLiveAt(allocation, seq) {
+    if (allocation.seq > seq) return false;
+    
+    return allocation.freedSeq === undefined || allocation.freedSeq > seq;
+  }
+  
+  /**
+   * Attach a note to an allocation
+   * @param {number} id - Allocation ID
+   * @param {string} text - Note text; empty text removes the note
+   */
+  annotate(id, text) {
+    if (!this.allocations.has(id)) {
+      console.warn(`Tried to annotate unknown ID: ${id}`);
+      return;
+    }
+    
+    if (text) {
+      this.annotations.set(id, text);
+    } else {
+      this.annotations.delete(id);
+    }
+    
+    this.emit("annotation", { id, text: text || null });
+  }
+  
+  /**
+   * Get the note attached to an allocation
+   * @param {number} id - Allocation ID
+   * @returns {string|null} Note text
+   */
+  getAnnotation(id) {
+    return this.annotations.get(id) || null;
+  }
+  
+  /**
+   * Find the appropriate bucket size for an allocation
+   * Delegates to the active allocator backend
+   * @param {number} size - Allocation size
+   * @returns {number} Bucket size
+   */
+  findBucketForSize(size) {
+    return this.backend.findBucketForSize(size);
+  }
+  
+  /**
+   * Infer the allocator's bucket sizes from where allocations were observed
+   * The result is kept in detectedBucketSizes until promoted or inferred again
+   * @param {Array|null} observations - { size, address } or { size, stride }
+   *   records, as for BucketInference; defaults to the addresses of
+   *   allocations imported from a native trace
+   * @param {Object} options - Inference options, as for BucketInference
+   * @returns {Object} Inference report, with the buckets the active backend
+   *   puts each inferred bucket's requests in as currentBuckets, or an object
+   *   with an error
+   */
+  inferBucketSizes(observations = null, options = {}) {
+    const observed = observations || this.getObservedAddresses();
+    if (observed.length === 0) {
+      return { error: "No observed addresses; import a trace with addresses or pass observations" };
+    }
+    
+    const report = new BucketInference(options).infer(observed);
+    
+    // Bucketing never decreases with size, so the smallest and largest
+    // requests show whether the backend splits an inferred bucket
+    report.buckets.forEach(bucket => {
+      bucket.currentBuckets = Array.from(new Set([
+        this.findBucketForSize(bucket.minRequest),
+        this.findBucketForSize(bucket.maxRequest)
+      ]));
+    });
+    report.backend = this.backend.name;
+    report.matchesBackend = report.buckets.every(bucket => (
+      bucket.currentBuckets.length === 1 && bucket.currentBuckets[0] === bucket.bucketSize
+    ));
+    
+    this.detectedBucketSizes = report.bucketSizes;
+    this.detectedBucketRequests = new Map(report.buckets.map(bucket => [bucket.bucketSize, bucket.minRequest]));
+    
+    return report;
+  }
+  
+  /**
+   * Replace the backend's bucket table with the inferred bucket sizes
+   * A current bucket is dropped when it would split the requests observed in
+   * an inferred bucket; the rest cover sizes never observed and are kept.
+   * The recorded trace is laid out again.
+   * @returns {Object} { success, bucketSizes } or { error } if nothing was
+   *   inferred or the backend has no bucket table
+   */
+  promoteDetectedBucketSizes() {
+    if (this.detectedBucketSizes.length === 0) {
+      return { error: "No inferred bucket sizes; run inferBucketSizes first" };
+    }
+    
+    if (!Array.isArray(this.backend.bucketSizes)) {
+      return { error: `${this.backend.label} computes its size classes and has no bucket table to replace` };
+    }
+    
+    const detected = this.detectedBucketSizes.map(bucketSize => ({
+      bucketSize,
+      minRequest: this.detectedBucketRequests.get(bucketSize)
+    }));
+    const contradicted = (bucketSize) => detected.some(bucket => (
+      bucket.minRequest <= bucketSize && bucketSize < bucket.bucketSize
+    ));
+    
+    const bucketSizes = Array.from(new Set([
+      ...this.detectedBucketSizes,
+      ...this.backend.bucketSizes.filter(bucketSize => !contradicted(bucketSize))
+    ])).sort((a, b) => a - b);
+    
+    this.setBackend(this.backend.name, { ...this.backendOptions, bucketSizes });
+    
+    return { success: true, bucketSizes };
+  }
+  
+  /**
+   * Addresses recorded for allocations imported from a native trace
+   * @private
+   */
+  getObservedAddresses() {
+    const observed = [];
+    
+    for (const allocation of this.allocations.values()) {
+      const address = allocation.metadata?.traceAddress;
+      if (address) {
+        observed.push({ size: allocation.size, address: parseInt(address, 16) });
+      }
+    }
+    
+    return observed;
+  }
+  
+  /**
+   * Get all allocations in a specific bucket
+   * @param {number} bucketSize - Bucket size
+   * @param {string|null} partition - Only this partition's bucket, or null for all
+   * @returns {Array} Allocations in the bucket
+   */
+  getAllocationsInBucket(bucketSize, partition = null) {
+    if (partition !== null) {
+      return this.partitions.get(partition)?.buckets.get(bucketSize) || [];
+    }
+    
+    return this.buckets.get(bucketSize) || [];
+  }
+  
+  /**
+   * Get the allocations currently occupying the slots of a bucket
+   * Freed allocations whose slot has been reused are left out; blocks a
+   * reallocation moved out of are included while they still hold their slot
+   * @param {number} bucketSize - Bucket size
+   * @param {string|null} partition - Only this partition's bucket, or null for all
+   * @returns {Array} Slot occupants sorted by address
+   */
+  getSlotOccupants(bucketSize, partition = null) {
+    if (!this.occupantCache.has(bucketSize)) {
+      this.occupantCache.set(bucketSize, new Map());
+    }
+    
+    const cached = this.occupantCache.get(bucketSize);
+    if (!cached.has(partition)) {
+      const vacated = this.getVacatedOccupants()
+        .filter(block => block.bucketSize === bucketSize && (partition === null || block.partition === partition));
+      
+      cached.set(partition, this.getAllocationsInBucket(bucketSize, partition)
+        .filter(alloc => alloc.address !== null && this.slots.get(alloc.address) === alloc)
+        .concat(vacated)
+        .sort((a, b) => a.address - b.address));
+    }
+    
+    // Copied so callers can't reorder the cached list
+    return cached.get(partition).slice();
+  }
+  
+  /**
+   * Get the vacated blocks still occupying the slot they were moved out of
+   * @private
+   */
+  getVacatedOccupants() {
+    return Array.from(this.vacatedBlocks.values()).filter(block => this.slots.get(block.address) === block);
+  }
+  
+  /**
+   * Get all active buckets
+   * @returns {Array} Array of bucket sizes
+   */
+  getActiveBuckets() {
+    return Array.from(this.buckets.keys()).sort((a, b) => a - b);
+  }
+  
+  /**
+   * Get statistics for each partition that holds allocations
+   * @returns {Object} Partition name -> { buckets, totalAllocations, activeAllocations }
+   */
+  generatePartitionStats() {
+    const stats = {};
+    
+    for (const [name, partition] of this.partitions) {
+      const counter = this.index.partitions.get(name);
+      
+      stats[name] = {
+        buckets: Array.from(partition.buckets.keys()).sort((a, b) => a - b),
+        totalAllocations: counter ? counter.count : 0,
+        activeAllocations: counter ? counter.active : 0
+      };
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Get active (not freed) allocations
+   * @returns {Array} Active allocations
+   */
+  getActiveAllocations() {
+    return Array.from(this.index.live.values());
+  }
+  
+  /**
+   * Get the bytes requested by all allocations and by live ones
+   * @returns {Object} { totalBytes, activeBytes }
+   */
+  getMemoryUsage() {
+    const { totalBytes, activeBytes } = this.index.totals;
+    
+    return { totalBytes, activeBytes };
+  }
+  
+  /**
+   * Find allocations matching a query
+   * @param {string} query - Query such as 'type ~ "Array" and size between 64 and 128'
+   * @returns {Object} { results } sorted by ID, or { error }
+   */
+  queryAllocations(query) {
+    return HeapQuery.filter(this.allocations.values(), query);
+  }
+  
+  /**
+   * Find timeline events matching a query
+   * @param {string} query - Query such as 'type = deallocation and bucketSize = 64'
+   * @returns {Object} { results } in timeline order, or { error }
+   */
+  queryEvents(query) {
+    return HeapQuery.filter(this.timeline, query);
+  }
+  
+  /**
+   * Get the allocation occupying a slot address
+   * @param {number} address - Slot address
+   * @returns {Object|null} Allocation, the freed block a reallocation moved out
+   *   of the slot (marked vacated), or null if the slot was never used
+   */
+  getAllocationAtAddress(address) {
+    return this.slots.get(address) || null;
+  }
+  
+  /**
+   * Find adjacent allocations to a given allocation
+   * Adjacency is physical: the neighboring slots in the same allocator region
+   * @param {number} id - Allocation ID
+   * @returns {Object} Previous and next allocations
+   */
+  findAdjacentAllocations(id) {
+    if (!this.allocations.has(id)) {
+      return { prev: null, next: null };
+    }
+    
+    const allocation = this.allocations.get(id);
+    if (allocation.address === null) {
+      return { prev: null, next: null };
+    }
+    
+    const neighbors = this.backend.getNeighborSlots(allocation.address);
+    
+    return {
+      prev: neighbors.prev !== null ? this.getAllocationAtAddress(neighbors.prev) : null,
+      next: neighbors.next !== null ? this.getAllocationAtAddress(neighbors.next) : null
+    };
+  }
+  
+  /**
+   * Work out which memory an overflow past the end of an allocation reaches
+   * @param {number} id - Allocation ID
+   * @param {number} overflowSize - Bytes written past the requested size
+   * @returns {Object} Slot slack, reached regions and allocations hit
+   */
+  findOverflowTargets(id, overflowSize) {
+    const result = {
+      slack: 0,
+      absorbedBySlack: false,
+      regions: [],
+      targets: []
+    };
+    
+    const allocation = this.allocations.get(id);
+    if (!allocation || allocation.address === null) {
+      return result;
+    }
+    
+    // Bytes between the requested size and the end of the slot
+    result.slack = allocation.bucketSize - allocation.size;
+    
+    const start = allocation.address + allocation.size;
+    const end = start + overflowSize;
+    let cursor = allocation.address + allocation.bucketSize;
+    
+    if (end <= cursor) {
+      result.absorbedBySlack = true;
+      return result;
+    }
+    
+    while (cursor < end) {
+      const resolved = this.backend.resolveAddress(cursor);
+      
+      if (resolved.region !== 'slot') {
+        // Guard pages, span tails, the top chunk and unmapped memory stop the walk
+        result.regions.push({
+          region: resolved.region,
+          address: cursor,
+          bytes: end - cursor
+        });
+        break;
+      }
+      
+      const slotEnd = resolved.slotAddress + resolved.slotSize;
+      const occupant = this.getAllocationAtAddress(resolved.slotAddress);
+      
+      result.regions.push({
+        region: 'slot',
+        address: resolved.slotAddress,
+        offset: cursor - resolved.slotAddress,
+        bytes: Math.min(end, slotEnd) - cursor,
+        allocation: occupant
+      });
+      
+      if (occupant) {
+        result.targets.push(occupant);
+      }
+      
+      cursor = slotEnd;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Generate statistics on bucket utilization
+   * @returns {Object} Bucket statistics
+   */
+  generateBucketStats() {
+    const stats = {};
+    
+    for (const [bucketSize, counter] of this.index.buckets) {
+      stats[bucketSize] = {
+        totalAllocations: counter.count,
+        activeAllocations: counter.active,
+        freedAllocations: counter.freed,
+        utilizationRate: counter.count > 0 ? counter.active / counter.count : 0
+      };
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Calculate statistics on allocation types
+   * @returns {Object} Type statistics
+   */
+  generateTypeStats() {
+    const stats = {};
+    
+    for (const [type, counter] of this.index.types) {
+      stats[type] = {
+        count: counter.count,
+        totalSize: counter.totalBytes,
+        active: counter.active,
+        freed: counter.freed
+      };
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Generate statistics per allocation site
+   * The site is metadata.site: a stack or label saying which code path
+   * allocated. Lifetimes are in heap events and only count freed allocations.
+   * @param {number|null} bucketSize - Only count allocations in this bucket
+   * @returns {Array} Site statistics, the site with the most allocations first
+   */
+  generateSiteStats(bucketSize = null) {
+    const sites = bucketSize === null ? this.index.sites : this.index.bucketSites.get(bucketSize);
+    if (!sites) return [];
+    
+    return Array.from(sites, ([site, counter]) => {
+      const buckets = {};
+      
+      if (bucketSize !== null) {
+        buckets[bucketSize] = counter.count;
+      } else {
+        for (const [size, bucketSites] of this.index.bucketSites) {
+          if (bucketSites.has(site)) {
+            buckets[size] = bucketSites.get(site).count;
+          }
+        }
+      }
+      
+      return {
+        site,
+        count: counter.count,
+        active: counter.active,
+        totalBytes: counter.totalBytes,
+        activeBytes: counter.activeBytes,
+        buckets,
+        averageLifetime: counter.lifetimeCount > 0 ? counter.totalLifetime / counter.lifetimeCount : null
+      };
+    }).sort((a, b) => b.count - a.count);
+  }
+  
+  /**
+   * Measure rounding waste and fragmentation in each bucket
+   * Internal waste is the bytes lost rounding requests up to the bucket size.
+   * External fragmentation is the share of free slots outside the largest
+   * contiguous free run: 0 when all free slots are adjacent, near 1 when they
+   * are scattered between live ones.
+   * @param {Object} options - Options
+   * @param {boolean} options.includeRegions - Include per-region occupancy
+   * @returns {Object} Fragmentation statistics by bucket size, plus totals
+   */
+  generateFragmentationStats({ includeRegions = true } = {}) {
+    const buckets = {};
+    const totals = {
+      requestedBytes: 0,
+      slotBytes: 0,
+      internalWaste: 0,
+      wasteRatio: 0,
+      freeSlots: 0,
+      interleavedFreeSlots: 0,
+      externalFragmentation: 0
+    };
+    
+    // A bucket whose only block moved away with a reallocation still has its free slot
+    const bucketSizes = new Set(this.getActiveBuckets());
+    this.getVacatedOccupants().forEach(block => bucketSizes.add(block.bucketSize));
+    
+    for (const bucketSize of Array.from(bucketSizes).sort((a, b) => a - b)) {
+      const stats = this.measureBucketFragmentation(bucketSize, includeRegions);
+      buckets[bucketSize] = stats;
+      
+      totals.requestedBytes += stats.requestedBytes;
+      totals.slotBytes += stats.liveSlots * bucketSize;
+      totals.internalWaste += stats.internalWaste;
+      totals.freeSlots += stats.freeSlots;
+      totals.interleavedFreeSlots += stats.interleavedFreeSlots;
+      totals.externalFragmentation += stats.externalFragmentation * stats.freeSlots;
+    }
+    
+    totals.wasteRatio = totals.slotBytes > 0 ? totals.internalWaste / totals.slotBytes : 0;
+    // Weighted by free slots so nearly empty buckets do not dominate
+    totals.externalFragmentation = totals.freeSlots > 0
+      ? totals.externalFragmentation / totals.freeSlots
+      : 0;
+    
+    return { buckets, totals };
+  }
+  
+  /**
+   * Measure one bucket's slots
+   * @private
+   */
+  measureBucketFragmentation(bucketSize, includeRegions) {
+    const occupants = this.getSlotOccupants(bucketSize);
+    const regions = new Map();
+    
+    let requestedBytes = 0;
+    let liveSlots = 0;
+    let largestFreeRun = 0;
+    let run = 0;
+    let previous = null;
+    
+    for (const occupant of occupants) {
+      const live = occupant.status === "allocated";
+      const contiguous = previous !== null &&
+        previous.slotSpan === occupant.slotSpan &&
+        occupant.address - previous.address === bucketSize;
+      
+      if (live) {
+        liveSlots++;
+        requestedBytes += occupant.size;
+        run = 0;
+      } else {
+        run = contiguous ? run + 1 : 1;
+        largestFreeRun = Math.max(largestFreeRun, run);
+      }
+      
+      if (!regions.has(occupant.slotSpan)) {
+        regions.set(occupant.slotSpan, []);
+      }
+      regions.get(occupant.slotSpan).push(live);
+      previous = occupant;
+    }
+    
+    // A free slot is interleaved when live slots sit on both sides of it in its region
+    let interleavedFreeSlots = 0;
+    const regionStats = [];
+    
+    for (const [address, slots] of regions) {
+      const first = slots.indexOf(true);
+      const last = slots.lastIndexOf(true);
+      const live = slots.filter(Boolean).length;
+      const capacity = this.backend.getRegionCapacity(address);
+      
+      if (first !== -1) {
+        interleavedFreeSlots += slots.slice(first, last + 1).filter(slot => !slot).length;
+      }
+      
+      regionStats.push({
+        address,
+        liveSlots: live,
+        freeSlots: slots.length - live,
+        capacity,
+        occupancy: live / (capacity || slots.length)
+      });
+    }
+    
+    const freeSlots = occupants.length - liveSlots;
+    const internalWaste = liveSlots * bucketSize - requestedBytes;
+    
+    const stats = {
+      liveSlots,
+      freeSlots,
+      requestedBytes,
+      internalWaste,
+      wasteRatio: liveSlots > 0 ? internalWaste / (liveSlots * bucketSize) : 0,
+      interleavedFreeSlots,
+      largestFreeRun,
+      largestFreeRunBytes: largestFreeRun * bucketSize,
+      externalFragmentation: freeSlots > 0 ? 1 - largestFreeRun / freeSlots : 0,
+      averageOccupancy: regionStats.length > 0
+        ? regionStats.reduce((sum, region) => sum + region.occupancy, 0) / regionStats.length
+        : 0
+    };
+    
+    if (includeRegions) {
+      stats.regions = regionStats;
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Sample fragmentation across the timeline
+   * @param {number} samples - Maximum number of points to sample
+   * @returns {Array} Points of { index, seq, totals, buckets }, oldest first
+   */
+  getFragmentationHistory(samples = 20) {
+    const history = [];
+    const length = this.timeline.length;
+    if (length === 0) {
+      return history;
+    }
+    
+    const count = Math.min(samples, length);
+    let lastIndex = -1;
+    
+    for (let i = 1; i <= count; i++) {
+      const index = Math.ceil((i * length) / count) - 1;
+      if (index === lastIndex) continue;
+      lastIndex = index;
+      
+      const { buckets, totals } = this.stateAt(index).generateFragmentationStats({ includeRegions: false });
+      history.push({ index, seq: this.timeline[index].seq, totals, buckets });
+    }
+    
+    return history;
+  }
+  
+  /**
+   * Capture the current heap state for later comparison
+   * @param {string} label - Snapshot label
+   * @returns {Object} Snapshot
+   */
+  takeSnapshot(label = `Snapshot ${this.snapshots.length + 1}`) {
+    const allocations = new Map();
+    
+    for (const allocation of this.allocations.values()) {
+      allocations.set(allocation.id, {
+        id: allocation.id,
+        type: allocation.type,
+        size: allocation.size,
+        partition: allocation.partition,
+        bucketSize: allocation.bucketSize,
+        address: allocation.address,
+        status: allocation.status,
+        reuses: allocation.reuses
+      });
+    }
+    
+    const snapshot = {
+      label,
+      seq: this.clock.current(),
+      timestamp: this.clock.now ? this.clock.now() : null,
+      allocations,
+      bucketStats: this.generateBucketStats(),
+      typeStats: this.generateTypeStats(),
+      fragmentation: this.generateFragmentationStats({ includeRegions: false }).buckets,
+      stats: { ...this.stats }
+    };
+    
+    this.snapshots.push(snapshot);
+    
+    return snapshot;
+  }
+  
+  /**
+   * Find a snapshot by label
+   * @param {string} label - Snapshot label
+   * @returns {Object|null} The most recent snapshot with the label
+   */
+  getSnapshot(label) {
+    for (let i = this.snapshots.length - 1; i >= 0; i--) {
+      if (this.snapshots[i].label === label) {
+        return this.snapshots[i];
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Compare two snapshots
+   * Reports what happened to the heap between snapshot a and snapshot b
+   * @param {Object|string} a - Earlier snapshot or its label
+   * @param {Object|string} b - Later snapshot or its label
+   * @returns {Object} Allocations added, freed and reused plus bucket and type deltas
+   */
+  diffSnapshots(a, b) {
+    const before = typeof a === 'string' ? this.getSnapshot(a) : a;
+    const after = typeof b === 'string' ? this.getSnapshot(b) : b;
+    
+    if (!before || !after) {
+      return { error: 'Snapshot not found' };
+    }
+    
+    const added = [];
+    const freed = [];
+    const reused = [];
+    
+    for (const [id, allocation] of after.allocations) {
+      const earlier = before.allocations.get(id);
+      
+      if (!earlier) {
+        added.push(allocation);
+        
+        if (allocation.reuses !== undefined) {
+          reused.push({ allocation, reusesId: allocation.reuses });
+        }
+      }
+      
+      // Freed in between, including allocations that came and went
+      if (allocation.status === 'freed' && (!earlier || earlier.status === 'allocated')) {
+        freed.push(allocation);
+      }
+    }
+    
+    return {
+      from: { label: before.label, seq: before.seq },
+      to: { label: after.label, seq: after.seq },
+      added,
+      freed,
+      reused,
+      bucketDeltas: this.diffStats(before.bucketStats, after.bucketStats),
+      typeDeltas: this.diffStats(before.typeStats, after.typeStats),
+      fragmentationDeltas: this.diffStats(before.fragmentation || {}, after.fragmentation || {}),
+      liveDelta: after.stats.currentLiveAllocations - before.stats.currentLiveAllocations
+    };
+  }
+  
+  /**
+   * Subtract per-key numeric stats, keeping only keys that changed
+   * @private
+   */
+  diffStats(before, after) {
+    const deltas = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    
+    for (const key of keys) {
+      const from = before[key] || {};
+      const to = after[key] || {};
+      const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+      const delta = {};
+      let changed = false;
+      
+      for (const field of fields) {
+        delta[field] = (to[field] || 0) - (from[field] || 0);
+        if (delta[field] !== 0) {
+          changed = true;
+        }
+      }
+      
+      if (changed) {
+        deltas[key] = delta;
+      }
+    }
+    
+    return deltas;
+  }
+  
+  /**
+   * Reset all tracking data
+   */
+  reset() {
+    this.allocations.clear();
+    this.buckets.clear();
+    this.partitions.clear();
+    this.backend.reset();
+    this.mitigations.clear();
+    this.slots.clear();
+    this.vacatedBlocks.clear();
+    this.index.clear();
+    this.references.clear();
+    this.occupantCache.clear();
+    this.timeline = [];
+    this.clock.reset();
+    this.snapshots = [];
+    this.annotations.clear();
+    this.nextId = 1;
+    this.detectedBucketSizes = [];
+    this.detectedBucketRequests = new Map();
+    this.stats = {
+      totalAllocations: 0,
+      totalDeallocations: 0,
+      totalReallocations: 0,
+      maxLiveAllocations: 0,
+      currentLiveAllocations: 0,
+    };
+    
+    this.emit("reset");
   }
 }
 
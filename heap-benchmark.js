@@ -0,0 +1,225 @@
+/**
+ * Heap analyzer benchmark
+ * Records a large synthetic trace, then times the statistics the UI asks for
+ * on every refresh against the full scans they used to be computed with
+ */
+
+import HeapAnalyzer from './heap-analyzer.js';
+import SeededRandom from './seeded-random.js';
+
+class HeapBenchmark {
+  /**
+   * Create a new benchmark
+   * @param {Object} options - Benchmark options
+   * @param {number} options.events - Heap events to record
+   * @param {number} options.iterations - Times each query is repeated
+   * @param {string} options.backend - Allocator backend name
+   * @param {number} options.seed - Seed for the synthetic trace
+   */
+  constructor(options = {}) {
+    this.options = {
+      events: 100000,
+      iterations: 20,
+      backend: 'partitionalloc',
+      seed: 1,
+      ...options
+    };
+
+    this.types = ['ArrayBuffer', 'String', 'Object', 'Array', 'LayoutBlock', 'Vector', 'Node', 'Map'];
+    this.sites = Array.from({ length: 16 }, (_, i) => `site${i}`);
+  }
+
+  /**
+   * Record the trace and time every query both ways
+   * @returns {Object} { events, liveAllocations, recordMs, queries } where each
+   *   query has { name, indexedMs, scanMs, speedup, matches }
+   */
+  run() {
+    const analyzer = new HeapAnalyzer({ backend: this.options.backend, now: null });
+
+    const recordStart = performance.now();
+    this.recordTrace(analyzer);
+    const recordMs = performance.now() - recordStart;
+
+    const queries = [
+      ['generateTypeStats', () => analyzer.generateTypeStats(), () => HeapBenchmark.scanTypeStats(analyzer)],
+      ['generateBucketStats', () => analyzer.generateBucketStats(), () => HeapBenchmark.scanBucketStats(analyzer)],
+      ['generatePartitionStats', () => analyzer.generatePartitionStats(), () => HeapBenchmark.scanPartitionStats(analyzer)],
+      ['getActiveAllocations', () => analyzer.getActiveAllocations(), () => HeapBenchmark.scanActiveAllocations(analyzer)],
+      ['getMemoryUsage', () => analyzer.getMemoryUsage(), () => HeapBenchmark.scanMemoryUsage(analyzer)]
+    ].map(([name, indexed, scan]) => this.compare(name, indexed, scan));
+
+    return {
+      events: analyzer.timeline.length,
+      liveAllocations: analyzer.stats.currentLiveAllocations,
+      recordMs,
+      queries
+    };
+  }
+
+  /**
+   * Record a mix of allocations, frees and reallocations
+   * About half the allocations are freed again, in random order
+   * @private
+   */
+  recordTrace(analyzer) {
+    const random = this.createRandom();
+    const live = [];
+
+    analyzer.batch(() => {
+      while (analyzer.timeline.length < this.options.events) {
+        const roll = random();
+
+        if (live.length > 0 && roll < 0.45) {
+          // Swap-remove a random live allocation
+          const index = Math.floor(random() * live.length);
+          const id = live[index];
+          live[index] = live[live.length - 1];
+          live.pop();
+
+          analyzer.recordDeallocation(id);
+        } else if (live.length > 0 && roll < 0.5) {
+          const id = live[Math.floor(random() * live.length)];
+          analyzer.recordReallocation(id, 16 + Math.floor(random() * 1008));
+        } else {
+          const type = this.types[Math.floor(random() * this.types.length)];
+          const site = this.sites[Math.floor(random() * this.sites.length)];
+
+          live.push(analyzer.recordAllocation(16 + Math.floor(random() * 1008), type, { site }));
+        }
+      }
+    });
+  }
+
+  /**
+   * Time a query through the index and as a full scan
+   * @private
+   */
+  compare(name, indexed, scan) {
+    const time = (query) => {
+      const start = performance.now();
+      let result;
+      for (let i = 0; i < this.options.iterations; i++) {
+        result = query();
+      }
+      return { ms: (performance.now() - start) / this.options.iterations, result };
+    };
+
+    const fast = time(indexed);
+    const slow = time(scan);
+
+    return {
+      name,
+      indexedMs: fast.ms,
+      scanMs: slow.ms,
+      speedup: fast.ms > 0 ? slow.ms / fast.ms : Infinity,
+      matches: JSON.stringify(fast.result) === JSON.stringify(slow.result)
+    };
+  }
+
+  /**
+   * Deterministic random numbers in [0, 1) so runs can be compared
+   * @private
+   */
+  createRandom() {
+    const random = new SeededRandom(this.options.seed);
+    return () => random.next();
+  }
+
+  /**
+   * Type statistics by scanning every allocation
+   * @private
+   */
+  static scanTypeStats(analyzer) {
+    const stats = {};
+
+    for (const allocation of analyzer.allocations.values()) {
+      if (!stats[allocation.type]) {
+        stats[allocation.type] = { count: 0, totalSize: 0, active: 0, freed: 0 };
+      }
+
+      stats[allocation.type].count++;
+      stats[allocation.type].totalSize += allocation.size;
+
+      if (allocation.status === 'allocated') {
+        stats[allocation.type].active++;
+      } else {
+        stats[allocation.type].freed++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Bucket statistics by scanning every bucket's allocations
+   * @private
+   */
+  static scanBucketStats(analyzer) {
+    const stats = {};
+
+    for (const [bucketSize, allocations] of analyzer.buckets) {
+      const active = allocations.filter(a => a.status === 'allocated').length;
+      const freed = allocations.filter(a => a.status === 'freed').length;
+
+      stats[bucketSize] = {
+        totalAllocations: allocations.length,
+        activeAllocations: active,
+        freedAllocations: freed,
+        utilizationRate: allocations.length > 0 ? active / allocations.length : 0
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Partition statistics by scanning every partition's allocations
+   * @private
+   */
+  static scanPartitionStats(analyzer) {
+    const stats = {};
+
+    for (const [name, partition] of analyzer.partitions) {
+      const allocations = Array.from(partition.buckets.values()).flat();
+
+      stats[name] = {
+        buckets: Array.from(partition.buckets.keys()).sort((a, b) => a - b),
+        totalAllocations: allocations.length,
+        activeAllocations: allocations.filter(a => a.status === 'allocated').length
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Live allocations by filtering every allocation
+   * @private
+   */
+  static scanActiveAllocations(analyzer) {
+    return Array.from(analyzer.allocations.values())
+      .filter(alloc => alloc.status === 'allocated');
+  }
+
+  /**
+   * Memory totals by summing every allocation
+   * @private
+   */
+  static scanMemoryUsage(analyzer) {
+    let totalBytes = 0;
+    let activeBytes = 0;
+
+    for (const allocation of analyzer.allocations.values()) {
+      totalBytes += allocation.size;
+      if (allocation.status === 'allocated') {
+        activeBytes += allocation.size;
+      }
+    }
+
+    return { totalBytes, activeBytes };
+  }
+}
+
+// Export the HeapBenchmark
+export default HeapBenchmark;
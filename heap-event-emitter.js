@@ -0,0 +1,91 @@
+/**
+ * Event emitter base for observable heap components
+ * Dispatches individual events and a batched "change" event once per microtask
+ */
+
+class HeapEventEmitter extends EventTarget {
+  /**
+   * Create a new event emitter
+   */
+  constructor() {
+    super();
+
+    // Events dispatched since the last "change" event
+    this.pendingEvents = [];
+    this.changeScheduled = false;
+
+    // Depth of nested batch() calls
+    this.batchDepth = 0;
+  }
+
+  /**
+   * Dispatch an event and queue it for the next "change" event
+   * @param {string} type - Event type (e.g., "allocation", "free", "bug", "reset")
+   * @param {Object} detail - Event payload
+   */
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+
+    this.pendingEvents.push({ type, detail });
+    this.scheduleChange();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event type, or "change" for batched updates
+   * @param {Function} listener - Called with the event detail
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    const handler = (event) => listener(event.detail, event);
+    this.addEventListener(type, handler);
+
+    return () => this.removeEventListener(type, handler);
+  }
+
+  /**
+   * Run a function and dispatch a single "change" event for everything it emits
+   * Without batch(), events emitted in the same task are still grouped per microtask
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  batch(fn) {
+    this.batchDepth++;
+
+    try {
+      return fn();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        this.flushChanges();
+      }
+    }
+  }
+
+  /**
+   * Queue a "change" event for the end of the current task
+   * @private
+   */
+  scheduleChange() {
+    if (this.changeScheduled || this.batchDepth > 0) return;
+
+    this.changeScheduled = true;
+    queueMicrotask(() => this.flushChanges());
+  }
+
+  /**
+   * Dispatch the "change" event for all pending events
+   */
+  flushChanges() {
+    this.changeScheduled = false;
+    if (this.pendingEvents.length === 0) return;
+
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+
+    this.dispatchEvent(new CustomEvent('change', { detail: { events } }));
+  }
+}
+
+// Export the HeapEventEmitter
+export default HeapEventEmitter;
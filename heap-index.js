@@ -0,0 +1,162 @@
+/**
+ * Incrementally maintained allocation indexes
+ * Keeps the live set and per-type, per-bucket, per-partition and per-site
+ * counters up to date as allocations are recorded, freed and resized, so the
+ * analyzer's statistics cost the number of keys rather than a full scan
+ */
+
+class HeapIndex {
+  /**
+   * Create an empty index
+   */
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Build an index by scanning allocations
+   * @param {Iterable} allocations - Allocations in ID order
+   * @returns {HeapIndex} New index
+   */
+  static fromAllocations(allocations) {
+    const index = new HeapIndex();
+
+    for (const allocation of allocations) {
+      index.add(allocation);
+    }
+
+    return index;
+  }
+
+  /**
+   * Count an allocation under its current status
+   * @param {Object} allocation - Allocation
+   */
+  add(allocation) {
+    if (allocation.status === 'allocated') {
+      this.live.set(allocation.id, allocation);
+    }
+
+    this.apply(allocation, 1);
+  }
+
+  /**
+   * Move an allocation from the live counters to the freed ones
+   * @param {Object} allocation - Allocation, already marked freed
+   */
+  markFreed(allocation) {
+    this.live.delete(allocation.id);
+
+    // Added before removing so a counter never empties and loses its place
+    this.apply(allocation, 1);
+    this.apply({ ...allocation, status: 'allocated' }, -1);
+  }
+
+  /**
+   * Recount an allocation whose size or bucket changed
+   * @param {Object} before - The allocation's fields before the change
+   * @param {Object} allocation - Allocation after the change
+   */
+  update(before, allocation) {
+    this.apply(allocation, 1);
+    this.apply(before, -1);
+  }
+
+  /**
+   * Add or remove one allocation's contribution to every counter it belongs to
+   * @private
+   */
+  apply(allocation, sign) {
+    const site = allocation.metadata?.site ?? '(unknown)';
+
+    if (!this.bucketSites.has(allocation.bucketSize)) {
+      this.bucketSites.set(allocation.bucketSize, new Map());
+    }
+
+    const groups = [
+      [this.types, allocation.type],
+      [this.buckets, allocation.bucketSize],
+      [this.partitions, allocation.partition],
+      [this.sites, site],
+      [this.bucketSites.get(allocation.bucketSize), site]
+    ];
+
+    for (const [counters, key] of groups) {
+      if (!counters.has(key)) {
+        counters.set(key, HeapIndex.createCounter());
+      }
+
+      const counter = counters.get(key);
+      HeapIndex.count(counter, allocation, sign);
+
+      if (counter.count === 0) {
+        counters.delete(key);
+      }
+    }
+
+    HeapIndex.count(this.totals, allocation, sign);
+
+    if (this.bucketSites.get(allocation.bucketSize).size === 0) {
+      this.bucketSites.delete(allocation.bucketSize);
+    }
+  }
+
+  /**
+   * Create a zeroed counter
+   * @private
+   */
+  static createCounter() {
+    return {
+      count: 0,
+      active: 0,
+      freed: 0,
+      totalBytes: 0,
+      activeBytes: 0,
+      lifetimeCount: 0,
+      totalLifetime: 0
+    };
+  }
+
+  /**
+   * Add (sign 1) or remove (sign -1) an allocation from a counter
+   * @private
+   */
+  static count(counter, allocation, sign) {
+    counter.count += sign;
+    counter.totalBytes += sign * allocation.size;
+
+    if (allocation.status === 'allocated') {
+      counter.active += sign;
+      counter.activeBytes += sign * allocation.size;
+    } else {
+      counter.freed += sign;
+
+      if (allocation.freedSeq !== undefined) {
+        counter.lifetimeCount += sign;
+        counter.totalLifetime += sign * (allocation.freedSeq - allocation.seq);
+      }
+    }
+  }
+
+  /**
+   * Drop every counter
+   */
+  clear() {
+    // ID -> live allocation, in allocation order
+    this.live = new Map();
+
+    // Key -> counter of { count, active, freed, totalBytes, activeBytes, ... }
+    this.types = new Map();
+    this.buckets = new Map();
+    this.partitions = new Map();
+    this.sites = new Map();
+
+    // Bucket size -> site -> counter, to answer which code paths fill a bucket
+    this.bucketSites = new Map();
+
+    this.totals = HeapIndex.createCounter();
+  }
+}
+
+// Export the HeapIndex
+export default HeapIndex;
@@ -0,0 +1,233 @@
+/**
+ * Parser for the heap query language
+ * Turns query text into an expression tree evaluated by HeapQuery
+ */
+
+class HeapQueryParser {
+  /**
+   * Create a parser for a query
+   * @param {string} text - Query text
+   */
+  constructor(text) {
+    this.tokens = HeapQueryParser.tokenize(text);
+    this.position = 0;
+  }
+
+  /**
+   * Split query text into tokens
+   * @param {string} text - Query text
+   * @returns {Array} Tokens of kind value, symbol or word
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(0x[0-9a-fA-F]+|-?\d+(?:\.\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(<=|>=|!=|!~|[=<>~(),])|([A-Za-z_$][\w$.]*))/y;
+
+    let index = 0;
+    while (index < text.length) {
+      if (/^\s*$/.test(text.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      if (!match) {
+        throw new Error(`Unexpected character at position ${index + 1}: "${text.slice(index).trim()[0]}"`);
+      }
+
+      const [, number, doubleQuoted, singleQuoted, symbol, word] = match;
+      if (number !== undefined) {
+        tokens.push({ kind: 'value', value: number.startsWith('0x') ? parseInt(number, 16) : Number(number) });
+      } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+        tokens.push({ kind: 'value', value: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1') });
+      } else if (symbol !== undefined) {
+        tokens.push({ kind: 'symbol', value: symbol });
+      } else {
+        tokens.push({ kind: 'word', value: word });
+      }
+
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse the whole query
+   * @returns {Object} Expression tree of and/or/not/compare nodes
+   */
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('Query is empty');
+    }
+
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected "${this.tokens[this.position].value}"`);
+    }
+
+    return node;
+  }
+
+  /**
+   * or-expression: and-expression ("or" and-expression)*
+   * @private
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('or')) {
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * and-expression: not-expression ("and" not-expression)*
+   * @private
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('and')) {
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  /**
+   * not-expression: "not" not-expression | primary
+   * @private
+   */
+  parseNot() {
+    if (this.acceptKeyword('not')) {
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * primary: "(" or-expression ")" | comparison
+   * @private
+   */
+  parsePrimary() {
+    if (this.acceptSymbol('(')) {
+      const node = this.parseOr();
+      this.expectSymbol(')');
+      return node;
+    }
+
+    return this.parseComparison();
+  }
+
+  /**
+   * comparison: field (operator value | "between" value "and" value | "in" "(" values ")" | "exists")
+   * @private
+   */
+  parseComparison() {
+    const token = this.next('a field name');
+    if (token.kind !== 'word') {
+      throw new Error(`Expected a field name but found "${token.value}"`);
+    }
+
+    const field = token.value.split('.');
+
+    if (this.acceptKeyword('exists')) {
+      return { kind: 'compare', field, operator: 'exists' };
+    }
+
+    if (this.acceptKeyword('between')) {
+      const low = this.parseValue();
+      if (!this.acceptKeyword('and')) {
+        throw new Error('Expected "and" in between expression');
+      }
+      return { kind: 'compare', field, operator: 'between', value: [low, this.parseValue()] };
+    }
+
+    if (this.acceptKeyword('in')) {
+      this.expectSymbol('(');
+      const values = [this.parseValue()];
+      while (this.acceptSymbol(',')) {
+        values.push(this.parseValue());
+      }
+      this.expectSymbol(')');
+      return { kind: 'compare', field, operator: 'in', value: values };
+    }
+
+    const operator = this.next('an operator');
+    if (operator.kind !== 'symbol' || ['(', ')', ','].includes(operator.value)) {
+      throw new Error(`Expected an operator after "${token.value}" but found "${operator.value}"`);
+    }
+
+    return { kind: 'compare', field, operator: operator.value, value: this.parseValue() };
+  }
+
+  /**
+   * value: number, quoted string or bareword
+   * @private
+   */
+  parseValue() {
+    const token = this.next('a value');
+
+    if (token.kind === 'value') {
+      return token.value;
+    }
+
+    if (token.kind === 'word') {
+      // Barewords are strings, apart from a few literals
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      if (token.value === 'null') return null;
+      return token.value;
+    }
+
+    throw new Error(`Expected a value but found "${token.value}"`);
+  }
+
+  /**
+   * Consume the next token
+   * @private
+   */
+  next(expected) {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new Error(`Expected ${expected} but the query ended`);
+    }
+    return token;
+  }
+
+  /**
+   * Consume a keyword if it is next
+   * @private
+   */
+  acceptKeyword(keyword) {
+    const token = this.tokens[this.position];
+    if (token && token.kind === 'word' && token.value.toLowerCase() === keyword) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a symbol if it is next
+   * @private
+   */
+  acceptSymbol(symbol) {
+    const token = this.tokens[this.position];
+    if (token && token.kind === 'symbol' && token.value === symbol) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a symbol or fail
+   * @private
+   */
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) {
+      const token = this.tokens[this.position];
+      throw new Error(`Expected "${symbol}" but found ${token ? `"${token.value}"` : 'the end of the query'}`);
+    }
+  }
+}
+
+// Export the HeapQueryParser
+export default HeapQueryParser;
@@ -0,0 +1,161 @@
+/**
+ * Query language for filtering allocations and timeline events
+ *
+ * Expressions combine comparisons with and, or, not and parentheses:
+ *   type ~ "Array" and size between 64 and 128 and status = freed
+ *   metadata.category = "page" or (bucketSize >= 256 and not type in (String, Code))
+ *
+ * Operators: = != < <= > >= ~ (contains, case-insensitive) !~ between in exists
+ * Fields are property paths such as size, type, status, bucketSize, address or
+ * metadata.category. On timeline events, fields missing from the event are
+ * looked up on the event's allocation, so "type = deallocation and size > 64" works.
+ */
+
+import HeapQueryParser from './heap-query-parser.js';
+
+class HeapQuery {
+  /**
+   * Compile a query into a predicate
+   * @param {string} text - Query text
+   * @returns {Object} { predicate } or { error }
+   */
+  static compile(text) {
+    try {
+      const ast = new HeapQueryParser(text).parse();
+      return { predicate: (item) => HeapQuery.evaluate(ast, item), ast };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  /**
+   * Filter items with a query
+   * @param {Iterable} items - Allocations or timeline events
+   * @param {string} text - Query text
+   * @returns {Object} { results } or { error }
+   */
+  static filter(items, text) {
+    const compiled = HeapQuery.compile(text);
+    if (compiled.error) {
+      return compiled;
+    }
+
+    return { results: Array.from(items).filter(compiled.predicate) };
+  }
+
+  /**
+   * Evaluate a parsed query against an item
+   * @private
+   */
+  static evaluate(node, item) {
+    switch (node.kind) {
+      case 'and':
+        return HeapQuery.evaluate(node.left, item) && HeapQuery.evaluate(node.right, item);
+      case 'or':
+        return HeapQuery.evaluate(node.left, item) || HeapQuery.evaluate(node.right, item);
+      case 'not':
+        return !HeapQuery.evaluate(node.operand, item);
+      default:
+        return HeapQuery.compare(node, HeapQuery.resolve(item, node.field));
+    }
+  }
+
+  /**
+   * Look up a dotted field path on an item
+   * Events fall back to their allocation's fields
+   * @private
+   */
+  static resolve(item, path) {
+    const lookup = (root) => path.reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      root
+    );
+
+    const value = lookup(item);
+    if (value === undefined && item.allocation) {
+      return lookup(item.allocation);
+    }
+
+    return value;
+  }
+
+  /**
+   * Apply a comparison to a field value
+   * @private
+   */
+  static compare(node, actual) {
+    switch (node.operator) {
+      case 'exists':
+        return actual !== undefined && actual !== null;
+      case 'between':
+        return HeapQuery.order(actual, node.value[0]) >= 0 && HeapQuery.order(actual, node.value[1]) <= 0;
+      case 'in':
+        return node.value.some(value => HeapQuery.equals(actual, value));
+      case '~':
+        return HeapQuery.contains(actual, node.value);
+      case '!~':
+        return !HeapQuery.contains(actual, node.value);
+      case '=':
+        return HeapQuery.equals(actual, node.value);
+      case '!=':
+        return !HeapQuery.equals(actual, node.value);
+      case '<':
+        return HeapQuery.order(actual, node.value) < 0;
+      case '<=':
+        return HeapQuery.order(actual, node.value) <= 0;
+      case '>':
+        return HeapQuery.order(actual, node.value) > 0;
+      case '>=':
+        return HeapQuery.order(actual, node.value) >= 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Loose equality: numbers compare numerically, everything else as strings
+   * @private
+   */
+  static equals(actual, expected) {
+    if (actual === undefined || actual === null) {
+      return expected === null;
+    }
+
+    if (typeof actual === 'number' && typeof expected === 'number') {
+      return actual === expected;
+    }
+
+    return String(actual) === String(expected);
+  }
+
+  /**
+   * Case-insensitive substring match
+   * @private
+   */
+  static contains(actual, expected) {
+    if (actual === undefined || actual === null) {
+      return false;
+    }
+
+    return String(actual).toLowerCase().includes(String(expected).toLowerCase());
+  }
+
+  /**
+   * Order two values; NaN when they cannot be compared
+   * @private
+   */
+  static order(actual, expected) {
+    if (actual === undefined || actual === null) {
+      return NaN;
+    }
+
+    if (typeof expected === 'number') {
+      return Number(actual) - expected;
+    }
+
+    return String(actual).localeCompare(String(expected));
+  }
+}
+
+// Export the HeapQuery
+export default HeapQuery;
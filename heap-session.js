@@ -0,0 +1,327 @@
+/**
+ * Session export and import
+ * Saves the analyzer trace, simulated bugs, generated strategies and annotations
+ * as versioned JSON so a scenario survives a reload or can be shared
+ */
+
+import AllocatorBackends from './allocator-backends.js';
+import PartitionRouter from './partition-router.js';
+import ReferenceGraph from './reference-graph.js';
+import UafMitigations from './uaf-mitigations.js';
+
+class HeapSession {
+  /**
+   * Identifies session files
+   */
+  static FORMAT = 'heap-grooming-session';
+
+  /**
+   * Current session schema version
+   */
+  static SCHEMA_VERSION = 7;
+
+  /**
+   * Migrations by the schema version they upgrade from
+   * Each takes session data at version n and returns data at version n + 1.
+   * Fields are only filled in when missing, since files written while a
+   * field was being added may already carry it under the older version.
+   */
+  static migrations = {
+    // Version 2 saves partition routing; older sessions used the default rules
+    1: (data) => ({
+      ...data,
+      analyzer: { partitionRouting: new PartitionRouter().toJSON(), ...data.analyzer }
+    }),
+
+    // Version 3 records which thread allocated and freed; older sessions ran on main
+    2: (data) => ({
+      ...data,
+      analyzer: {
+        ...data.analyzer,
+        allocations: data.analyzer.allocations.map(allocation => ({
+          thread: 'main',
+          ...(allocation.status === 'freed' ? { freedThread: 'main' } : {}),
+          ...allocation
+        })),
+        timeline: data.analyzer.timeline.map(event => (
+          event.type === 'deallocation' ? { thread: 'main', ...event } : event
+        ))
+      }
+    }),
+
+    // Version 4 saves the reference graph; older sessions had none, so every
+    // allocation stays manually managed
+    3: (data) => ({
+      ...data,
+      analyzer: { references: new ReferenceGraph().toJSON(), ...data.analyzer }
+    }),
+
+    // Version 5 saves UAF mitigation settings; older sessions had them all off
+    4: (data) => ({
+      ...data,
+      analyzer: { mitigations: new UafMitigations().toJSON(), ...data.analyzer }
+    }),
+
+    // Version 6 saves layout randomization; older sessions used the allocator's own order
+    5: (data) => ({
+      ...data,
+      analyzer: { randomization: null, ...data.analyzer }
+    }),
+
+    // Version 7 saves the allocator profile; older sessions had hand-set options
+    6: (data) => ({
+      ...data,
+      analyzer: { profile: null, ...data.analyzer }
+    })
+  };
+
+  /**
+   * Register a migration from one schema version to the next
+   * @param {number} fromVersion - Version the migration upgrades from
+   * @param {Function} migrate - Takes session data and returns upgraded data
+   */
+  static registerMigration(fromVersion, migrate) {
+    HeapSession.migrations[fromVersion] = migrate;
+  }
+
+  /**
+   * Capture a session as plain data
+   * @param {Object} components - Toolkit components
+   * @param {HeapAnalyzer} components.analyzer - The heap analyzer
+   * @param {BugSimulator} components.bugSimulator - The bug simulator
+   * @param {GroomingStrategyGenerator} components.strategyGenerator - The strategy generator
+   * @returns {Object} Session data
+   */
+  static export({ analyzer, bugSimulator, strategyGenerator }) {
+    const allocations = analyzer.allocations;
+
+    return {
+      format: HeapSession.FORMAT,
+      schemaVersion: HeapSession.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      analyzer: {
+        backend: {
+          name: analyzer.backend.name,
+          options: analyzer.backendOptions
+        },
+        partitionRouting: analyzer.partitionRouter.toJSON(),
+        profile: analyzer.profile,
+        mitigations: analyzer.mitigations.toJSON(),
+        randomization: analyzer.randomization,
+        nextId: analyzer.nextId,
+        clock: analyzer.clock.current(),
+        stats: { ...analyzer.stats },
+        allocations: Array.from(allocations.values())
+          .map(allocation => HeapSession.encode(allocation, allocations, true)),
+        timeline: analyzer.timeline
+          .map(event => HeapSession.encode(event, allocations)),
+        annotations: Array.from(analyzer.annotations.entries()),
+        references: analyzer.references.toJSON()
+      },
+      bugs: bugSimulator ? {
+        nextBugId: bugSimulator.nextBugId,
+        activeBugs: bugSimulator.getActiveBugs()
+          .map(bug => HeapSession.encode(bug, allocations))
+      } : null,
+      strategies: strategyGenerator
+        ? Array.from(strategyGenerator.generatedStrategies.entries())
+          .map(([bugId, strategy]) => [bugId, HeapSession.encode(strategy, allocations)])
+        : []
+    };
+  }
+
+  /**
+   * Capture a session as a JSON string
+   * @param {Object} components - Toolkit components
+   * @returns {string} Session JSON
+   */
+  static serialize(components) {
+    return JSON.stringify(HeapSession.export(components), null, 2);
+  }
+
+  /**
+   * Replace the toolkit state with a saved session
+   * @param {string|Object} input - Session JSON or parsed session data
+   * @param {Object} components - Toolkit components to load into
+   * @returns {Object} Import summary, or an object with an error
+   */
+  static import(input, { analyzer, bugSimulator, strategyGenerator }) {
+    let data = input;
+
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (e) {
+        return { error: `Session is not valid JSON: ${e.message}` };
+      }
+    }
+
+    if (!data || data.format !== HeapSession.FORMAT) {
+      return { error: 'Not a heap grooming session' };
+    }
+
+    const migrated = HeapSession.migrate(data);
+    if (migrated.error) {
+      return migrated;
+    }
+
+    data = migrated;
+
+    if (!AllocatorBackends.registry[data.analyzer.backend.name]) {
+      return { error: `Unknown allocator backend: ${data.analyzer.backend.name}` };
+    }
+
+    const router = new PartitionRouter();
+    const routing = router.configure(data.analyzer.partitionRouting);
+    if (routing.error) {
+      return routing;
+    }
+
+    const mitigations = new UafMitigations();
+    const mitigationConfig = mitigations.configure(data.analyzer.mitigations);
+    if (mitigationConfig.error) {
+      return mitigationConfig;
+    }
+
+    // Rebuild allocations first so everything else can point at them
+    analyzer.reset();
+    if (bugSimulator) {
+      bugSimulator.reset();
+    }
+
+    for (const saved of data.analyzer.allocations) {
+      analyzer.allocations.set(saved.id, { ...saved });
+    }
+
+    const allocations = analyzer.allocations;
+
+    analyzer.timeline = data.analyzer.timeline
+      .map(event => HeapSession.decode(event, allocations));
+    analyzer.annotations = new Map(data.analyzer.annotations);
+    analyzer.references = ReferenceGraph.fromJSON(data.analyzer.references);
+    analyzer.nextId = data.analyzer.nextId;
+    analyzer.stats = { ...analyzer.stats, ...data.analyzer.stats };
+    analyzer.clock.observe(data.analyzer.clock);
+    analyzer.partitionRouter = router;
+    analyzer.mitigations = mitigations;
+    analyzer.randomization = data.analyzer.randomization;
+
+    // The saved backend options and routing are what replay uses; the profile
+    // name is kept only if it is registered here with the same settings
+    analyzer.profile = data.analyzer.profile;
+
+    // Addresses, buckets and slot reuse are derived by replaying the trace
+    analyzer.setBackend(data.analyzer.backend.name, data.analyzer.backend.options);
+
+    if (bugSimulator && data.bugs) {
+      for (const saved of data.bugs.activeBugs) {
+        bugSimulator.activeBugs.set(saved.id, HeapSession.decode(saved, allocations));
+      }
+      bugSimulator.nextBugId = data.bugs.nextBugId;
+    }
+
+    if (strategyGenerator) {
+      strategyGenerator.generatedStrategies = new Map(
+        data.strategies.map(([bugId, strategy]) => [bugId, HeapSession.decode(strategy, allocations)])
+      );
+    }
+
+    return {
+      success: true,
+      schemaVersion: data.schemaVersion,
+      allocations: allocations.size,
+      events: analyzer.timeline.length,
+      bugs: bugSimulator ? bugSimulator.activeBugs.size : 0
+    };
+  }
+
+  /**
+   * Upgrade session data to the current schema version
+   * @param {Object} data - Session data
+   * @returns {Object} Upgraded data, or an object with an error
+   */
+  static migrate(data) {
+    let version = data.schemaVersion;
+
+    if (!Number.isInteger(version)) {
+      return { error: 'Session has no schema version' };
+    }
+
+    if (version > HeapSession.SCHEMA_VERSION) {
+      return { error: `Session schema version ${version} is newer than supported version ${HeapSession.SCHEMA_VERSION}` };
+    }
+
+    let migrated = data;
+
+    while (version < HeapSession.SCHEMA_VERSION) {
+      const migrate = HeapSession.migrations[version];
+      if (!migrate) {
+        return { error: `No migration from session schema version ${version}` };
+      }
+
+      migrated = migrate(migrated);
+      version++;
+      migrated.schemaVersion = version;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Convert a value to plain JSON data, replacing tracked allocations with references
+   * @private
+   */
+  static encode(value, allocations, isRoot = false) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => HeapSession.encode(item, allocations));
+    }
+
+    if (!isRoot && allocations.get(value.id) === value) {
+      return { $allocation: value.id };
+    }
+
+    const encoded = {};
+
+    for (const [key, field] of Object.entries(value)) {
+      // Canvas hit boxes are recomputed on the next render
+      if (key === 'visualBounds') continue;
+
+      encoded[key] = HeapSession.encode(field, allocations);
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Restore allocation references in decoded data
+   * @private
+   */
+  static decode(value, allocations) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => HeapSession.decode(item, allocations));
+    }
+
+    if ('$allocation' in value) {
+      return allocations.get(value.$allocation) || null;
+    }
+
+    const decoded = {};
+
+    for (const [key, field] of Object.entries(value)) {
+      decoded[key] = HeapSession.decode(field, allocations);
+    }
+
+    return decoded;
+  }
+}
+
+// Export the HeapSession
+export default HeapSession;
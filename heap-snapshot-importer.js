@@ -0,0 +1,328 @@
+/**
+ * Chrome DevTools heap snapshot importer
+ * Loads .heapsnapshot and .heaptimeline files into a HeapAnalyzer
+ */
+
+class HeapSnapshotImporter {
+  /**
+   * Create a new heap snapshot importer
+   * @param {HeapAnalyzer} analyzer - The heap analyzer to import into
+   * @param {Object} options - Import options
+   * @param {boolean} options.append - Keep existing allocations instead of resetting
+   * @param {number} options.minSize - Skip nodes with a smaller self size
+   * @param {number} options.limit - Import at most this many nodes
+   * @param {boolean} options.includeWeakEdges - Keep weak retainer edges
+   */
+  constructor(analyzer, options = {}) {
+    this.analyzer = analyzer;
+    this.options = {
+      append: false,
+      minSize: 1,
+      limit: Infinity,
+      includeWeakEdges: false,
+      ...options
+    };
+
+    // V8 node types -> allocation types; null means use the node name
+    this.typeMap = {
+      'hidden': 'Hidden',
+      'array': 'Array',
+      'string': 'String',
+      'object': null,
+      'code': 'Code',
+      'closure': 'Function',
+      'regexp': 'RegExp',
+      'number': 'HeapNumber',
+      'native': null,
+      'concatenated string': 'String',
+      'sliced string': 'String',
+      'symbol': 'Symbol',
+      'bigint': 'BigInt',
+      'object shape': 'ObjectShape'
+    };
+  }
+
+  /**
+   * Import a heap snapshot or heap timeline
+   * @param {string|Object} input - File contents or parsed JSON
+   * @returns {Object} Import summary, or an object with an error
+   */
+  import(input) {
+    let data = input;
+
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (e) {
+        return { error: `Heap snapshot is not valid JSON: ${e.message}` };
+      }
+    }
+
+    const meta = data?.snapshot?.meta;
+    if (!meta || !Array.isArray(data.nodes) || !Array.isArray(data.edges) || !Array.isArray(data.strings)) {
+      return { error: 'Not a Chrome heap snapshot' };
+    }
+
+    const nodes = this.readNodes(data, meta);
+    const stacks = this.readTraceTree(data, meta);
+    const samples = this.readSamples(data, meta);
+
+    if (!this.options.append) {
+      this.analyzer.reset();
+    }
+
+    // V8 hands out heap object ids in allocation order
+    const candidates = nodes
+      .filter(node => node.type !== 'synthetic' && node.selfSize >= this.options.minSize)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, this.options.limit);
+
+    const allocationIds = new Map();
+
+    this.analyzer.batch(() => {
+      for (const node of candidates) {
+        const metadata = {
+          source: data.samples ? 'heaptimeline' : 'heapsnapshot',
+          nodeId: node.id,
+          nodeType: node.type,
+          name: node.name,
+          retainers: []
+        };
+
+        if (node.traceNodeId && stacks.has(node.traceNodeId)) {
+          metadata.stack = stacks.get(node.traceNodeId);
+        }
+
+        const sampledAt = this.findSampleTime(samples, node.id);
+        if (sampledAt !== null) {
+          metadata.timelineUs = sampledAt;
+        }
+
+        const id = this.analyzer.recordAllocation(node.selfSize, this.mapNodeType(node), metadata);
+        allocationIds.set(node.index, id);
+      }
+    });
+
+    let edgeCount = 0;
+    this.analyzer.batch(() => {
+      edgeCount = this.attachRetainers(data, meta, nodes, allocationIds);
+    });
+
+    return {
+      success: true,
+      source: data.samples ? 'heaptimeline' : 'heapsnapshot',
+      nodes: nodes.length,
+      imported: allocationIds.size,
+      skipped: nodes.length - allocationIds.size,
+      retainerEdges: edgeCount
+    };
+  }
+
+  /**
+   * Map a V8 node onto an allocation type
+   * @param {Object} node - Decoded node
+   * @returns {string} Allocation type
+   */
+  mapNodeType(node) {
+    const mapped = this.typeMap[node.type];
+    if (mapped) {
+      return mapped;
+    }
+
+    // Objects and native nodes are named after their constructor or class
+    return node.name || (node.type === 'native' ? 'Native' : 'Object');
+  }
+
+  /**
+   * Decode the flat node array
+   * @private
+   */
+  readNodes(data, meta) {
+    const fields = meta.node_fields;
+    const stride = fields.length;
+    const typeNames = meta.node_types[fields.indexOf('type')];
+    const offsets = {
+      type: fields.indexOf('type'),
+      name: fields.indexOf('name'),
+      id: fields.indexOf('id'),
+      selfSize: fields.indexOf('self_size'),
+      edgeCount: fields.indexOf('edge_count'),
+      traceNodeId: fields.indexOf('trace_node_id')
+    };
+
+    const nodes = [];
+
+    for (let offset = 0, index = 0; offset < data.nodes.length; offset += stride, index++) {
+      nodes.push({
+        index,
+        type: typeNames[data.nodes[offset + offsets.type]],
+        name: data.strings[data.nodes[offset + offsets.name]],
+        id: data.nodes[offset + offsets.id],
+        selfSize: data.nodes[offset + offsets.selfSize],
+        edgeCount: data.nodes[offset + offsets.edgeCount],
+        traceNodeId: offsets.traceNodeId === -1 ? 0 : data.nodes[offset + offsets.traceNodeId]
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Build allocation stacks from the allocation trace tree
+   * Only present when allocation tracking was on while recording
+   * @private
+   * @returns {Map} Trace node ID -> frames, innermost first
+   */
+  readTraceTree(data, meta) {
+    const stacks = new Map();
+    if (!Array.isArray(data.trace_tree) || !Array.isArray(data.trace_function_infos)) {
+      return stacks;
+    }
+
+    const infoFields = meta.trace_function_info_fields;
+    const infoStride = infoFields.length;
+    const frameFor = (infoIndex) => {
+      const base = infoIndex * infoStride;
+      const info = data.trace_function_infos;
+
+      return {
+        name: data.strings[info[base + infoFields.indexOf('name')]],
+        script: data.strings[info[base + infoFields.indexOf('script_name')]],
+        line: info[base + infoFields.indexOf('line')],
+        column: info[base + infoFields.indexOf('column')]
+      };
+    };
+
+    const nodeFields = meta.trace_node_fields;
+    const idOffset = nodeFields.indexOf('id');
+    const infoOffset = nodeFields.indexOf('function_info_index');
+    const childrenOffset = nodeFields.indexOf('children');
+
+    // Walk the nested tree, extending the parent's stack at each level
+    const pending = [{ tree: data.trace_tree, parentStack: [] }];
+
+    while (pending.length > 0) {
+      const { tree, parentStack } = pending.pop();
+
+      for (let offset = 0; offset < tree.length; offset += nodeFields.length) {
+        const frame = frameFor(tree[offset + infoOffset]);
+        const stack = frame.name === '(root)' ? parentStack : [frame, ...parentStack];
+
+        stacks.set(tree[offset + idOffset], stack);
+        pending.push({ tree: tree[offset + childrenOffset], parentStack: stack });
+      }
+    }
+
+    return stacks;
+  }
+
+  /**
+   * Read heap timeline samples
+   * @private
+   * @returns {Array} Samples of { timestampUs, lastAssignedId }, oldest first
+   */
+  readSamples(data, meta) {
+    if (!Array.isArray(data.samples) || !meta.sample_fields) {
+      return [];
+    }
+
+    const fields = meta.sample_fields;
+    const timeOffset = fields.indexOf('timestamp_us');
+    const idOffset = fields.indexOf('last_assigned_id');
+    const samples = [];
+
+    for (let offset = 0; offset < data.samples.length; offset += fields.length) {
+      samples.push({
+        timestampUs: data.samples[offset + timeOffset],
+        lastAssignedId: data.samples[offset + idOffset]
+      });
+    }
+
+    return samples;
+  }
+
+  /**
+   * Find the first timeline sample taken after a node was allocated
+   * @private
+   */
+  findSampleTime(samples, nodeId) {
+    let low = 0;
+    let high = samples.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+
+      if (samples[mid].lastAssignedId >= nodeId) {
+        found = samples[mid].timestampUs;
+        high = mid - 1;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Record each imported node's retainers from the edge array
+   * Strong edges also go into the analyzer's reference graph. Edges from
+   * synthetic nodes such as "(GC roots)" become root sets named after the
+   * node, and edges from nodes left out of the import root their target so a
+   * simulated collection doesn't free what they kept alive.
+   * @private
+   * @returns {number} Number of retainer edges kept
+   */
+  attachRetainers(data, meta, nodes, allocationIds) {
+    const fields = meta.edge_fields;
+    const stride = fields.length;
+    const typeNames = meta.edge_types[fields.indexOf('type')];
+    const typeOffset = fields.indexOf('type');
+    const nameOffset = fields.indexOf('name_or_index');
+    const toOffset = fields.indexOf('to_node');
+    const nodeStride = meta.node_fields.length;
+
+    let edgeOffset = 0;
+    let kept = 0;
+
+    for (const node of nodes) {
+      for (let i = 0; i < node.edgeCount; i++, edgeOffset += stride) {
+        const type = typeNames[data.edges[edgeOffset + typeOffset]];
+        const targetIndex = data.edges[edgeOffset + toOffset] / nodeStride;
+        const targetId = allocationIds.get(targetIndex);
+
+        if (targetId === undefined) continue;
+        if (type === 'weak' && !this.options.includeWeakEdges) continue;
+
+        // Element and hidden edges carry an index rather than a string
+        const nameOrIndex = data.edges[edgeOffset + nameOffset];
+        const name = type === 'element' || type === 'hidden'
+          ? `[${nameOrIndex}]`
+          : data.strings[nameOrIndex];
+
+        const fromId = allocationIds.get(node.index) ?? null;
+        const target = this.analyzer.allocations.get(targetId);
+        target.metadata.retainers.push({
+          type,
+          name,
+          fromId,
+          fromName: node.name
+        });
+        kept++;
+
+        if (type === 'weak') continue;
+
+        if (fromId !== null) {
+          this.analyzer.recordReference(fromId, targetId, name);
+        } else {
+          this.analyzer.addRoot(targetId, node.type === 'synthetic' ? node.name : '(not imported)');
+        }
+      }
+    }
+
+    return kept;
+  }
+}
+
+// Export the HeapSnapshotImporter
+export default HeapSnapshotImporter;
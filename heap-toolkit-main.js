@@ -13,9 +13,14 @@ import HeapToolkitUI from './heap-toolkit-ui.js';
  * Heap Grooming Toolkit main application
  */
 class HeapGroomingToolkit {
-  constructor() {
+  /**
+   * Create the toolkit
+   * @param {Object} options - Toolkit options
+   * @param {string|null} options.profile - Allocator profile to start the session with
+   */
+  constructor(options = {}) {
     // Initialize components
-    this.analyzer = new HeapAnalyzer();
+    this.analyzer = new HeapAnalyzer({ profile: options.profile ?? null });
     this.bugSimulator = new BugSimulator(this.analyzer);
     this.visualizer = new HeapVisualizer(this.analyzer);
     this.strategyGenerator = new GroomingStrategyGenerator(this.analyzer, this.bugSimulator);
@@ -42,15 +47,8 @@ class HeapGroomingToolkit {
     console.log('Initializing Heap Grooming Toolkit...');
     this.ui.initialize();
     
-    // Set initialization flag
+    // Set initialization flag; from here on the UI refreshes itself from analyzer events
     this.initialized = true;
-    
-    // Wait a short time to ensure DOM elements are fully initialized before first update
-    setTimeout(() => {
-      if (this.ui && typeof this.ui.updateUI === 'function') {
-        this.ui.updateUI();
-      }
-    }, 200);
   }
   
   /**
@@ -63,17 +61,7 @@ class HeapGroomingToolkit {
     this.reset();
     
     // Create sample allocations of various types and sizes
-    this.createSampleAllocations();
-    
-    // Update UI, but only if initialized
-    if (this.initialized && this.ui) {
-      // Add a small delay to ensure DOM is ready
-      setTimeout(() => {
-        if (this.ui && typeof this.ui.updateUI === 'function') {
-          this.ui.updateUI();
-        }
-      }, 50);
-    }
+    this.analyzer.batch(() => this.createSampleAllocations());
   }
   
   /**
@@ -134,27 +122,19 @@ class HeapGroomingToolkit {
     // Clear any existing data
     this.reset();
     
-    // Simulate browser startup allocations
-    this.simulateBrowserStartup();
-    
-    // Simulate a page load
-    this.simulatePageLoad();
-    
-    // Simulate user interactions and DOM manipulations
-    this.simulateUserInteractions();
-    
-    // Simulate an AJAX request
-    this.simulateAjaxRequest();
-    
-    // Update UI, but only if initialized
-    if (this.initialized && this.ui) {
-      // Add a small delay to ensure DOM is ready
-      setTimeout(() => {
-        if (this.ui && typeof this.ui.updateUI === 'function') {
-          this.ui.updateUI();
-        }
-      }, 50);
-    }
+    this.analyzer.batch(() => {
+      // Simulate browser startup allocations
+      this.simulateBrowserStartup();
+      
+      // Simulate a page load
+      this.simulatePageLoad();
+      
+      // Simulate user interactions and DOM manipulations
+      this.simulateUserInteractions();
+      
+      // Simulate an AJAX request
+      this.simulateAjaxRequest();
+    });
   }
   
   /**
@@ -171,16 +151,6 @@ class HeapGroomingToolkit {
     if (this.bugSimulator) {
       this.bugSimulator.reset();
     }
-    
-    // Update UI only if already initialized
-    if (this.initialized && this.ui) {
-      // Add a small delay to ensure DOM is ready
-      setTimeout(() => {
-        if (this.ui && typeof this.ui.updateUI === 'function') {
-          this.ui.updateUI();
-        }
-      }, 50);
-    }
   }
   
   /**
@@ -312,7 +282,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Wait for DOM to be fully loaded
   setTimeout(() => {
     try {
-      const toolkit = new HeapGroomingToolkit();
+      const toolkit = new HeapGroomingToolkit({
+        profile: new URLSearchParams(window.location.search).get('profile')
+      });
       toolkit.initialize();
       
       // Add demo buttons to the page
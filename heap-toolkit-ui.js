@@ -3,17 +3,39 @@
  * Provides the UI framework and main interaction components
  */
 
+import AddressSpace from './address-space.js';
+import AllocatorBackends from './allocator-backends.js';
+import AllocatorProfiles from './allocator-profiles.js';
+import HeapSession from './heap-session.js';
+import HeapSnapshotImporter from './heap-snapshot-importer.js';
+import AllocationTraceImporter from './allocation-trace-importer.js';
+import UafMitigations from './uaf-mitigations.js';
+
 // Import utility for DOM manipulation
 function $(selector) {
   return document.querySelector(selector);
 }
 
+// Escape names from imported files before they go into markup
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
 class HeapToolkitUI {
   /**
    * Create a new heap toolkit UI
    * @param {Object} components - Component instances
    */
   constructor(components) {
+    // Lists read from this.analyzer, which is a reconstructed past state
+    // while the timeline slider is moved back; changes go to liveAnalyzer
+    this.liveAnalyzer = components.analyzer;
     this.analyzer = components.analyzer;
     this.visualizer = components.visualizer;
     this.bugSimulator = components.bugSimulator;
@@ -23,6 +45,15 @@ class HeapToolkitUI {
     this.activeTab = 'visualize';
     this.selectedAllocationId = null;
     this.selectedBugId = null;
+    this.listUpdateScheduled = false;
+    this.activeQuery = null;
+    
+    // Longest allocations list rendered before the rest is summarized
+    this.maxListedAllocations = 500;
+    
+    // Number of timeline events shown, or null for the live heap
+    this.timelinePosition = null;
+    this.playbackTimer = null;
     
     // UI element references
     this.elements = {
@@ -63,10 +94,21 @@ class HeapToolkitUI {
     // Mark as initialized
     this.initialized = true;
     
-    // Initial UI update (with a small delay to ensure DOM is ready)
-    setTimeout(() => {
-      this.updateUI();
-    }, 50);
+    // Refresh the lists whenever the analyzer or simulator report changes;
+    // the visualizer redraws itself
+    this.liveAnalyzer.on('change', () => this.scheduleListUpdate());
+    this.bugSimulator.on('change', () => this.scheduleListUpdate());
+    this.liveAnalyzer.on('reset', () => {
+      this.selectedAllocationId = null;
+      this.pauseTimeline();
+      this.timelinePosition = null;
+      this.analyzer = this.liveAnalyzer;
+    });
+    this.bugSimulator.on('reset', () => {
+      this.selectedBugId = null;
+    });
+    
+    this.updateUI();
   }
   
   /**
@@ -92,6 +134,35 @@ class HeapToolkitUI {
       <div class="toolkit-content">
         <!-- Visualization Tab -->
         <div class="content-panel active" id="visualize-panel">
+          <div class="controls">
+            <label for="allocator-backend-selector">Allocator:</label>
+            <select id="allocator-backend-selector">
+              ${AllocatorBackends.list()
+                .map(backend => `<option value="${backend.name}">${backend.label}</option>`)
+                .join('')}
+            </select>
+            <label for="allocator-profile-selector">Profile:</label>
+            <select id="allocator-profile-selector">
+              <option value="">Custom</option>
+              ${AllocatorProfiles.list()
+                .map(profile => `<option value="${escapeHtml(profile.name)}" title="${escapeHtml(profile.description)}">${escapeHtml(profile.label)}</option>`)
+                .join('')}
+            </select>
+            ${UafMitigations.NAMES
+              .map(name => `<label><input type="checkbox" class="mitigation-toggle" data-mitigation="${name}"> ${UafMitigations.LABELS[name]}</label>`)
+              .join('')}
+            <label><input type="checkbox" id="randomize-layout"> Randomize Layout</label>
+            <input type="number" id="randomization-seed" min="0" placeholder="Seed" style="width: 7em">
+            <button id="purge-thread-caches">Purge Thread Caches</button>
+            <button id="collect-garbage">Collect Garbage</button>
+            <button id="export-session">Export Session</button>
+            <button id="import-session">Import Session</button>
+            <input type="file" id="import-session-file" accept=".json,application/json" style="display: none">
+            <button id="import-heap-snapshot">Import Heap Snapshot</button>
+            <input type="file" id="import-heap-snapshot-file" accept=".heapsnapshot,.heaptimeline,.json" style="display: none">
+            <button id="import-malloc-trace">Import Malloc Trace</button>
+            <input type="file" id="import-malloc-trace-file" accept=".txt,.log,.csv" style="display: none">
+          </div>
           <div class="visualization-container">
             <div class="canvas-container">
               <h3>Memory Buckets</h3>
@@ -126,6 +197,12 @@ class HeapToolkitUI {
             <div class="sidebar">
               <div class="section">
                 <h3>Allocations</h3>
+                <div class="controls">
+                  <input type="text" id="allocation-query" placeholder='type ~ "Array" and size > 64'>
+                  <button id="run-query">Search</button>
+                  <button id="clear-query">Clear</button>
+                </div>
+                <div class="query-status" id="query-status"></div>
                 <div class="list-container" id="allocations-list"></div>
               </div>
               <div class="section">
@@ -148,6 +225,14 @@ class HeapToolkitUI {
                 <h3>Statistics</h3>
                 <div id="statistics"></div>
               </div>
+              <div class="section">
+                <h3>Fragmentation</h3>
+                <div id="fragmentation"></div>
+                <div class="controls">
+                  <button id="sample-fragmentation-history">Sample Over Time</button>
+                </div>
+                <div id="fragmentation-history"></div>
+              </div>
             </div>
           </div>
         </div>
@@ -373,6 +458,26 @@ class HeapToolkitUI {
           border: 1px solid #ddd;
         }
         
+        .controls input[type="text"] {
+          width: 100%;
+          box-sizing: border-box;
+          margin-bottom: 5px;
+          padding: 5px;
+          border: 1px solid #ddd;
+          border-radius: 3px;
+          font-family: monospace;
+        }
+        
+        .query-status {
+          font-size: 12px;
+          color: #666;
+          margin-bottom: 5px;
+        }
+        
+        .query-status.error {
+          color: #F44336;
+        }
+        
         pre {
           background-color: #f5f5f5;
           padding: 10px;
@@ -385,6 +490,7 @@ class HeapToolkitUI {
         #bug-details,
         #strategy-output,
         #statistics,
+        #fragmentation,
         #exploitability,
         #mitigations {
           background-color: #f5f5f5;
@@ -430,6 +536,19 @@ class HeapToolkitUI {
     };
     this.elements.bugsList = $('#bugs-list');
     this.elements.strategyOutput = $('#strategy-output');
+    this.elements.backendSelector = $('#allocator-backend-selector');
+    this.elements.profileSelector = $('#allocator-profile-selector');
+    this.elements.mitigationToggles = Array.from(document.querySelectorAll('.mitigation-toggle'));
+    this.elements.randomizeLayout = $('#randomize-layout');
+    this.elements.randomizationSeed = $('#randomization-seed');
+    
+    if (this.elements.backendSelector) {
+      this.elements.backendSelector.value = this.analyzer.backend.name;
+    }
+    if (this.elements.profileSelector) {
+      this.elements.profileSelector.value = this.analyzer.profile || '';
+    }
+    this.updateMitigationToggles();
     
     // Initialize canvas elements for the visualizer
     this.visualizer.initialize({
@@ -456,23 +575,176 @@ class HeapToolkitUI {
     // Timeline controls
     if (this.elements.timelineControls && this.elements.timelineControls.play) {
       this.elements.timelineControls.play.addEventListener('click', () => {
-        // Play timeline animation
-        console.log('Play timeline');
+        this.playTimeline();
       });
     }
     
     if (this.elements.timelineControls && this.elements.timelineControls.pause) {
       this.elements.timelineControls.pause.addEventListener('click', () => {
-        // Pause timeline animation
-        console.log('Pause timeline');
+        this.pauseTimeline();
       });
     }
     
     if (this.elements.timelineControls && this.elements.timelineControls.slider) {
       this.elements.timelineControls.slider.addEventListener('input', (e) => {
-        // Update timeline position
-        const value = parseInt(e.target.value);
-        console.log('Timeline position:', value);
+        // Scrubbing stops playback
+        this.pauseTimeline();
+        this.showTimelinePosition(parseInt(e.target.value));
+      });
+    }
+    
+    // Allocation query
+    const queryInput = $('#allocation-query');
+    const runQueryBtn = $('#run-query');
+    const clearQueryBtn = $('#clear-query');
+    if (queryInput && runQueryBtn) {
+      runQueryBtn.addEventListener('click', () => {
+        this.runQuery(queryInput.value);
+      });
+      
+      queryInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.runQuery(queryInput.value);
+        }
+      });
+    }
+    
+    if (clearQueryBtn) {
+      clearQueryBtn.addEventListener('click', () => {
+        this.runQuery('');
+      });
+    }
+    
+    // Allocator backend selection
+    if (this.elements.backendSelector) {
+      this.elements.backendSelector.addEventListener('change', (e) => {
+        // Lay the recorded trace out again; the relayout event refreshes the views
+        this.liveAnalyzer.setBackend(e.target.value);
+      });
+    }
+    
+    // Allocator profiles; "Custom" only describes hand-made settings, so picking it changes nothing
+    if (this.elements.profileSelector) {
+      this.elements.profileSelector.addEventListener('change', (e) => {
+        if (e.target.value) {
+          this.liveAnalyzer.setProfile(e.target.value);
+        } else {
+          e.target.value = this.liveAnalyzer.profile || '';
+        }
+      });
+    }
+    
+    // UAF mitigations; each toggle relays the trace out with the others unchanged
+    this.elements.mitigationToggles.forEach(toggle => {
+      toggle.addEventListener('change', (e) => {
+        this.liveAnalyzer.setMitigations({
+          [e.target.dataset.mitigation]: { enabled: e.target.checked }
+        });
+      });
+    });
+    
+    // Layout randomization; an empty seed picks one, shown once applied
+    const applyRandomization = () => {
+      const seedText = this.elements.randomizationSeed ? this.elements.randomizationSeed.value : '';
+      const result = this.liveAnalyzer.setRandomization(this.elements.randomizeLayout.checked
+        ? { seed: seedText === '' ? undefined : Number(seedText) }
+        : null);
+      
+      if (result.error) {
+        alert(result.error);
+        this.updateMitigationToggles();
+      }
+    };
+    
+    if (this.elements.randomizeLayout) {
+      this.elements.randomizeLayout.addEventListener('change', applyRandomization);
+    }
+    if (this.elements.randomizationSeed) {
+      this.elements.randomizationSeed.addEventListener('change', () => {
+        if (this.elements.randomizeLayout?.checked) {
+          applyRandomization();
+        }
+      });
+    }
+    
+    const purgeThreadCachesBtn = $('#purge-thread-caches');
+    if (purgeThreadCachesBtn) {
+      purgeThreadCachesBtn.addEventListener('click', () => {
+        this.liveAnalyzer.purgeThreadCache();
+      });
+    }
+    
+    const collectGarbageBtn = $('#collect-garbage');
+    if (collectGarbageBtn) {
+      collectGarbageBtn.addEventListener('click', () => {
+        this.liveAnalyzer.collectGarbage();
+      });
+    }
+    
+    // Session export and import
+    const exportSessionBtn = $('#export-session');
+    if (exportSessionBtn) {
+      exportSessionBtn.addEventListener('click', () => {
+        this.exportSession();
+      });
+    }
+    
+    const importSessionBtn = $('#import-session');
+    const importSessionFile = $('#import-session-file');
+    if (importSessionBtn && importSessionFile) {
+      importSessionBtn.addEventListener('click', () => {
+        importSessionFile.click();
+      });
+      
+      importSessionFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        this.importSession(await file.text());
+        
+        // Allow importing the same file again
+        e.target.value = '';
+      });
+    }
+    
+    // Chrome DevTools heap snapshot import
+    const importSnapshotBtn = $('#import-heap-snapshot');
+    const importSnapshotFile = $('#import-heap-snapshot-file');
+    if (importSnapshotBtn && importSnapshotFile) {
+      importSnapshotBtn.addEventListener('click', () => {
+        importSnapshotFile.click();
+      });
+      
+      importSnapshotFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        this.importHeapSnapshot(await file.text());
+        e.target.value = '';
+      });
+    }
+    
+    // Native malloc/free trace import
+    const sampleHistoryBtn = $('#sample-fragmentation-history');
+    if (sampleHistoryBtn) {
+      sampleHistoryBtn.addEventListener('click', () => {
+        this.showFragmentationHistory();
+      });
+    }
+    
+    const importTraceBtn = $('#import-malloc-trace');
+    const importTraceFile = $('#import-malloc-trace-file');
+    if (importTraceBtn && importTraceFile) {
+      importTraceBtn.addEventListener('click', () => {
+        importTraceFile.click();
+      });
+      
+      importTraceFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        this.importMallocTrace(await file.text());
+        e.target.value = '';
       });
     }
     
@@ -612,6 +884,116 @@ class HeapToolkitUI {
       return;
     }
     
+    this.updateLists();
+    
+    // Refresh visualizations
+    if (this.visualizer) {
+      this.visualizer.render();
+    }
+  }
+  
+  /**
+   * Coalesce change events from the analyzer and simulator into one list update
+   * @private
+   */
+  scheduleListUpdate() {
+    if (this.listUpdateScheduled) return;
+    
+    this.listUpdateScheduled = true;
+    queueMicrotask(() => {
+      this.listUpdateScheduled = false;
+      
+      // A past state has to be rebuilt if the trace was laid out again
+      if (this.timelinePosition !== null) {
+        this.showTimelinePosition(this.timelinePosition);
+        return;
+      }
+      
+      this.updateLists();
+      
+      if (this.selectedAllocationId) {
+        this.updateAllocationDetails(this.selectedAllocationId);
+      }
+    });
+  }
+  
+  /**
+   * Show the heap as it was after a number of timeline events
+   * @param {number} position - Number of events to replay; the timeline length shows the live heap
+   */
+  showTimelinePosition(position) {
+    const length = this.liveAnalyzer.timeline.length;
+    
+    if (position >= length) {
+      this.timelinePosition = null;
+      this.analyzer = this.liveAnalyzer;
+      this.visualizer.showState(null);
+    } else {
+      this.timelinePosition = Math.max(0, position);
+      this.analyzer = this.liveAnalyzer.stateAt(this.timelinePosition - 1);
+      this.visualizer.showState(this.analyzer);
+    }
+    
+    this.updateLists();
+    
+    if (this.selectedAllocationId) {
+      this.updateAllocationDetails(this.selectedAllocationId);
+    }
+  }
+  
+  /**
+   * Step through the timeline from the current position (or the start) to the live heap
+   */
+  playTimeline() {
+    if (this.playbackTimer) return;
+    
+    let position = this.timelinePosition === null ? 0 : this.timelinePosition;
+    this.showTimelinePosition(position);
+    
+    this.playbackTimer = setInterval(() => {
+      position++;
+      this.showTimelinePosition(position);
+      
+      if (this.timelinePosition === null) {
+        this.pauseTimeline();
+      }
+    }, 150);
+  }
+  
+  /**
+   * Stop timeline playback at the current position
+   */
+  pauseTimeline() {
+    if (this.playbackTimer) {
+      clearInterval(this.playbackTimer);
+      this.playbackTimer = null;
+    }
+  }
+  
+  /**
+   * Sync the slider and position label with the timeline
+   */
+  updateTimelineControls() {
+    const controls = this.elements.timelineControls;
+    if (!controls || !controls.slider) return;
+    
+    const length = this.liveAnalyzer.timeline.length;
+    const position = this.timelinePosition === null ? length : this.timelinePosition;
+    
+    controls.slider.max = length;
+    controls.slider.value = position;
+    
+    if (controls.info) {
+      controls.info.textContent = this.timelinePosition === null
+        ? `Current: ${position}/${length} (live)`
+        : `Current: ${position}/${length}`;
+    }
+  }
+  
+  /**
+   * Update the lists, statistics and selectors
+   */
+  updateLists() {
     // Update lists
     this.updateAllocationsList();
     this.updateBucketsList();
@@ -619,11 +1001,113 @@ class HeapToolkitUI {
     this.updateStatistics();
     this.updateBugsList();
     this.updateStrategyBugSelector();
+    this.updateTimelineControls();
     
-    // Refresh visualizations
-    if (this.visualizer) {
-      this.visualizer.render();
+    if (this.elements.backendSelector) {
+      this.elements.backendSelector.value = this.liveAnalyzer.backend.name;
+    }
+    if (this.elements.profileSelector) {
+      this.elements.profileSelector.value = this.liveAnalyzer.profile || '';
+    }
+    this.updateMitigationToggles();
+  }
+  
+  /**
+   * Match the mitigation and randomization controls to the live analyzer
+   * @private
+   */
+  updateMitigationToggles() {
+    (this.elements.mitigationToggles || []).forEach(toggle => {
+      toggle.checked = this.liveAnalyzer.mitigations.isEnabled(toggle.dataset.mitigation);
+    });
+    
+    const randomization = this.liveAnalyzer.randomization;
+    if (this.elements.randomizeLayout) {
+      this.elements.randomizeLayout.checked = randomization !== null;
+    }
+    if (this.elements.randomizationSeed && randomization) {
+      this.elements.randomizationSeed.value = randomization.seed;
+    }
+  }
+  
+  /**
+   * Download the current session as a JSON file
+   */
+  exportSession() {
+    const json = HeapSession.serialize({
+      analyzer: this.liveAnalyzer,
+      bugSimulator: this.bugSimulator,
+      strategyGenerator: this.strategyGenerator
+    });
+    
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `heap-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Replace the current session with one loaded from JSON
+   * @param {string} json - Session JSON
+   */
+  importSession(json) {
+    const result = HeapSession.import(json, {
+      analyzer: this.liveAnalyzer,
+      bugSimulator: this.bugSimulator,
+      strategyGenerator: this.strategyGenerator
+    });
+    
+    if (result.error) {
+      console.error('Error importing session:', result.error);
+      alert(`Failed to import session: ${result.error}`);
+      return;
+    }
+    
+    console.log(`Imported session with ${result.allocations} allocations and ${result.bugs} bugs`);
+  }
+  
+  /**
+   * Replace the current heap with a Chrome DevTools heap snapshot or timeline
+   * @param {string} json - .heapsnapshot or .heaptimeline contents
+   */
+  importHeapSnapshot(json) {
+    const importer = new HeapSnapshotImporter(this.liveAnalyzer);
+    const result = importer.import(json);
+    
+    if (result.error) {
+      console.error('Error importing heap snapshot:', result.error);
+      alert(`Failed to import heap snapshot: ${result.error}`);
+      return;
     }
+    
+    // Simulated bugs referred to the allocations that were replaced
+    this.bugSimulator.reset();
+    
+    console.log(`Imported ${result.imported} of ${result.nodes} nodes from ${result.source} with ${result.retainerEdges} retainer edges`);
+  }
+  
+  /**
+   * Replace the current heap with a replayed malloc/free trace
+   * @param {string} text - Text or CSV trace
+   */
+  importMallocTrace(text) {
+    const importer = new AllocationTraceImporter(this.liveAnalyzer);
+    const staleBugs = Array.from(this.bugSimulator.activeBugs.keys());
+    const result = importer.import(text);
+    
+    if (result.error) {
+      console.error('Error importing malloc trace:', result.error);
+      alert(`Failed to import malloc trace: ${result.error}`);
+      return;
+    }
+    
+    // Simulated bugs referred to the allocations that were replaced; the
+    // double and invalid frees found in the trace are kept
+    staleBugs.forEach(bugId => this.bugSimulator.removeBug(bugId));
+    
+    console.log(`Replayed ${result.records} calls: ${result.allocations} allocations, ${result.frees} frees, ${result.doubleFrees} double frees, ${result.invalidFrees} invalid frees, ${result.skipped.length} skipped lines`);
   }
   
   /**
@@ -638,16 +1122,36 @@ class HeapToolkitUI {
     
     list.innerHTML = '';
     
-    const allocations = Array.from(this.analyzer.allocations.values());
+    let allocations = Array.from(this.analyzer.allocations.values());
+    
+    // Narrow the list to the active query and highlight the matches
+    if (this.activeQuery) {
+      const result = this.analyzer.queryAllocations(this.activeQuery);
+      
+      if (result.error) {
+        this.showQueryStatus(`Query error: ${result.error}`, true);
+        this.visualizer.setHighlightedAllocations(null);
+      } else {
+        allocations = result.results;
+        this.showQueryStatus(`${allocations.length} matching allocations`);
+        this.visualizer.setHighlightedAllocations(allocations.map(allocation => allocation.id));
+      }
+    }
     
     if (allocations.length === 0) {
-      list.innerHTML = '<div class="list-item">No allocations</div>';
+      list.innerHTML = `<div class="list-item">${this.activeQuery ? 'No matching allocations' : 'No allocations'}</div>`;
       return;
     }
     
     // Sort by ID
     allocations.sort((a, b) => a.id - b.id);
     
+    // Large traces would build a DOM node per allocation; the rest stay reachable by query
+    const hidden = allocations.length - this.maxListedAllocations;
+    if (hidden > 0) {
+      allocations = allocations.slice(0, this.maxListedAllocations);
+    }
+    
     allocations.forEach(allocation => {
       const item = document.createElement('div');
       item.className = 'list-item';
@@ -669,6 +1173,13 @@ class HeapToolkitUI {
       
       list.appendChild(item);
     });
+    
+    if (hidden > 0) {
+      const more = document.createElement('div');
+      more.className = 'list-item';
+      more.textContent = `...and ${hidden} more; narrow the list with a query`;
+      list.appendChild(more);
+    }
   }
   
   /**
@@ -694,11 +1205,19 @@ class HeapToolkitUI {
     
     buckets.forEach(bucketSize => {
       const stats = bucketStats[bucketSize];
+      if (!stats) {
+        return;
+      }
       
       const item = document.createElement('div');
       item.className = 'list-item';
       item.textContent = `${bucketSize} bytes (${stats.activeAllocations}/${stats.totalAllocations})`;
       
+      // Hovering shows which call sites fill the bucket
+      item.title = this.analyzer.generateSiteStats(bucketSize)
+        .map(site => `${site.count} (${site.active} live): ${site.site}`)
+        .join('\n');
+      
       item.addEventListener('click', () => {
         // Filter allocations list to show only this bucket
         this.filterAllocationsByBucket(bucketSize);
@@ -846,23 +1365,47 @@ class HeapToolkitUI {
     const adjacent = this.analyzer.findAdjacentAllocations(id);
     
     // Format timestamps
-    const timestamp = new Date(allocation.timestamp).toLocaleTimeString();
-    const freedTime = allocation.freedAt ? 
-      new Date(allocation.freedAt).toLocaleTimeString() : 'N/A';
+    const timestamp = allocation.timestamp ?
+      `#${allocation.seq} at ${new Date(allocation.timestamp).toLocaleTimeString()}` : `#${allocation.seq}`;
+    let freedTime = 'N/A';
+    if (allocation.freedSeq !== undefined) {
+      freedTime = allocation.freedAt ?
+        `#${allocation.freedSeq} at ${new Date(allocation.freedAt).toLocaleTimeString()}` : `#${allocation.freedSeq}`;
+      
+      const freeEvent = this.analyzer.timeline.find(event =>
+        event.type === 'deallocation' && event.seq === allocation.freedSeq);
+      if (freeEvent?.reason === 'gc') {
+        freedTime += ' (garbage collected)';
+      }
+    }
     
-    // Calculate lifetime
+    // Calculate lifetime in heap events, plus wall time when it was recorded
     let lifetime = 'Still alive';
-    if (allocation.status === 'freed' && allocation.freedAt) {
-      const ms = allocation.freedAt - allocation.timestamp;
-      lifetime = ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
+    if (allocation.status === 'freed' && allocation.freedSeq !== undefined) {
+      lifetime = `${allocation.freedSeq - allocation.seq} events`;
+      
+      if (allocation.freedAt && allocation.timestamp) {
+        const ms = allocation.freedAt - allocation.timestamp;
+        lifetime += ms < 1000 ? ` (${ms}ms)` : ` (${(ms / 1000).toFixed(2)}s)`;
+      }
     }
     
+    // List each realloc, oldest first
+    const reallocations = this.analyzer.timeline
+      .filter(event => event.type === 'reallocation' && event.allocation.id === id)
+      .map(event => {
+        const change = `${event.oldSize} -> ${event.size} bytes`;
+        return event.inPlace
+          ? `#${event.seq}: ${change}, in place`
+          : `#${event.seq}: ${change}, moved ${AddressSpace.formatAddress(event.from.address)} (${event.from.bucketSize}) -> ${AddressSpace.formatAddress(event.to.address)} (${event.to.bucketSize})`;
+      });
+    
     detailsElement.innerHTML = `
       <h4>Allocation #${allocation.id}</h4>
       <table>
         <tr>
           <td><strong>Type:</strong></td>
-          <td>${allocation.type}</td>
+          <td>${escapeHtml(allocation.type)}</td>
         </tr>
         <tr>
           <td><strong>Size:</strong></td>
@@ -870,7 +1413,27 @@ class HeapToolkitUI {
         </tr>
         <tr>
           <td><strong>Bucket:</strong></td>
-          <td>${this.analyzer.findBucketForSize(allocation.size)} bytes</td>
+          <td>${allocation.bucketSize} bytes</td>
+        </tr>
+        <tr>
+          <td><strong>Thread:</strong></td>
+          <td>${escapeHtml(allocation.thread ?? 'N/A')}${allocation.freedThread && allocation.freedThread !== allocation.thread ? ` (freed on ${escapeHtml(allocation.freedThread)})` : ''}</td>
+        </tr>
+        <tr>
+          <td><strong>Site:</strong></td>
+          <td id="allocation-site"></td>
+        </tr>
+        <tr>
+          <td><strong>Partition:</strong></td>
+          <td>${escapeHtml(allocation.partition)}${this.analyzer.backend.isolatesPartitions ? '' : ' (shared memory)'}</td>
+        </tr>
+        <tr>
+          <td><strong>Address:</strong></td>
+          <td>${AddressSpace.formatAddress(allocation.address)}</td>
+        </tr>
+        <tr>
+          <td><strong>Region:</strong></td>
+          <td>${AddressSpace.formatAddress(allocation.slotSpan)} (${this.analyzer.backend.regionLabel})</td>
         </tr>
         <tr>
           <td><strong>Status:</strong></td>
@@ -888,22 +1451,64 @@ class HeapToolkitUI {
           <td><strong>Lifetime:</strong></td>
           <td>${lifetime}</td>
         </tr>
+        <tr>
+          <td><strong>Reallocations:</strong></td>
+          <td>${reallocations.length > 0 ? reallocations.join('<br>') : 'None'}</td>
+        </tr>
+        <tr>
+          <td><strong>Reuses Slot Of:</strong></td>
+          <td>${allocation.reuses ? `#${allocation.reuses}` : 'None'}</td>
+        </tr>
+        <tr>
+          <td><strong>Slot Reused By:</strong></td>
+          <td>${allocation.reusedBy ? `#${allocation.reusedBy}` : 'None'}</td>
+        </tr>
         <tr>
           <td><strong>Previous:</strong></td>
-          <td>${adjacent.prev ? `#${adjacent.prev.id} (${adjacent.prev.type})` : 'None'}</td>
+          <td>${adjacent.prev ? `#${adjacent.prev.id} (${escapeHtml(adjacent.prev.type)})` : 'None'}</td>
         </tr>
         <tr>
           <td><strong>Next:</strong></td>
-          <td>${adjacent.next ? `#${adjacent.next.id} (${adjacent.next.type})` : 'None'}</td>
+          <td>${adjacent.next ? `#${adjacent.next.id} (${escapeHtml(adjacent.next.type)})` : 'None'}</td>
         </tr>
       </table>
       
+      <div class="controls">
+        <label for="allocation-annotation">Note:</label>
+        <input type="text" id="allocation-annotation" placeholder="Add a note">
+        <button id="save-annotation-btn">Save Note</button>
+      </div>
+      
       <div class="controls">
         <button id="simulate-overflow-btn">Simulate Overflow</button>
         <button id="simulate-uaf-btn" ${allocation.status === 'freed' ? '' : 'disabled'}>Simulate UAF</button>
       </div>
+      
+      <h4>Retention</h4>
+      <div id="allocation-retention"></div>
     `;
     
+    this.renderRetention(id);
+    
+    // Sites are stack text, so they are never parsed as HTML either
+    const siteCell = $('#allocation-site');
+    if (siteCell) {
+      siteCell.textContent = allocation.metadata?.site ?? 'Unknown';
+    }
+    
+    // Set the note as a value so user text is never parsed as HTML
+    const annotationInput = $('#allocation-annotation');
+    if (annotationInput) {
+      annotationInput.value = this.analyzer.getAnnotation(id) || '';
+    }
+    
+    const saveAnnotationBtn = $('#save-annotation-btn');
+    if (saveAnnotationBtn && annotationInput) {
+      saveAnnotationBtn.addEventListener('click', () => {
+        this.liveAnalyzer.annotate(id, annotationInput.value.trim());
+      });
+    }
+    
     // Add event listeners for the buttons
     const simulateOverflowBtn = $('#simulate-overflow-btn');
     if (simulateOverflowBtn) {
@@ -928,6 +1533,94 @@ class HeapToolkitUI {
     }
   }
   
+  /**
+   * Show retained size, dominators and retainer paths for an allocation
+   * Built from DOM nodes since edge names come from imported snapshots
+   * @private
+   */
+  renderRetention(id) {
+    const container = $('#allocation-retention');
+    if (!container) return;
+    
+    const retention = this.analyzer.analyzeRetention(id);
+    const describe = (allocationId) => {
+      const allocation = this.analyzer.allocations.get(allocationId);
+      return `#${allocationId} ${allocation ? allocation.type : ''}`;
+    };
+    
+    // A line of text where each allocation ID selects that allocation
+    const addLine = (parent, parts) => {
+      const line = document.createElement('div');
+      
+      parts.forEach(part => {
+        if (typeof part === 'number') {
+          const link = document.createElement('a');
+          link.href = '#';
+          link.textContent = describe(part);
+          link.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.selectedAllocationId = part;
+            if (this.visualizer) {
+              this.visualizer.selectAllocation(part);
+            }
+            this.updateAllocationDetails(part);
+            this.highlightAllocationInList(part);
+          });
+          line.appendChild(link);
+        } else {
+          line.appendChild(document.createTextNode(part));
+        }
+      });
+      
+      parent.appendChild(line);
+    };
+    
+    if (!retention.managed) {
+      addLine(container, ['Not in the reference graph; this allocation is manually managed']);
+      return;
+    }
+    
+    if (!retention.reachable) {
+      addLine(container, [this.analyzer.allocations.get(id).status === 'allocated'
+        ? 'Unreachable from the roots; the next collection frees it'
+        : 'Freed']);
+      return;
+    }
+    
+    addLine(container, [`Retained size: ${retention.retainedSize} bytes (self ${retention.selfSize} bytes)`]);
+    
+    if (retention.rootSets.length > 0) {
+      addLine(container, [`Root sets: ${retention.rootSets.join(', ')}`]);
+    }
+    
+    addLine(container, retention.immediateDominator === null
+      ? ['Immediate dominator: roots']
+      : ['Immediate dominator: ', retention.immediateDominator]);
+    
+    if (retention.dominatorChain.length > 1) {
+      addLine(container, ['Dominator chain: roots', ...retention.dominatorChain.flatMap(dominator => [' > ', dominator])]);
+    }
+    
+    if (retention.dominated.length > 0) {
+      addLine(container, [`Dominates ${retention.dominated.length}:`]);
+      retention.dominated.slice(0, 10).forEach(dominated => {
+        addLine(container, ['  ', dominated.id, ` (retains ${dominated.retainedSize} bytes)`]);
+      });
+    }
+    
+    addLine(container, ['Retainer paths:']);
+    retention.retainerPaths.forEach(path => {
+      const parts = [`  [${path.rootSets.join(', ')}] `];
+      path.steps.forEach((step, index) => {
+        if (index > 0) {
+          parts.push(step.name === null ? ' > ' : ` .${step.name} > `);
+        }
+        parts.push(step.id);
+      });
+      addLine(container, parts);
+    });
+  }
+  
   /**
    * Update bug details
    * @param {number} id - Bug ID
@@ -968,9 +1661,13 @@ class HeapToolkitUI {
             <td>${bug.overflowSize} bytes</td>
           </tr>
           <tr>
-            <td><strong>Corrupted Object:</strong></td>
-            <td>${bug.impact.corruptedAllocation ? 
-              `#${bug.impact.corruptedAllocation.id} (${bug.impact.corruptedAllocation.type})` : 
+            <td><strong>Slot Slack:</strong></td>
+            <td>${bug.impact.slack ?? 0} bytes</td>
+          </tr>
+          <tr>
+            <td><strong>Corrupted Objects:</strong></td>
+            <td>${bug.impact.corruptedAllocations ? 
+              bug.impact.corruptedAllocations.map(a => `#${a.id} (${escapeHtml(a.type)})`).join(', ') : 
               'None identified'}
             </td>
           </tr>
@@ -982,10 +1679,43 @@ class HeapToolkitUI {
           <tr>
             <td><strong>Reusing Object:</strong></td>
             <td>${bug.impact.reusingAllocation ? 
-              `#${bug.impact.reusingAllocation.id} (${bug.impact.reusingAllocation.type})` : 
+              `#${bug.impact.reusingAllocation.id} (${escapeHtml(bug.impact.reusingAllocation.type)})` : 
               'None identified yet'}
             </td>
           </tr>
+          ${bug.impact.heldBy ? `
+          <tr>
+            <td><strong>Held By:</strong></td>
+            <td>${bug.impact.heldBy.map(name => UafMitigations.LABELS[name]).join(', ')}</td>
+          </tr>` : ''}
+          ${bug.impact.mitigations ? `
+          <tr>
+            <td><strong>Mitigations:</strong></td>
+            <td>${bug.impact.mitigations
+              .map(result => `${result.label}${result.enabled ? ' (on)' : ''}: ${result.effect}`)
+              .join('<br>')}
+            </td>
+          </tr>` : ''}
+        `;
+        break;
+        
+      case 'double-free':
+        bugSpecificDetails = `
+          <tr>
+            <td><strong>First Freed:</strong></td>
+            <td>#${bug.firstFreedSeq}</td>
+          </tr>
+          <tr>
+            <td><strong>Freed Again:</strong></td>
+            <td>#${bug.seq} on ${escapeHtml(bug.thread)}</td>
+          </tr>
+          <tr>
+            <td><strong>Victim Object:</strong></td>
+            <td>${bug.impact.victimAllocation ? 
+              `#${bug.impact.victimAllocation.id} (${escapeHtml(bug.impact.victimAllocation.type)})` : 
+              'None'}
+            </td>
+          </tr>
         `;
         break;
         
@@ -993,22 +1723,21 @@ class HeapToolkitUI {
         bugSpecificDetails = `
           <tr>
             <td><strong>Original Type:</strong></td>
-            <td>${bug.impact.originalType || source.type}</td>
+            <td>${escapeHtml(bug.impact.originalType || source.type)}</td>
           </tr>
           <tr>
             <td><strong>Confused Type:</strong></td>
-            <td>${bug.wrongType || bug.impact.confusedType || 'Unknown'}</td>
+            <td>${escapeHtml(bug.wrongType || bug.impact.confusedType || 'Unknown')}</td>
           </tr>
         `;
         break;
     }
     
-    detailsElement.innerHTML = `
-      <h4>Bug #${bug.id}: ${bug.type}</h4>
-      <table>
+    // Invalid frees name an allocation that never existed
+    const sourceRows = source ? `
         <tr>
           <td><strong>Source Object:</strong></td>
-          <td>#${source.id} (${source.type})</td>
+          <td>#${source.id} (${escapeHtml(source.type)})</td>
         </tr>
         <tr>
           <td><strong>Object Size:</strong></td>
@@ -1017,7 +1746,16 @@ class HeapToolkitUI {
         <tr>
           <td><strong>Bucket:</strong></td>
           <td>${this.analyzer.findBucketForSize(source.size)} bytes</td>
-        </tr>
+        </tr>` : `
+        <tr>
+          <td><strong>${bug.traceAddress ? 'Freed Address' : 'Freed ID'}:</strong></td>
+          <td>${bug.traceAddress ?? `#${bug.sourceId}`} (never allocated)</td>
+        </tr>`;
+    
+    detailsElement.innerHTML = `
+      <h4>Bug #${bug.id}: ${bug.type}</h4>
+      <table>
+        ${sourceRows}
         <tr>
           <td><strong>Severity:</strong></td>
           <td class="severity-${bug.impact.severity || 'medium'}">${bug.impact.severity || 'Medium'}</td>
@@ -1025,14 +1763,18 @@ class HeapToolkitUI {
         ${bugSpecificDetails}
         <tr>
           <td><strong>Notes:</strong></td>
-          <td>${bug.impact.notes || 'None'}</td>
+          <td>${escapeHtml(bug.impact.notes || 'None')}</td>
         </tr>
       </table>
       
       <div class="controls">
         <button id="generate-strategy-for-bug">Generate Strategy</button>
+        ${bug.type === 'overflow' || bug.type === 'use-after-free'
+          ? '<button id="measure-randomization">Measure Layout Randomization</button>'
+          : ''}
         <button id="remove-bug">Remove Bug</button>
       </div>
+      <div id="randomization-results"></div>
     `;
     
     // Generate exploitability assessment
@@ -1044,14 +1786,21 @@ class HeapToolkitUI {
         
         <h5>Exploitation Factors:</h5>
         <ul>
-          ${assessment.factors.map(factor => `<li>${factor}</li>`).join('')}
+          ${assessment.factors.map(factor => `<li>${escapeHtml(factor)}</li>`).join('')}
         </ul>
         
         <h5>Exploitation Difficulties:</h5>
         <ul>
-          ${assessment.difficulties.map(diff => `<li>${diff}</li>`).join('')}
+          ${assessment.difficulties.map(diff => `<li>${escapeHtml(diff)}</li>`).join('')}
         </ul>
         
+        ${assessment.mitigations?.length > 0 ? `
+          <h5>Mitigation Effects on Reuse:</h5>
+          <ul>
+            ${assessment.mitigations.map(result => `<li><strong>${result.label}:</strong> ${escapeHtml(result.notes)}</li>`).join('')}
+          </ul>
+        ` : ''}
+        
         <p>Overall exploitation score: ${assessment.score}/100</p>
       `;
     }
@@ -1086,6 +1835,13 @@ class HeapToolkitUI {
       });
     }
     
+    const measureRandomizationBtn = $('#measure-randomization');
+    if (measureRandomizationBtn) {
+      measureRandomizationBtn.addEventListener('click', () => {
+        this.renderRandomizationResults(id);
+      });
+    }
+    
     const removeBugBtn = $('#remove-bug');
     if (removeBugBtn) {
       removeBugBtn.addEventListener('click', () => {
@@ -1098,6 +1854,55 @@ class HeapToolkitUI {
     }
   }
   
+  /**
+   * Replay a bug under randomized layouts and show how often it still lands
+   * @private
+   */
+  renderRandomizationResults(bugId) {
+    const container = $('#randomization-results');
+    if (!container) return;
+    
+    const result = this.bugSimulator.measureRandomization(bugId);
+    if (result.error) {
+      container.textContent = result.error;
+      return;
+    }
+    
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const baseline = result.baseline.targetId !== null
+      ? `#${result.baseline.targetId} (${escapeHtml(result.baseline.targetType)})`
+      : 'nothing';
+    
+    container.innerHTML = `
+      <h5>Layout Randomization (${result.trials} seeds)</h5>
+      <table>
+        <tr>
+          <td><strong>Deterministic Target:</strong></td>
+          <td>${baseline}</td>
+        </tr>
+        <tr>
+          <td><strong>Same Target:</strong></td>
+          <td>${percent(result.sameTargetRate)}</td>
+        </tr>
+        <tr>
+          <td><strong>Any Target:</strong></td>
+          <td>${percent(result.anyTargetRate)}</td>
+        </tr>
+        <tr>
+          <td><strong>Critical Target:</strong></td>
+          <td>${percent(result.criticalRate)}</td>
+        </tr>
+        <tr>
+          <td><strong>Target Types:</strong></td>
+          <td>${Object.entries(result.targetTypes).map(([type, count]) => `${escapeHtml(type)}: ${count}`).join(', ') || 'None'}</td>
+        </tr>
+      </table>
+      ${result.randomizable.length === 0
+        ? `<p>${this.analyzer.backend.label} has no order to randomize.</p>`
+        : ''}
+    `;
+  }
+  
   /**
    * Update statistics display
    */
@@ -1111,17 +1916,11 @@ class HeapToolkitUI {
     const stats = this.analyzer.stats;
     const bucketStats = this.analyzer.generateBucketStats();
     const typeStats = this.analyzer.generateTypeStats();
+    const threadCaches = this.analyzer.backend.getThreadCacheStats();
+    const mitigations = this.analyzer.mitigations.describe();
     
-    // Calculate total memory usage
-    let totalMemory = 0;
-    let activeMemory = 0;
-    
-    for (const allocation of this.analyzer.allocations.values()) {
-      totalMemory += allocation.size;
-      if (allocation.status === 'allocated') {
-        activeMemory += allocation.size;
-      }
-    }
+    // Memory totals are kept by the analyzer's index
+    const { totalBytes: totalMemory, activeBytes: activeMemory } = this.analyzer.getMemoryUsage();
     
     // Format memory sizes
     const formatMemory = (bytes) => {
@@ -1133,6 +1932,16 @@ class HeapToolkitUI {
     statsElement.innerHTML = `
       <h4>Overall Statistics</h4>
       <table>
+        <tr>
+          <td><strong>Allocator:</strong></td>
+          <td>${this.analyzer.backend.label}${this.analyzer.randomization ? ` (randomized, seed ${this.analyzer.randomization.seed})` : ''}</td>
+        </tr>
+        ${this.analyzer.profile ? `
+          <tr>
+            <td><strong>Profile:</strong></td>
+            <td>${escapeHtml(AllocatorProfiles.get(this.analyzer.profile)?.label || this.analyzer.profile)}</td>
+          </tr>
+        ` : ''}
         <tr>
           <td><strong>Total Allocations:</strong></td>
           <td>${stats.totalAllocations}</td>
@@ -1145,6 +1954,10 @@ class HeapToolkitUI {
           <td><strong>Total Deallocations:</strong></td>
           <td>${stats.totalDeallocations}</td>
         </tr>
+        <tr>
+          <td><strong>Total Reallocations:</strong></td>
+          <td>${stats.totalReallocations ?? 0}</td>
+        </tr>
         <tr>
           <td><strong>Peak Live Allocations:</strong></td>
           <td>${stats.maxLiveAllocations}</td>
@@ -1165,11 +1978,47 @@ class HeapToolkitUI {
           .sort((a, b) => b[1].count - a[1].count)
           .slice(0, 5)
           .map(([type, stats]) => `
-            <li>${type}: ${stats.count} allocations (${formatMemory(stats.totalSize)})</li>
+            <li>${escapeHtml(type)}: ${stats.count} allocations (${formatMemory(stats.totalSize)})</li>
           `)
           .join('')}
       </ul>
       
+      ${threadCaches && Object.keys(threadCaches).length > 0 ? `
+        <h4>Thread Caches</h4>
+        <ul>
+          ${Object.entries(threadCaches)
+            .map(([thread, cache]) => `
+              <li>${escapeHtml(thread)}: ${cache.cachedSlots} slots cached (${cache.hits} hits, ${cache.misses} misses)</li>
+            `)
+            .join('')}
+        </ul>
+      ` : ''}
+      
+      ${UafMitigations.NAMES.some(name => mitigations.config[name].enabled) ? `
+        <h4>UAF Mitigations</h4>
+        <ul>
+          ${UafMitigations.NAMES
+            .filter(name => mitigations.config[name].enabled)
+            .map(name => `
+              <li>${UafMitigations.LABELS[name]}: holding ${mitigations.byMitigation[name]} slots</li>
+            `)
+            .join('')}
+          <li>${mitigations.heldSlots} slots (${formatMemory(mitigations.heldBytes)}) kept out of reuse</li>
+        </ul>
+      ` : ''}
+      
+      <h4>Partitions</h4>
+      <ul>
+        ${Object.entries(this.analyzer.generatePartitionStats())
+          .map(([name, stats]) => `
+            <li>${escapeHtml(name)}: ${stats.totalAllocations} allocations (${stats.activeAllocations} active) in ${stats.buckets.length} buckets</li>
+          `)
+          .join('')}
+      </ul>
+      
+      <h4>Top Allocation Sites</h4>
+      <ul id="site-stats"></ul>
+      
       <h4>Most Used Buckets</h4>
       <ul>
         ${Object.entries(bucketStats)
@@ -1181,52 +2030,109 @@ class HeapToolkitUI {
           .join('')}
       </ul>
     `;
+    
+    // Filled as text since sites are stack traces
+    const siteList = $('#site-stats');
+    if (siteList) {
+      this.analyzer.generateSiteStats().slice(0, 5).forEach(site => {
+        const item = document.createElement('li');
+        item.textContent = `${site.site}: ${site.count} allocations (${formatMemory(site.totalBytes)}) in ` +
+          Object.keys(site.buckets).map(size => `${size}B`).join(', ');
+        siteList.appendChild(item);
+      });
+    }
+    
+    this.updateFragmentation();
   }
   
   /**
-   * Filter allocations list by bucket
-   * @param {number} bucketSize - Bucket size to filter by
+   * Update the per-bucket fragmentation table
    */
-  filterAllocationsByBucket(bucketSize) {
-    const list = this.elements.allocationsList;
-    if (!list) {
-      console.warn('Allocations list element not found');
+  updateFragmentation() {
+    const fragmentationElement = $('#fragmentation');
+    if (!fragmentationElement) return;
+    
+    const { buckets, totals } = this.analyzer.generateFragmentationStats();
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+    
+    if (Object.keys(buckets).length === 0) {
+      fragmentationElement.innerHTML = '<p>No allocations</p>';
       return;
     }
     
-    list.innerHTML = '';
+    fragmentationElement.innerHTML = `
+      <p>
+        Rounding waste: ${totals.internalWaste} bytes (${percent(totals.wasteRatio)} of live slots)<br>
+        External fragmentation: ${percent(totals.externalFragmentation)}
+        (${totals.interleavedFreeSlots} of ${totals.freeSlots} free slots between live ones)
+      </p>
+      <table>
+        <tr>
+          <th>Bucket</th>
+          <th>Waste</th>
+          <th>Free</th>
+          <th>Interleaved</th>
+          <th>Largest Free Run</th>
+          <th>Fragmentation</th>
+          <th>Occupancy</th>
+        </tr>
+        ${Object.entries(buckets).map(([size, bucket]) => `
+          <tr>
+            <td>${size}</td>
+            <td>${bucket.internalWaste} B (${percent(bucket.wasteRatio)})</td>
+            <td>${bucket.freeSlots}</td>
+            <td>${bucket.interleavedFreeSlots}</td>
+            <td>${bucket.largestFreeRun} (${bucket.largestFreeRunBytes} B)</td>
+            <td>${percent(bucket.externalFragmentation)}</td>
+            <td>${percent(bucket.averageOccupancy)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+  
+  /**
+   * Sample fragmentation across the live timeline and show it
+   */
+  showFragmentationHistory() {
+    const historyElement = $('#fragmentation-history');
+    if (!historyElement) return;
     
-    const allocations = this.analyzer.getAllocationsInBucket(bucketSize);
+    const history = this.liveAnalyzer.getFragmentationHistory(20);
+    const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
     
-    if (allocations.length === 0) {
-      list.innerHTML = '<div class="list-item">No allocations in this bucket</div>';
+    if (history.length === 0) {
+      historyElement.innerHTML = '<p>Timeline is empty</p>';
       return;
     }
     
-    // Sort by ID
-    allocations.sort((a, b) => a.id - b.id);
-    
-    allocations.forEach(allocation => {
-      const item = document.createElement('div');
-      item.className = 'list-item';
-      if (allocation.id === this.selectedAllocationId) {
-        item.classList.add('selected');
-      }
-      
-      item.textContent = `#${allocation.id}: ${allocation.type} (${allocation.size} bytes)`;
-      item.dataset.id = allocation.id;
-      
-      item.addEventListener('click', () => {
-        this.selectedAllocationId = allocation.id;
-        if (this.visualizer) {
-          this.visualizer.selectAllocation(allocation.id);
-        }
-        this.updateAllocationDetails(allocation.id);
-        this.highlightAllocationInList(allocation.id);
-      });
-      
-      list.appendChild(item);
-    });
+    historyElement.innerHTML = `
+      <h4>Over Time</h4>
+      <table>
+        <tr>
+          <th>Event</th>
+          <th>Waste</th>
+          <th>Free Slots</th>
+          <th>Fragmentation</th>
+        </tr>
+        ${history.map(point => `
+          <tr>
+            <td>#${point.seq}</td>
+            <td>${point.totals.internalWaste} B (${percent(point.totals.wasteRatio)})</td>
+            <td>${point.totals.freeSlots}</td>
+            <td>${percent(point.totals.externalFragmentation)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+  
+  /**
+   * Filter allocations list by bucket
+   * @param {number} bucketSize - Bucket size to filter by
+   */
+  filterAllocationsByBucket(bucketSize) {
+    this.runQuery(`bucketSize = ${bucketSize}`);
   }
   
   /**
@@ -1234,46 +2140,39 @@ class HeapToolkitUI {
    * @param {string} type - Object type to filter by
    */
   filterAllocationsByType(type) {
-    const list = this.elements.allocationsList;
-    if (!list) {
-      console.warn('Allocations list element not found');
-      return;
-    }
-    
-    list.innerHTML = '';
+    this.runQuery(`type = "${type.replace(/["\\]/g, '\\$&')}"`);
+  }
+  
+  /**
+   * Filter the allocations list and highlight matches in the visualizer
+   * @param {string} query - Query text; empty clears the filter
+   */
+  runQuery(query) {
+    this.activeQuery = query.trim() || null;
     
-    const allocations = Array.from(this.analyzer.allocations.values())
-      .filter(alloc => alloc.type === type);
+    const input = $('#allocation-query');
+    if (input) {
+      input.value = this.activeQuery || '';
+    }
     
-    if (allocations.length === 0) {
-      list.innerHTML = '<div class="list-item">No allocations of this type</div>';
-      return;
+    if (!this.activeQuery) {
+      this.showQueryStatus('');
+      this.visualizer.setHighlightedAllocations(null);
     }
     
-    // Sort by ID
-    allocations.sort((a, b) => a.id - b.id);
+    this.updateAllocationsList();
+  }
+  
+  /**
+   * Show the result count or error for the active query
+   * @private
+   */
+  showQueryStatus(message, isError = false) {
+    const status = $('#query-status');
+    if (!status) return;
     
-    allocations.forEach(allocation => {
-      const item = document.createElement('div');
-      item.className = 'list-item';
-      if (allocation.id === this.selectedAllocationId) {
-        item.classList.add('selected');
-      }
-      
-      item.textContent = `#${allocation.id}: ${allocation.type} (${allocation.size} bytes)`;
-      item.dataset.id = allocation.id;
-      
-      item.addEventListener('click', () => {
-        this.selectedAllocationId = allocation.id;
-        if (this.visualizer) {
-          this.visualizer.selectAllocation(allocation.id);
-        }
-        this.updateAllocationDetails(allocation.id);
-        this.highlightAllocationInList(allocation.id);
-      });
-      
-      list.appendChild(item);
-    });
+    status.textContent = message;
+    status.className = isError ? 'query-status error' : 'query-status';
   }
   
   /**
@@ -1328,7 +2227,7 @@ class HeapToolkitUI {
             <select id="source-alloc">
               ${Array.from(this.analyzer.allocations.values())
                 .filter(a => a.status === 'allocated')
-                .map(a => `<option value="${a.id}">#${a.id}: ${a.type} (${a.size} bytes)</option>`)
+                .map(a => `<option value="${a.id}">#${a.id}: ${escapeHtml(a.type)} (${a.size} bytes)</option>`)
                 .join('')}
             </select>
           </div>
@@ -1347,7 +2246,7 @@ class HeapToolkitUI {
             <select id="freed-alloc">
               ${Array.from(this.analyzer.allocations.values())
                 .filter(a => a.status === 'freed')
-                .map(a => `<option value="${a.id}">#${a.id}: ${a.type} (${a.size} bytes)</option>`)
+                .map(a => `<option value="${a.id}">#${a.id}: ${escapeHtml(a.type)} (${a.size} bytes)</option>`)
                 .join('')}
             </select>
           </div>
@@ -1362,7 +2261,7 @@ class HeapToolkitUI {
             <select id="source-alloc">
               ${Array.from(this.analyzer.allocations.values())
                 .filter(a => a.status === 'allocated')
-                .map(a => `<option value="${a.id}">#${a.id}: ${a.type} (${a.size} bytes)</option>`)
+                .map(a => `<option value="${a.id}">#${a.id}: ${escapeHtml(a.type)} (${a.size} bytes)</option>`)
                 .join('')}
             </select>
           </div>
@@ -1370,7 +2269,7 @@ class HeapToolkitUI {
             <label for="wrong-type">Wrong Type:</label>
             <select id="wrong-type">
               ${Array.from(new Set(Array.from(this.analyzer.allocations.values()).map(a => a.type)))
-                .map(type => `<option value="${type}">${type}</option>`)
+                .map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`)
                 .join('')}
             </select>
           </div>
@@ -1609,7 +2508,7 @@ class HeapToolkitUI {
         <div class="bug-form">
           <div class="form-group">
             <label>Source Allocation:</label>
-            <div>#${source.id}: ${source.type} (${source.size} bytes)</div>
+            <div>#${source.id}: ${escapeHtml(source.type)} (${source.size} bytes)</div>
           </div>
           <div class="form-group">
             <label for="overflow-size">Overflow Size (bytes):</label>
@@ -1688,8 +2587,8 @@ class HeapToolkitUI {
         <ol>
           ${strategy.phases.map(phase => `
             <li>
-              <h5>${phase.type}: ${phase.description}</h5>
-              ${phase.code ? `<pre>${phase.code}</pre>` : ''}
+              <h5>${phase.type}: ${escapeHtml(phase.description)}</h5>
+              ${phase.code ? `<pre>${escapeHtml(phase.code)}</pre>` : ''}
             </li>
           `).join('')}
         </ol>
@@ -1697,8 +2596,8 @@ class HeapToolkitUI {
     }
     
     outputElement.innerHTML = `
-      <h3>${strategy.name}</h3>
-      <p>${strategy.description}</p>
+      <h3>${escapeHtml(strategy.name)}</h3>
+      <p>${escapeHtml(strategy.description)}</p>
       
       <h4>Target Information:</h4>
       <table>
@@ -1710,13 +2609,19 @@ class HeapToolkitUI {
           <td><strong>Target Bucket:</strong></td>
           <td>${strategy.targetBucket || 'Various'} bytes</td>
         </tr>
+        ${strategy.partition ? `
+          <tr>
+            <td><strong>Partition:</strong></td>
+            <td>${escapeHtml(strategy.partition)}</td>
+          </tr>
+        ` : ''}
         <tr>
           <td><strong>Approach:</strong></td>
           <td>${strategy.approach || 'Generic'}</td>
         </tr>
         <tr>
           <td><strong>Target Objects:</strong></td>
-          <td>${strategy.targetObjects ? strategy.targetObjects.join(', ') : 'Various'}</td>
+          <td>${strategy.targetObjects ? escapeHtml(strategy.targetObjects.join(', ')) : 'Various'}</td>
         </tr>
       </table>
       
@@ -1724,9 +2629,20 @@ class HeapToolkitUI {
       
       <div class="controls">
         <button id="generate-code-from-strategy">Generate Exploit Code</button>
+        ${strategy.phases.some(phase => phase.simulation)
+          ? '<button id="estimate-reliability">Estimate Reliability</button>'
+          : ''}
       </div>
+      <div id="reliability-results"></div>
     `;
     
+    const estimateReliabilityBtn = $('#estimate-reliability');
+    if (estimateReliabilityBtn) {
+      estimateReliabilityBtn.addEventListener('click', () => {
+        this.renderReliabilityResults(bugId);
+      });
+    }
+    
     // Add event listener for the button
     const generateCodeBtn = $('#generate-code-from-strategy');
     if (generateCodeBtn) {
@@ -1741,6 +2657,54 @@ class HeapToolkitUI {
     }
   }
   
+  /**
+   * Run a bug's strategy against seeded noisy heaps and show how often it works
+   * @private
+   */
+  renderReliabilityResults(bugId) {
+    const container = $('#reliability-results');
+    if (!container) return;
+    
+    const result = this.strategyGenerator.estimateReliability(bugId);
+    if (result.error) {
+      container.textContent = result.error;
+      return;
+    }
+    
+    const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+    const goals = {
+      adjacent: 'Target adjacent to overflow',
+      reused: 'Target reuses freed slot',
+      stale: 'Freed slot left unused'
+    };
+    
+    container.innerHTML = `
+      <h4>Reliability (${result.trials} runs)</h4>
+      <table>
+        <tr>
+          <td><strong>Goal:</strong></td>
+          <td>${goals[result.goal]}</td>
+        </tr>
+        <tr>
+          <td><strong>Success Rate:</strong></td>
+          <td>${percent(result.probability)} (${result.successes}/${result.trials})</td>
+        </tr>
+        <tr>
+          <td><strong>${result.confidence * 100}% Confidence Interval:</strong></td>
+          <td>${percent(result.interval.low)} - ${percent(result.interval.high)}</td>
+        </tr>
+        <tr>
+          <td><strong>Conditions:</strong></td>
+          <td>${result.randomized ? 'Randomized layout per run' : 'Fixed layout'}, ${result.noise} noise events per phase</td>
+        </tr>
+        <tr>
+          <td><strong>Outcomes:</strong></td>
+          <td>${Object.entries(result.outcomes).map(([outcome, count]) => `${outcome}: ${count}`).join(', ')}</td>
+        </tr>
+      </table>
+    `;
+  }
+  
   /**
    * Generate code based on a template
    * @param {string} template - Template name
@@ -1937,6 +2901,11 @@ function forceGC() {
   if (window.gc) {
     window.gc();
   }
+  
+  // Let the toolkit's heap model collect too, when it is loaded on the page
+  if (window.heapTools) {
+    window.heapTools.collectGarbage();
+  }
 }
 
 // Run a defragmentation cycle
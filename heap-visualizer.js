@@ -4,6 +4,7 @@
  */
 
 import HeapAnalyzer from './heap-analyzer.js';
+import AddressSpace from './address-space.js';
 
 class HeapVisualizer {
   /**
@@ -12,6 +13,9 @@ class HeapVisualizer {
    * @param {Object} options - Visualization options
    */
   constructor(analyzer, options = {}) {
+    // The analyzer being recorded into, and the one currently drawn;
+    // they differ while a past state from the timeline is shown
+    this.liveAnalyzer = analyzer;
     this.analyzer = analyzer;
     this.options = {
       colors: {
@@ -20,6 +24,7 @@ class HeapVisualizer {
         selected: "#2196F3",   // Blue
         overflow: "#FF9800",   // Orange
         uaf: "#9C27B0",        // Purple
+        realloc: "#00BCD4",    // Cyan
         default: "#9E9E9E",    // Gray
         text: "#212121",       // Dark gray
         background: "#FFFFFF", // White
@@ -33,6 +38,9 @@ class HeapVisualizer {
     // Track selected allocations for highlighting
     this.selectedAllocationId = null;
     
+    // Allocation IDs matched by a query; others are drawn dimmed (null = no query)
+    this.highlightedIds = null;
+    
     // Element references
     this.canvasElements = {
       bucketView: null,
@@ -43,6 +51,58 @@ class HeapVisualizer {
     
     // Contexts for drawing
     this.contexts = {};
+    
+    // Redraw once per batch of analyzer changes
+    this.liveAnalyzer.on('reset', () => {
+      this.selectedAllocationId = null;
+      this.analyzer = this.liveAnalyzer;
+    });
+    this.liveAnalyzer.on('change', () => {
+      this.render();
+    });
+  }
+  
+  /**
+   * Draw a reconstructed heap state instead of the live heap
+   * @param {HeapAnalyzer|null} state - State from analyzer.stateAt, or null for the live heap
+   */
+  showState(state) {
+    this.analyzer = state || this.liveAnalyzer;
+    this.render();
+  }
+  
+  /**
+   * Highlight query results; everything else is dimmed
+   * @param {Iterable|null} ids - Allocation IDs, or null to clear
+   */
+  setHighlightedAllocations(ids) {
+    const next = ids ? new Set(ids) : null;
+    const previous = this.highlightedIds;
+    
+    // Lists refresh often; only redraw when the highlighted set really changed
+    const unchanged = next === previous || (next && previous &&
+      next.size === previous.size && [...next].every(id => previous.has(id)));
+    
+    this.highlightedIds = next;
+    if (!unchanged) {
+      this.render();
+    }
+  }
+  
+  /**
+   * Set the canvas opacity for an allocation depending on the active query
+   * @private
+   */
+  applyHighlight(ctx, allocationId) {
+    ctx.globalAlpha = this.highlightedIds && !this.highlightedIds.has(allocationId) ? 0.2 : 1;
+  }
+  
+  /**
+   * Check whether a past state is being shown
+   * @returns {boolean} True if not showing the live heap
+   */
+  isShowingPastState() {
+    return this.analyzer !== this.liveAnalyzer;
   }
   
   /**
@@ -110,19 +170,24 @@ class HeapVisualizer {
     // Draw title
     ctx.fillStyle = this.options.colors.text;
     ctx.font = 'bold 14px Arial';
-    ctx.fillText('Memory Bucket Visualization', 10, 20);
+    ctx.fillText(`Memory Bucket Visualization (${this.analyzer.backend.label})`, 10, 20);
+    
+    // Slot and row positions, for drawing the selected allocation's last move
+    const slotPositions = new Map();
+    const rowPositions = new Map();
     
     // Draw each bucket
     buckets.forEach((bucketSize, index) => {
       const y = bucketPadding + index * bucketSpacing;
+      rowPositions.set(bucketSize, { x: bucketLabelWidth, y: y + bucketHeight / 2 });
       
       // Draw bucket label
       ctx.fillStyle = this.options.colors.text;
       ctx.font = '12px Arial';
       ctx.fillText(`${bucketSize} bytes`, 10, y + bucketHeight / 2 + 4);
       
-      // Get allocations in this bucket
-      const allocations = this.analyzer.getAllocationsInBucket(bucketSize);
+      // Get the current occupant of each slot in this bucket
+      const allocations = this.analyzer.getSlotOccupants(bucketSize);
       const activeAllocations = allocations.filter(a => a.status === "allocated");
       const freedAllocations = allocations.filter(a => a.status === "freed");
       
@@ -141,9 +206,11 @@ class HeapVisualizer {
         
         allocations.forEach((allocation, slotIndex) => {
           const slotX = bucketLabelWidth + slotIndex * slotWidth;
+          const previous = allocations[slotIndex - 1];
+          slotPositions.set(allocation.address, { x: slotX + slotWidth / 2, y: y + bucketHeight / 2 });
           
           // Set color based on allocation status
-          if (allocation.id === this.selectedAllocationId) {
+          if (allocation.id === this.selectedAllocationId && !allocation.vacated) {
             ctx.fillStyle = this.options.colors.selected;
           } else {
             ctx.fillStyle = allocation.status === "allocated" 
@@ -152,12 +219,24 @@ class HeapVisualizer {
           }
           
           // Draw the slot
+          this.applyHighlight(ctx, allocation.id);
           ctx.fillRect(slotX, y, slotWidth, bucketHeight);
+          ctx.globalAlpha = 1;
           
           // Add a border to separate slots
           ctx.strokeStyle = this.options.colors.background;
           ctx.lineWidth = 1;
           ctx.strokeRect(slotX, y, slotWidth, bucketHeight);
+          
+          // Mark the start of a new slot span
+          if (previous && previous.slotSpan !== allocation.slotSpan) {
+            ctx.strokeStyle = this.options.colors.text;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(slotX, y - 2);
+            ctx.lineTo(slotX, y + bucketHeight + 2);
+            ctx.stroke();
+          }
         });
       }
       
@@ -167,6 +246,49 @@ class HeapVisualizer {
       ctx.font = '10px Arial';
       ctx.fillText(utilizationText, width - 80, y + bucketHeight / 2 + 3);
     });
+    
+    this.drawReallocationMove(ctx, slotPositions, rowPositions);
+  }
+  
+  /**
+   * Draw an arrow from the selected allocation's previous slot to its current one
+   * The old slot is only drawn while another allocation occupies it, so the
+   * arrow otherwise starts at the old bucket's row
+   * @private
+   */
+  drawReallocationMove(ctx, slotPositions, rowPositions) {
+    if (this.selectedAllocationId === null) return;
+    
+    const move = this.analyzer.timeline.findLast(event =>
+      event.type === "reallocation" && !event.inPlace &&
+      event.allocation.id === this.selectedAllocationId
+    );
+    if (!move) return;
+    
+    const start = slotPositions.get(move.from.address) || rowPositions.get(move.from.bucketSize);
+    const end = slotPositions.get(move.to.address);
+    if (!start || !end) return;
+    
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const head = 8;
+    
+    ctx.strokeStyle = this.options.colors.realloc;
+    ctx.fillStyle = this.options.colors.realloc;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - head * Math.cos(angle - Math.PI / 6), end.y - head * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(end.x - head * Math.cos(angle + Math.PI / 6), end.y - head * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+    
+    ctx.font = '10px Arial';
+    ctx.fillText(`realloc ${move.oldSize} -> ${move.size} bytes`, end.x + 6, end.y - 6);
   }
   
   /**
@@ -185,17 +307,17 @@ class HeapVisualizer {
     ctx.fillStyle = this.options.colors.background;
     ctx.fillRect(0, 0, width, height);
     
-    // Get timeline events
-    const events = this.analyzer.timeline;
+    // The whole recorded timeline is drawn, with a cursor when showing a past state
+    const events = this.liveAnalyzer.timeline;
     if (events.length === 0) {
       this.drawNoDataMessage(ctx, width, height);
       return;
     }
     
-    // Calculate time range
-    const startTime = events[0]?.timestamp || Date.now();
-    const endTime = events[events.length - 1]?.timestamp || Date.now();
-    const timeRange = Math.max(1, endTime - startTime);
+    // Events are spaced by logical sequence number, since many share a wall-clock millisecond
+    const startSeq = events[0].seq;
+    const endSeq = events[events.length - 1].seq;
+    const seqRange = Math.max(1, endSeq - startSeq);
     
     // Draw title
     ctx.fillStyle = this.options.colors.text;
@@ -216,8 +338,8 @@ class HeapVisualizer {
     const eventHeight = 20;
     
     events.forEach(event => {
-      const timeOffset = event.timestamp - startTime;
-      const x = 50 + (timeOffset / timeRange) * (width - 60);
+      const seqOffset = event.seq - startSeq;
+      const x = 50 + (seqOffset / seqRange) * (width - 60);
       const y = axisY - eventHeight;
       
       // Set color based on event type
@@ -231,6 +353,11 @@ class HeapVisualizer {
           event.allocation.id === this.selectedAllocationId 
             ? this.options.colors.selected 
             : this.options.colors.freed;
+      } else if (event.type === "reallocation") {
+        ctx.fillStyle = 
+          event.allocation.id === this.selectedAllocationId 
+            ? this.options.colors.selected 
+            : this.options.colors.realloc;
       } else if (event.type === "bug") {
         ctx.fillStyle = 
           event.bugType === "overflow" 
@@ -252,6 +379,11 @@ class HeapVisualizer {
         ctx.moveTo(x, y);
         ctx.lineTo(x + eventWidth/2, y + eventHeight);
         ctx.lineTo(x - eventWidth/2, y + eventHeight);
+      } else if (event.type === "reallocation") {
+        // Right arrow, hollow when resized in place
+        ctx.moveTo(x - eventWidth/2, y);
+        ctx.lineTo(x + eventWidth/2, y + eventHeight/2);
+        ctx.lineTo(x - eventWidth/2, y + eventHeight);
       } else {
         // Diamond for bugs
         ctx.moveTo(x, y);
@@ -260,7 +392,15 @@ class HeapVisualizer {
         ctx.lineTo(x - eventWidth/2, y + eventHeight/2);
       }
       ctx.closePath();
-      ctx.fill();
+      this.applyHighlight(ctx, event.allocation ? event.allocation.id : event.sourceId);
+      if (event.type === "reallocation" && event.inPlace) {
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      } else {
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
       
       // Store event data for click handling
       event.visualBounds = { x, y, width: eventWidth, height: eventHeight };
@@ -271,8 +411,8 @@ class HeapVisualizer {
     const points = [];
     
     events.forEach(event => {
-      const timeOffset = event.timestamp - startTime;
-      const x = 50 + (timeOffset / timeRange) * (width - 60);
+      const seqOffset = event.seq - startSeq;
+      const x = 50 + (seqOffset / seqRange) * (width - 60);
       
       if (event.type === "allocation") {
         liveCount++;
@@ -300,9 +440,22 @@ class HeapVisualizer {
     // Draw time labels
     ctx.fillStyle = this.options.colors.text;
     ctx.font = '10px Arial';
-    ctx.fillText('Start', 40, axisY + 15);
-    ctx.fillText('End', width - 30, axisY + 15);
+    ctx.fillText(`#${startSeq}`, 40, axisY + 15);
+    ctx.fillText(`#${endSeq}`, width - 40, axisY + 15);
     ctx.fillText('Live Objects', 10, 40);
+    
+    // Mark the event the displayed state was rebuilt up to
+    if (this.isShowingPastState()) {
+      const cursorSeq = this.analyzer.clock.current();
+      const cursorX = 50 + (Math.max(0, cursorSeq - startSeq) / seqRange) * (width - 60);
+      
+      ctx.strokeStyle = this.options.colors.selected;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(cursorX, 25);
+      ctx.lineTo(cursorX, axisY);
+      ctx.stroke();
+    }
   }
   
   /**
@@ -346,7 +499,7 @@ class HeapVisualizer {
     
     // Draw objects
     const centerY = height / 2;
-    const objectHeight = 80;
+    const objectHeight = 95;
     const objectWidth = 180;
     const spacing = 40;
     
@@ -403,8 +556,8 @@ class HeapVisualizer {
     // Show memory layout explanation
     ctx.fillStyle = this.options.colors.text;
     ctx.font = '12px Arial';
-    const bucketSize = this.analyzer.findBucketForSize(allocation.size);
-    ctx.fillText(`These allocations belong to the ${bucketSize}-byte bucket`, width/2 - 150, height - 20);
+    const bucketSize = allocation.bucketSize;
+    ctx.fillText(`These allocations share a ${this.analyzer.backend.regionLabel} in the ${bucketSize}-byte bucket`, width/2 - 170, height - 20);
   }
   
   /**
@@ -430,6 +583,7 @@ class HeapVisualizer {
     ctx.fillText(`Type: ${allocation.type}`, x + 10, y + 35);
     ctx.fillText(`Size: ${allocation.size} bytes`, x + 10, y + 50);
     ctx.fillText(`Status: ${allocation.status}`, x + 10, y + 65);
+    ctx.fillText(`Addr: ${AddressSpace.formatAddress(allocation.address)}`, x + 10, y + 80);
   }
   
   /**
@@ -462,25 +616,21 @@ class HeapVisualizer {
     
     // Group allocations by type
     const typeGroups = {};
-    const types = new Set();
     
     allocations.forEach(allocation => {
       if (!typeGroups[allocation.type]) {
         typeGroups[allocation.type] = [];
-        types.add(allocation.type);
       }
       typeGroups[allocation.type].push(allocation);
     });
     
-    // Sort types by total size
-    const sortedTypes = Array.from(types).sort((a, b) => {
-      const totalSizeA = typeGroups[a].reduce((sum, alloc) => sum + alloc.size, 0);
-      const totalSizeB = typeGroups[b].reduce((sum, alloc) => sum + alloc.size, 0);
-      return totalSizeB - totalSizeA;
-    });
+    // Sort types by total size, using the analyzer's running totals
+    const typeStats = this.analyzer.generateTypeStats();
+    const sortedTypes = Object.keys(typeGroups)
+      .sort((a, b) => typeStats[b].totalSize - typeStats[a].totalSize);
     
     // Calculate total size for scaling
-    const totalSize = allocations.reduce((sum, alloc) => sum + alloc.size, 0);
+    const totalSize = this.analyzer.getMemoryUsage().totalBytes;
     
     // Generate colors for types
     const typeColors = {};
@@ -501,7 +651,7 @@ class HeapVisualizer {
     // Draw each type as a row
     sortedTypes.forEach((type, index) => {
       const allocsOfType = typeGroups[type];
-      const totalTypeSize = allocsOfType.reduce((sum, alloc) => sum + alloc.size, 0);
+      const totalTypeSize = typeStats[type].totalSize;
       const rowHeight = Math.max(20, (totalTypeSize / totalSize) * mapHeight);
       
       if (currentY + rowHeight > height - padding.bottom) {
@@ -536,7 +686,9 @@ class HeapVisualizer {
         }
         
         // Draw the allocation block
+        this.applyHighlight(ctx, allocation.id);
         ctx.fillRect(currentX, currentY, blockWidth, rowHeight);
+        ctx.globalAlpha = 1;
         
         // Draw border
         ctx.strokeStyle = this.options.colors.background;
@@ -619,7 +771,7 @@ class HeapVisualizer {
    */
   handleTimelineClick(x, y) {
     // Check if we clicked on an event
-    for (const event of this.analyzer.timeline) {
+    for (const event of this.liveAnalyzer.timeline) {
       const bounds = event.visualBounds;
       if (!bounds) continue;
       
@@ -628,7 +780,7 @@ class HeapVisualizer {
       if (x >= eventX - eventWidth/2 && x <= eventX + eventWidth/2 &&
           y >= eventY && y <= eventY + eventHeight) {
         
-        if (event.type === "allocation" || event.type === "deallocation") {
+        if (event.type === "allocation" || event.type === "deallocation" || event.type === "reallocation") {
           this.selectAllocation(event.allocation.id);
         } else if (event.type === "bug") {
           this.selectAllocation(event.sourceId);
@@ -0,0 +1,141 @@
+/**
+ * jemalloc allocator backend
+ * Models jemalloc size classes and slabs that hand out the lowest free region
+ */
+
+import AllocatorBackend from './allocator-backend.js';
+import AddressSpace from './address-space.js';
+
+class JemallocBackend extends AllocatorBackend {
+  /**
+   * Create a new jemalloc backend
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.name = 'jemalloc';
+    this.label = 'jemalloc';
+    this.regionLabel = 'slab';
+    this.reuseOrder = 'lowest-address';
+    this.randomizable = ['freelist', 'slotOrder'];
+
+    this.config = {
+      quantum: 16,              // Spacing of the smallest size classes
+      smallMaxClass: 14336,     // Largest slab-allocated size class
+      ...options
+    };
+
+    // Slabs are built from 4 KiB pages inside 2 MiB extents
+    this.addressSpace = new AddressSpace({
+      baseAddress: 0x7f1000000000,
+      partitionPageSize: 4096,
+      maxPartitionPagesPerSlotSpan: 8,
+      largeSlotThreshold: this.config.smallMaxClass,
+      metadataPages: 0,
+      guardPages: 0,
+      freelistOrder: 'lowest-address',
+      ...options.addressSpace,
+      freelistRandom: this.getRandom('freelist'),
+      slotOrderRandom: this.getRandom('slotOrder')
+    });
+  }
+
+  /**
+   * Find the jemalloc size class for an allocation
+   * Classes are quantum-spaced up to 128 bytes, then four per doubling
+   * @param {number} size - Allocation size
+   * @returns {number} Size class
+   */
+  findBucketForSize(size) {
+    if (size <= 0) return 0;
+    if (size <= 8) return 8;
+
+    const quantum = this.config.quantum;
+    if (size <= 8 * quantum) {
+      return Math.ceil(size / quantum) * quantum;
+    }
+
+    const groupBase = 2 ** Math.floor(Math.log2(size - 1));
+    const delta = groupBase / 4;
+
+    return Math.ceil(size / delta) * delta;
+  }
+
+  /**
+   * Place an allocation in the lowest free region of its size class
+   * @param {number} size - Allocation size
+   * @returns {Object|null} Placement
+   */
+  allocate(size) {
+    const bucketSize = this.findBucketForSize(size);
+    const slot = this.addressSpace.allocateSlot(bucketSize);
+    if (!slot) {
+      return null;
+    }
+
+    return {
+      address: slot.address,
+      bucketSize,
+      region: slot.spanAddress,
+      reused: slot.reused
+    };
+  }
+
+  /**
+   * Mark a region free in its slab
+   * @param {number} address - Region address
+   * @returns {boolean} Whether the region can be reused
+   */
+  free(address) {
+    return this.addressSpace.freeSlot(address);
+  }
+
+  /**
+   * Get neighboring regions within the same slab
+   * @param {number} address - Region address
+   * @returns {Object} Previous and next region addresses
+   */
+  getNeighborSlots(address) {
+    return this.addressSpace.getNeighborSlots(address);
+  }
+
+  /**
+   * Resolve what an address points at
+   * @param {number} address - Address to resolve
+   * @returns {Object} Region type, slot address and slot size
+   */
+  resolveAddress(address) {
+    return this.addressSpace.resolveAddress(address);
+  }
+
+  /**
+   * Predict allocations until a freed region is reused
+   * @param {number} address - Freed region address
+   * @returns {number|null} Allocations until reuse
+   */
+  predictReuse(address) {
+    return this.addressSpace.predictReuse(address);
+  }
+
+  /**
+   * Get how many slots a slab holds
+   * @param {number} regionAddress - Slab address
+   * @returns {number|null} Slot count
+   */
+  getRegionCapacity(regionAddress) {
+    const span = this.addressSpace.getSlotSpan(regionAddress);
+    return span ? span.slotCount : null;
+  }
+
+  /**
+   * Reset all allocator state
+   */
+  reset() {
+    super.reset();
+    this.addressSpace.reset();
+  }
+}
+
+// Export the JemallocBackend
+export default JemallocBackend;
@@ -0,0 +1,70 @@
+/**
+ * Logical clock for ordering heap events
+ * Hands out strictly increasing sequence numbers, optionally paired with wall time
+ */
+
+class LogicalClock {
+  /**
+   * Create a new logical clock
+   * @param {Object} options - Clock options
+   * @param {Function|null} options.now - Wall time source, or null to omit wall time
+   */
+  constructor(options = {}) {
+    this.now = options.now === undefined ? Date.now : options.now;
+
+    // Sequence number of the last event stamped
+    this.seq = 0;
+  }
+
+  /**
+   * Advance the clock and stamp a new event
+   * @returns {Object} Stamp with seq and timestamp (wall time or null)
+   */
+  tick() {
+    this.seq++;
+
+    return {
+      seq: this.seq,
+      timestamp: this.now ? this.now() : null
+    };
+  }
+
+  /**
+   * Get the sequence number of the last event without advancing
+   * @returns {number} Current sequence number
+   */
+  current() {
+    return this.seq;
+  }
+
+  /**
+   * Move the clock forward so it never hands out a sequence number at or below seq
+   * Used when events are loaded from elsewhere
+   * @param {number} seq - Sequence number already in use
+   */
+  observe(seq) {
+    if (seq > this.seq) {
+      this.seq = seq;
+    }
+  }
+
+  /**
+   * Compare two stamped items by sequence number
+   * @param {Object} a - Stamped event or allocation
+   * @param {Object} b - Stamped event or allocation
+   * @returns {number} Negative if a happened first, positive if b did
+   */
+  static compare(a, b) {
+    return a.seq - b.seq;
+  }
+
+  /**
+   * Reset the clock to zero
+   */
+  reset() {
+    this.seq = 0;
+  }
+}
+
+// Export the LogicalClock
+export default LogicalClock;
@@ -0,0 +1,103 @@
+/**
+ * Routes allocation types to named partitions
+ * Mirrors how Chrome keeps ArrayBuffer contents, Blink buffers, layout objects
+ * and everything else in separate PartitionAlloc partitions
+ */
+
+class PartitionRouter {
+  /**
+   * Rules used when none are configured
+   * Each rule's match is a regular expression source tested against the type
+   */
+  static DEFAULT_RULES = [
+    {
+      partition: 'ArrayBuffer',
+      match: '^(Shared)?ArrayBuffer$|^(Int|Uint|Float|BigInt|BigUint)\\d+(Clamped)?Array$'
+    },
+    { partition: 'Buffer', match: '^(String|Vector|HashTable|StringImpl)' },
+    { partition: 'Layout', match: '^Layout' }
+  ];
+
+  /**
+   * Partition for types no rule matches
+   */
+  static DEFAULT_PARTITION = 'FastMalloc';
+
+  /**
+   * Create a new partition router
+   * @param {Object} config - Routing configuration
+   * @param {Array} config.rules - Rules of { partition, match }, first match wins
+   * @param {string} config.defaultPartition - Partition for unmatched types
+   */
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  /**
+   * Replace the routing rules
+   * @param {Object} config - Routing configuration, as for the constructor
+   * @returns {Object} { success } or { error } if a rule is invalid
+   */
+  configure({ rules = PartitionRouter.DEFAULT_RULES, defaultPartition = PartitionRouter.DEFAULT_PARTITION } = {}) {
+    const compiled = [];
+
+    for (const rule of rules) {
+      if (!rule || typeof rule.partition !== 'string' || rule.partition === '') {
+        return { error: 'Every partition rule needs a partition name' };
+      }
+
+      try {
+        compiled.push({ ...rule, pattern: new RegExp(rule.match) });
+      } catch (e) {
+        return { error: `Invalid match for partition ${rule.partition}: ${e.message}` };
+      }
+    }
+
+    this.rules = compiled;
+    this.defaultPartition = defaultPartition;
+
+    // Type -> partition, rebuilt whenever the rules change
+    this.cache = new Map();
+
+    return { success: true };
+  }
+
+  /**
+   * Find the partition an allocation type is routed to
+   * @param {string} type - Allocation type
+   * @returns {string} Partition name
+   */
+  route(type) {
+    if (!this.cache.has(type)) {
+      const rule = this.rules.find(candidate => candidate.pattern.test(String(type)));
+      this.cache.set(type, rule ? rule.partition : this.defaultPartition);
+    }
+
+    return this.cache.get(type);
+  }
+
+  /**
+   * List every partition the rules can route to
+   * @returns {Array} Partition names, default partition last
+   */
+  getPartitionNames() {
+    const names = new Set(this.rules.map(rule => rule.partition));
+    names.delete(this.defaultPartition);
+
+    return [...names, this.defaultPartition];
+  }
+
+  /**
+   * Get the routing configuration as plain data
+   * @returns {Object} { rules, defaultPartition }
+   */
+  toJSON() {
+    return {
+      rules: this.rules.map(({ partition, match }) => ({ partition, match })),
+      defaultPartition: this.defaultPartition
+    };
+  }
+}
+
+// Export the PartitionRouter
+export default PartitionRouter;
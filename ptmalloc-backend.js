@@ -0,0 +1,262 @@
+/**
+ * glibc ptmalloc allocator backend
+ * Models chunk sizing, tcache, fastbins, smallbins and mmapped chunks
+ */
+
+import AllocatorBackend from './allocator-backend.js';
+import ChunkArena from './chunk-arena.js';
+
+class PtmallocBackend extends AllocatorBackend {
+  /**
+   * Create a new ptmalloc backend
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.name = 'ptmalloc';
+    this.label = 'glibc ptmalloc';
+    this.regionLabel = 'main arena';
+    this.reuseOrder = 'lifo';
+    this.randomizable = ['freelist'];
+
+    this.config = {
+      heapBase: 0x555555559000,     // Typical start of the main arena
+      mmapBase: 0x7ffff7a00000,     // Where mmapped chunks are placed
+      tcacheCount: 7,               // Entries per tcache bin
+      tcacheMaxChunk: 0x410,        // Largest chunk size cached in tcache
+      fastbinMaxChunk: 0x80,        // Largest fastbin chunk (global_max_fast)
+      smallbinMaxChunk: 0x400,      // Chunks below this go to smallbins
+      mmapThreshold: 0x20000,       // Requests at or above this are mmapped
+      pageSize: 4096,
+      ...options
+    };
+
+    this.arena = new ChunkArena(this.config.heapBase);
+    this.initializeBins();
+  }
+
+  /**
+   * Create empty bins
+   * @private
+   */
+  initializeBins() {
+    // Chunk size -> array of chunk addresses
+    this.tcache = new Map();
+    this.fastbins = new Map();
+    this.smallbins = new Map();
+    this.largebins = new Map();
+
+    // mmapped chunks: address -> size
+    this.mmapped = new Map();
+    this.nextMmapAddress = this.config.mmapBase;
+  }
+
+  /**
+   * Compute the chunk size for a request
+   * Adds the 8-byte size field and rounds up to 16 bytes (minimum 32)
+   * @param {number} size - Allocation size
+   * @returns {number} Chunk size
+   */
+  findBucketForSize(size) {
+    if (size <= 0) return 0;
+
+    return Math.max(32, Math.ceil((size + 8) / 16) * 16);
+  }
+
+  /**
+   * Pick the bin a freed chunk goes to, ignoring tcache
+   * @private
+   */
+  getBinFor(chunkSize) {
+    if (chunkSize <= this.config.fastbinMaxChunk) {
+      return { bin: this.fastbins, order: 'lifo' };
+    }
+    if (chunkSize < this.config.smallbinMaxChunk) {
+      return { bin: this.smallbins, order: 'fifo' };
+    }
+    return { bin: this.largebins, order: 'fifo' };
+  }
+
+  /**
+   * Place an allocation: tcache, then the size's bin, then the top chunk
+   * @param {number} size - Allocation size
+   * @returns {Object|null} Placement
+   */
+  allocate(size) {
+    const chunkSize = this.findBucketForSize(size);
+    if (chunkSize === 0) {
+      return null;
+    }
+
+    if (chunkSize >= this.config.mmapThreshold) {
+      const mappedSize = Math.ceil(chunkSize / this.config.pageSize) * this.config.pageSize;
+      const address = this.nextMmapAddress;
+
+      // Leave an unmapped page between mappings
+      this.nextMmapAddress += mappedSize + this.config.pageSize;
+      this.mmapped.set(address, mappedSize);
+
+      return { address, bucketSize: chunkSize, region: address, reused: false };
+    }
+
+    const cached = this.tcache.get(chunkSize);
+    if (cached && cached.length > 0) {
+      return this.reuseChunk(this.takeChunk(cached, 'lifo'), chunkSize);
+    }
+
+    const { bin, order } = this.getBinFor(chunkSize);
+    const binned = bin.get(chunkSize);
+    if (binned && binned.length > 0) {
+      return this.reuseChunk(this.takeChunk(binned, order), chunkSize);
+    }
+
+    const chunk = this.arena.append(chunkSize);
+
+    return {
+      address: chunk.address,
+      bucketSize: chunkSize,
+      region: this.arena.baseAddress,
+      reused: false
+    };
+  }
+
+  /**
+   * Take a chunk from a tcache entry or bin in its order, or at random when
+   * freelist randomization is on
+   * @private
+   */
+  takeChunk(list, order) {
+    const random = this.getRandom('freelist');
+    if (random) {
+      return list.splice(random.nextInt(list.length), 1)[0];
+    }
+
+    return order === 'lifo' ? list.pop() : list.shift();
+  }
+
+  /**
+   * Build the placement for a chunk taken from a bin
+   * @private
+   */
+  reuseChunk(address, chunkSize) {
+    return {
+      address,
+      bucketSize: chunkSize,
+      region: this.arena.baseAddress,
+      reused: true
+    };
+  }
+
+  /**
+   * Free a chunk into tcache or its bin; mmapped chunks are unmapped
+   * @param {number} address - Chunk address
+   * @returns {boolean} Whether the chunk can be reused
+   */
+  free(address) {
+    if (this.mmapped.has(address)) {
+      this.mmapped.delete(address);
+      return false;
+    }
+
+    const chunk = this.arena.get(address);
+    if (!chunk) {
+      return false;
+    }
+
+    if (chunk.size <= this.config.tcacheMaxChunk) {
+      if (!this.tcache.has(chunk.size)) {
+        this.tcache.set(chunk.size, []);
+      }
+
+      const cached = this.tcache.get(chunk.size);
+      if (cached.length < this.config.tcacheCount) {
+        cached.push(address);
+        return true;
+      }
+    }
+
+    // Chunks are not coalesced with their neighbors in this model
+    const { bin } = this.getBinFor(chunk.size);
+    if (!bin.has(chunk.size)) {
+      bin.set(chunk.size, []);
+    }
+    bin.get(chunk.size).push(address);
+
+    return true;
+  }
+
+  /**
+   * Get the chunks physically next to a chunk
+   * @param {number} address - Chunk address
+   * @returns {Object} Previous and next chunk addresses
+   */
+  getNeighborSlots(address) {
+    return this.arena.getNeighbors(address);
+  }
+
+  /**
+   * Resolve what an address points at
+   * @param {number} address - Address to resolve
+   * @returns {Object} Region type, slot address and slot size
+   */
+  resolveAddress(address) {
+    const chunk = this.arena.find(address);
+    if (chunk) {
+      return { region: 'slot', slotAddress: chunk.address, slotSize: chunk.size };
+    }
+
+    for (const [mapAddress, mapSize] of this.mmapped) {
+      if (address >= mapAddress && address < mapAddress + mapSize) {
+        return { region: 'slot', slotAddress: mapAddress, slotSize: mapSize };
+      }
+    }
+
+    if (address >= this.arena.top && address < this.arena.top + this.config.mmapThreshold) {
+      return { region: 'top-chunk', slotAddress: null, slotSize: 0 };
+    }
+
+    return { region: 'unmapped', slotAddress: null, slotSize: 0 };
+  }
+
+  /**
+   * Predict allocations until a freed chunk is reused
+   * @param {number} address - Freed chunk address
+   * @returns {number|null} Allocations of the same chunk size until reuse
+   */
+  predictReuse(address) {
+    const chunk = this.arena.get(address);
+    if (!chunk || this.getRandom('freelist')) {
+      return null;
+    }
+
+    const cached = this.tcache.get(chunk.size) || [];
+    const cachedIndex = cached.lastIndexOf(address);
+    if (cachedIndex !== -1) {
+      return cached.length - 1 - cachedIndex;
+    }
+
+    const { bin, order } = this.getBinFor(chunk.size);
+    const binned = bin.get(chunk.size) || [];
+    const binIndex = binned.indexOf(address);
+    if (binIndex === -1) {
+      return null;
+    }
+
+    // tcache for this size is drained first
+    const position = order === 'lifo' ? binned.length - 1 - binIndex : binIndex;
+    return cached.length + position;
+  }
+
+  /**
+   * Reset all allocator state
+   */
+  reset() {
+    super.reset();
+    this.arena.reset();
+    this.initializeBins();
+  }
+}
+
+// Export the PtmallocBackend
+export default PtmallocBackend;
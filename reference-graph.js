@@ -0,0 +1,289 @@
+/**
+ * Object reference graph
+ * Tracks which allocations point at which, and the root sets that keep
+ * allocations alive, for simulated mark-sweep garbage collection
+ */
+
+class ReferenceGraph {
+  /**
+   * Partial paths a retainer search extends before it stops; the number of
+   * distinct paths can grow exponentially with the graph
+   */
+  static MAX_SEARCHED_PATHS = 10000;
+
+  /**
+   * Create an empty reference graph
+   */
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Record that one allocation references another
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @param {string|null} name - Edge name, such as a property or index
+   */
+  addReference(fromId, toId, name = null) {
+    if (!this.outgoing.has(fromId)) {
+      this.outgoing.set(fromId, new Map());
+    }
+    if (!this.incoming.has(toId)) {
+      this.incoming.set(toId, new Map());
+    }
+
+    this.outgoing.get(fromId).set(toId, name);
+    this.incoming.get(toId).set(fromId, name);
+    this.version++;
+
+    this.managed.add(fromId);
+    this.managed.add(toId);
+  }
+
+  /**
+   * Drop a reference
+   * @param {number} fromId - Referencing allocation ID
+   * @param {number} toId - Referenced allocation ID
+   * @returns {boolean} Whether the reference existed
+   */
+  removeReference(fromId, toId) {
+    if (!this.outgoing.get(fromId)?.delete(toId)) {
+      return false;
+    }
+
+    this.incoming.get(toId).delete(fromId);
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Add an allocation to a root set
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name, such as "global" or "stack"
+   */
+  addRoot(id, rootSet = 'global') {
+    if (!this.roots.has(rootSet)) {
+      this.roots.set(rootSet, new Set());
+    }
+
+    this.roots.get(rootSet).add(id);
+    this.managed.add(id);
+    this.version++;
+  }
+
+  /**
+   * Remove an allocation from a root set
+   * @param {number} id - Allocation ID
+   * @param {string} rootSet - Root set name
+   * @returns {boolean} Whether the allocation was in the set
+   */
+  removeRoot(id, rootSet = 'global') {
+    const roots = this.roots.get(rootSet);
+    if (!roots?.delete(id)) {
+      return false;
+    }
+
+    if (roots.size === 0) {
+      this.roots.delete(rootSet);
+    }
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Get the root sets an allocation belongs to
+   * @param {number} id - Allocation ID
+   * @returns {Array} Root set names
+   */
+  getRootSets(id) {
+    return Array.from(this.roots.keys()).filter(rootSet => this.roots.get(rootSet).has(id));
+  }
+
+  /**
+   * Get the allocations an allocation references
+   * @param {number} id - Allocation ID
+   * @returns {Array} References of { toId, name }
+   */
+  getReferences(id) {
+    return Array.from(this.outgoing.get(id) || [], ([toId, name]) => ({ toId, name }));
+  }
+
+  /**
+   * Get the allocations that reference an allocation
+   * @param {number} id - Allocation ID
+   * @returns {Array} Retainers of { fromId, name }
+   */
+  getRetainers(id) {
+    return Array.from(this.incoming.get(id) || [], ([fromId, name]) => ({ fromId, name }));
+  }
+
+  /**
+   * Whether the collector owns an allocation
+   * Allocations never rooted or referenced are treated as manually managed
+   * @param {number} id - Allocation ID
+   * @returns {boolean} Whether the allocation can be collected
+   */
+  isManaged(id) {
+    return this.managed.has(id);
+  }
+
+  /**
+   * Mark every allocation reachable from the roots
+   * @param {Function} isLive - Whether an allocation ID is still allocated;
+   *   freed allocations are neither marked nor traced through
+   * @returns {Set} Reachable allocation IDs
+   */
+  mark(isLive) {
+    const marked = new Set();
+    const pending = [];
+
+    for (const roots of this.roots.values()) {
+      roots.forEach(id => pending.push(id));
+    }
+
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (marked.has(id) || !isLive(id)) continue;
+
+      marked.add(id);
+      for (const toId of this.outgoing.get(id)?.keys() || []) {
+        pending.push(toId);
+      }
+    }
+
+    return marked;
+  }
+
+  /**
+   * Find the shortest chains of references that keep an allocation alive
+   * Searches backwards from the allocation, shortest paths first. Paths may
+   * share allocations, so every holder shows up even when its path merges
+   * into another one on the way to a root.
+   * @param {number} id - Allocation ID
+   * @param {Function} isLive - Whether an allocation ID is still allocated
+   * @param {number} maxPaths - Most paths to return
+   * @returns {Array} Paths, shortest first, each { rootSets, steps } where
+   *   steps run from the rooted allocation to this one as { id, name } and
+   *   name is the edge leading to the step
+   */
+  findRetainerPaths(id, isLive, maxPaths = 5) {
+    const paths = [];
+
+    // Partial paths as their farthest hop { id, name, toward }, where name is
+    // the edge from id to the hop toward the target
+    let frontier = [{ id, name: null, toward: null }];
+    let searched = 0;
+
+    while (frontier.length > 0 && paths.length < maxPaths && searched < ReferenceGraph.MAX_SEARCHED_PATHS) {
+      const following = [];
+
+      for (const hop of frontier) {
+        const rootSets = this.getRootSets(hop.id);
+        if (rootSets.length > 0) {
+          paths.push({ rootSets, steps: this.followPath(hop) });
+          if (paths.length >= maxPaths) break;
+        }
+
+        for (const [fromId, name] of this.incoming.get(hop.id) || []) {
+          if (!isLive(fromId) || this.isOnPath(hop, fromId)) continue;
+
+          following.push({ id: fromId, name, toward: hop });
+          searched++;
+        }
+      }
+
+      frontier = following;
+    }
+
+    return paths;
+  }
+
+  /**
+   * Whether an allocation is already on a partial path
+   * @private
+   */
+  isOnPath(hop, id) {
+    for (let current = hop; current; current = current.toward) {
+      if (current.id === id) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Walk a partial path from its rooted allocation to the search target
+   * @private
+   */
+  followPath(start) {
+    const steps = [{ id: start.id, name: null }];
+
+    for (let hop = start; hop.toward; hop = hop.toward) {
+      steps.push({ id: hop.toward.id, name: hop.name });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Get the graph as plain data
+   * @returns {Object} { references, roots, managed }
+   */
+  toJSON() {
+    const references = [];
+    for (const [fromId, targets] of this.outgoing) {
+      for (const [toId, name] of targets) {
+        references.push([fromId, toId, name]);
+      }
+    }
+
+    return {
+      references,
+      roots: Array.from(this.roots, ([rootSet, ids]) => [rootSet, Array.from(ids)]),
+      managed: Array.from(this.managed)
+    };
+  }
+
+  /**
+   * Build a graph from toJSON() data
+   * @param {Object} data - Graph data; missing data gives an empty graph
+   * @returns {ReferenceGraph} New graph
+   */
+  static fromJSON(data = {}) {
+    const graph = new ReferenceGraph();
+
+    for (const [fromId, toId, name] of data.references || []) {
+      graph.addReference(fromId, toId, name);
+    }
+    for (const [rootSet, ids] of data.roots || []) {
+      ids.forEach(id => graph.addRoot(id, rootSet));
+    }
+    for (const id of data.managed || []) {
+      graph.managed.add(id);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Drop every reference and root
+   */
+  clear() {
+    // Allocation ID -> Map of referenced ID -> edge name
+    this.outgoing = new Map();
+
+    // Allocation ID -> Map of referencing ID -> edge name
+    this.incoming = new Map();
+
+    // Root set name -> Set of allocation IDs
+    this.roots = new Map();
+
+    // IDs the collector owns: everything ever rooted or referenced
+    this.managed = new Set();
+
+    // Bumped on every change, so derived analyses know when to rebuild
+    this.version = (this.version || 0) + 1;
+  }
+}
+
+// Export the ReferenceGraph
+export default ReferenceGraph;
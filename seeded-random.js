@@ -0,0 +1,68 @@
+/**
+ * Seeded pseudo-random numbers
+ * A small deterministic generator (mulberry32) so randomized layouts and
+ * synthetic traces can be replayed exactly from their seed
+ */
+
+class SeededRandom {
+  /**
+   * Create a new generator
+   * @param {number} seed - 32-bit seed
+   */
+  constructor(seed = 1) {
+    this.seed = seed >>> 0;
+    this.reset();
+  }
+
+  /**
+   * Pick a fresh seed for a new randomized run
+   * @returns {number} 32-bit seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Start the sequence over from the seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * Next number in [0, 1)
+   * @returns {number} Random number
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, n)
+   * @param {number} n - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+// Export the SeededRandom
+export default SeededRandom;
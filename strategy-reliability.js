@@ -0,0 +1,274 @@
+/**
+ * Monte Carlo reliability of grooming strategies
+ * Replays a generated strategy against copies of the simulated heap, each
+ * with its own layout seed and seeded background noise, and reports how often
+ * the intended target ends up adjacent to the overflow or in the freed slot.
+ * The success rate comes with a Wilson score confidence interval.
+ */
+
+import SeededRandom from './seeded-random.js';
+
+class StrategyReliability {
+  /**
+   * Normal quantiles for the supported confidence levels
+   */
+  static Z_SCORES = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+  /**
+   * Create a new reliability runner
+   * @param {HeapAnalyzer} analyzer - The heap analyzer holding the recorded trace
+   */
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+  }
+
+  /**
+   * Run a strategy many times and measure how often it works
+   * Each trial copies the recorded heap, lays it out with its own seed when
+   * the backend supports randomization, then executes the strategy's phases
+   * with background noise allocations and frees before each one
+   * @param {Object} strategy - Strategy from GroomingStrategyGenerator
+   * @param {Object} options - Run options
+   * @param {number} options.trials - Number of trials
+   * @param {number} options.firstSeed - Seed of the first trial; later trials count up
+   * @param {number} options.noise - Background heap events before each phase
+   * @param {boolean} options.randomize - Randomize each trial's layout when the backend can
+   * @param {number} options.confidence - Confidence level: 0.9, 0.95 or 0.99
+   * @returns {Object} { bugId, strategy, approach, goal, backend, randomized,
+   *   trials, noise, firstSeed, confidence, successes, probability, interval,
+   *   outcomes } or { error } if the strategy cannot be simulated or has no
+   *   simulation steps
+   */
+  run(strategy, { trials = 50, firstSeed = 1, noise = 4, randomize = true, confidence = 0.95 } = {}) {
+    if (!strategy || strategy.error) {
+      return { error: strategy?.error || 'No strategy to run' };
+    }
+
+    const goal = this.getGoal(strategy);
+    if (!goal) {
+      return { error: 'Only overflow and use-after-free strategies can be simulated' };
+    }
+    if (!strategy.phases.some(phase => phase.simulation)) {
+      return { error: 'This strategy was generated before simulation support; generate it again to simulate it' };
+    }
+
+    if (!Number.isInteger(trials) || trials < 1) {
+      return { error: 'Trials must be a positive integer' };
+    }
+    if (!Number.isInteger(noise) || noise < 0) {
+      return { error: 'Noise must be a non-negative number of events' };
+    }
+    if (!Number.isInteger(firstSeed) || firstSeed < 0 || firstSeed + trials - 1 > 0xFFFFFFFF) {
+      return { error: 'Seeds must be 32-bit unsigned integers' };
+    }
+
+    const z = StrategyReliability.Z_SCORES[confidence];
+    if (!z) {
+      return { error: `Confidence must be one of ${Object.keys(StrategyReliability.Z_SCORES).join(', ')}` };
+    }
+
+    const randomized = randomize && this.analyzer.backend.randomizable.length > 0;
+    const outcomes = {};
+    let successes = 0;
+
+    for (let i = 0; i < trials; i++) {
+      const outcome = this.runTrial(strategy, goal, firstSeed + i, noise, randomized);
+
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+      if (outcome === 'success') {
+        successes++;
+      }
+    }
+
+    return {
+      bugId: strategy.targetBug.id,
+      strategy: strategy.name,
+      approach: strategy.approach,
+      goal,
+      backend: this.analyzer.backend.name,
+      randomized,
+      trials,
+      noise,
+      firstSeed,
+      confidence,
+      successes,
+      probability: successes / trials,
+      interval: StrategyReliability.wilsonInterval(successes, trials, z),
+      outcomes
+    };
+  }
+
+  /**
+   * What a strategy needs to achieve to count as a success
+   * @private
+   */
+  getGoal(strategy) {
+    switch (strategy.targetBug?.type) {
+      case 'overflow':
+        return 'adjacent';
+      case 'use-after-free':
+        return strategy.approach === 'stale_data' ? 'stale' : 'reused';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Execute one trial and classify what happened at the trigger
+   * @private
+   */
+  runTrial(strategy, goal, seed, noise, randomized) {
+    const analyzer = randomized
+      ? this.analyzer.cloneWithRandomization({ seed, freelist: true, slotOrder: true })
+      : this.analyzer.cloneWithRandomization(this.analyzer.randomization);
+
+    // Offset so the noise does not replay the layout's random sequence
+    const random = new SeededRandom((seed + 0x9E3779B9) >>> 0);
+    const source = this.analyzer.allocations.get(strategy.targetBug.sourceId);
+    const thread = source ? source.thread : 'main';
+    const noiseTypes = this.getNoiseTypes(source);
+
+    // Role -> allocation IDs placed by the strategy
+    const placed = { victim: [], target: [], filler: [] };
+    const freedVictims = [];
+    const live = [];
+
+    for (const phase of strategy.phases) {
+      const step = phase.simulation;
+      if (!step) continue;
+
+      for (let i = 0; i < noise; i++) {
+        this.recordNoise(analyzer, random, live, noiseTypes, strategy.targetBucket);
+      }
+
+      if (step.action === 'allocate') {
+        for (let i = 0; i < step.count; i++) {
+          placed[step.role].push(analyzer.recordAllocation(step.size, step.type, { site: 'grooming' }, thread));
+        }
+      } else if (step.action === 'free') {
+        const ids = step.which === 'all' ? placed[step.role].slice() : placed[step.role].slice(-1);
+        ids.forEach(id => {
+          analyzer.recordDeallocation(id);
+          if (step.role === 'victim') {
+            freedVictims.push(id);
+          }
+        });
+      } else if (step.action === 'trigger') {
+        return goal === 'adjacent'
+          ? this.checkAdjacent(analyzer, placed, strategy.targetBug.overflowSize)
+          : this.checkReuse(analyzer, placed, freedVictims, goal);
+      }
+    }
+
+    return 'untriggered';
+  }
+
+  /**
+   * Classify an overflow from the strategy's victim
+   * @private
+   */
+  checkAdjacent(analyzer, placed, overflowSize) {
+    const victimId = placed.victim[placed.victim.length - 1];
+    const reach = analyzer.findOverflowTargets(victimId, overflowSize);
+    const targets = new Set(placed.target);
+
+    if (reach.targets.some(allocation => targets.has(allocation.id))) {
+      return 'success';
+    }
+    if (reach.targets.length > 0) {
+      return 'other-neighbor';
+    }
+    return reach.absorbedBySlack ? 'absorbed' : 'no-neighbor';
+  }
+
+  /**
+   * Classify what became of the freed victim slots
+   * @private
+   */
+  checkReuse(analyzer, placed, freedVictims, goal) {
+    const targets = new Set(placed.target);
+    const victims = freedVictims.map(id => analyzer.allocations.get(id));
+
+    if (goal === 'stale') {
+      return victims.some(victim => victim.reusedBy === undefined) ? 'success' : 'reused';
+    }
+
+    if (victims.some(victim => targets.has(victim.reusedBy))) {
+      return 'success';
+    }
+    if (victims.some(victim => victim.reusedBy !== undefined)) {
+      return 'reused-by-other';
+    }
+    if (victims.some(victim => analyzer.getSlotHolds(victim.id))) {
+      return 'held';
+    }
+    return 'not-reused';
+  }
+
+  /**
+   * Record one background allocation or free
+   * Half the allocations land in the target bucket so they compete for its slots
+   * @private
+   */
+  recordNoise(analyzer, random, live, types, bucketSize) {
+    if (live.length > 0 && random.next() < 0.4) {
+      // Swap-remove a random noise allocation
+      const index = random.nextInt(live.length);
+      const id = live[index];
+      live[index] = live[live.length - 1];
+      live.pop();
+
+      analyzer.recordDeallocation(id);
+      return;
+    }
+
+    const size = bucketSize && random.next() < 0.5
+      ? Math.max(1, bucketSize - random.nextInt(Math.max(1, Math.floor(bucketSize / 4))))
+      : 16 + random.nextInt(1008);
+    const type = types[random.nextInt(types.length)];
+
+    live.push(analyzer.recordAllocation(size, type, { site: 'noise' }));
+  }
+
+  /**
+   * Types the noise allocates: those already in the trace, so it is routed
+   * to the same partitions real allocations are
+   * @private
+   */
+  getNoiseTypes(source) {
+    const types = new Set();
+    for (const allocation of this.analyzer.allocations.values()) {
+      types.add(allocation.type);
+    }
+
+    if (types.size === 0 && source) {
+      types.add(source.type);
+    }
+
+    return types.size > 0 ? Array.from(types) : ['Object'];
+  }
+
+  /**
+   * Wilson score interval for a binomial proportion
+   * Stays inside [0, 1] and behaves at 0 or all successes, unlike the normal approximation
+   * @param {number} successes - Successful trials
+   * @param {number} trials - Total trials
+   * @param {number} z - Normal quantile for the confidence level
+   * @returns {Object} { low, high }
+   */
+  static wilsonInterval(successes, trials, z) {
+    const p = successes / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const center = (p + z2 / (2 * trials)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials)) / denominator;
+
+    return {
+      low: Math.max(0, center - margin),
+      high: Math.min(1, center + margin)
+    };
+  }
+}
+
+// Export the StrategyReliability
+export default StrategyReliability;
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import AllocationTraceImporter from '../allocation-trace-importer.js';
+import HeapToolkitUI from '../heap-toolkit-ui.js';
+import { installFakeDocument } from './fake-document.js';
+
+test('thread names from a trace are escaped in allocation details and statistics', () => {
+  const elements = installFakeDocument();
+  const analyzer = new HeapAnalyzer();
+  new AllocationTraceImporter(analyzer).import([
+    'op,address,size,thread',
+    'malloc,0x1000,32,<img src=x onerror=alert(1)>',
+    'free,0x1000,,main'
+  ].join('\n'));
+
+  const [id] = Array.from(analyzer.allocations.keys());
+  assert.equal(analyzer.allocations.get(id).thread, '<img src=x onerror=alert(1)>');
+
+  const ui = new HeapToolkitUI({
+    analyzer,
+    visualizer: {},
+    bugSimulator: new BugSimulator(analyzer),
+    strategyGenerator: null
+  });
+
+  ui.updateAllocationDetails(id);
+  assert.doesNotMatch(elements.get('#allocation-details').innerHTML, /<img/);
+  assert.match(elements.get('#allocation-details').innerHTML, /&lt;img src=x onerror=alert\(1\)&gt; \(freed on main\)/);
+
+  ui.updateStatistics();
+  assert.doesNotMatch(elements.get('#statistics').innerHTML, /<img/);
+  assert.match(elements.get('#statistics').innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;: \d+ slots cached/);
+});
+
+test('a repeated free in a trace is recorded as a double free', () => {
+  const analyzer = new HeapAnalyzer();
+  const bugSimulator = new BugSimulator(analyzer);
+  const result = new AllocationTraceImporter(analyzer).import([
+    'malloc(32) = 0x1000',
+    'malloc(32) = 0x1020',
+    'free(0x1000)',
+    '[worker] free(0x1000)',
+    'free(0x2000)'
+  ].join('\n'));
+
+  assert.equal(result.frees, 1);
+  assert.equal(result.doubleFrees, 1);
+  assert.equal(result.invalidFrees, 1);
+  assert.equal(result.unmatchedFrees, 2);
+
+  const [doubleFree, invalidFree] = bugSimulator.getActiveBugs();
+  const first = analyzer.allocations.get(doubleFree.sourceId);
+  assert.equal(doubleFree.type, 'double-free');
+  assert.equal(first.metadata.traceAddress, '0x1000');
+  assert.equal(doubleFree.thread, 'worker');
+  assert.equal(doubleFree.firstFreedSeq, first.freedSeq);
+
+  assert.equal(invalidFree.type, 'invalid-free');
+  assert.equal(invalidFree.traceAddress, '0x2000');
+  assert.match(invalidFree.impact.notes, /^0x2000 was never allocated/);
+
+  assert.deepEqual(analyzer.timeline.filter(event => event.type === 'bug').map(event => event.bugType),
+    ['double-free', 'invalid-free']);
+});
+
+test('a free after the address was allocated again frees the new block', () => {
+  const analyzer = new HeapAnalyzer();
+  const bugSimulator = new BugSimulator(analyzer);
+  const result = new AllocationTraceImporter(analyzer).import([
+    'malloc(32) = 0x1000',
+    'free(0x1000)',
+    'malloc(32) = 0x1000',
+    'free(0x1000)'
+  ].join('\n'));
+
+  assert.equal(result.frees, 2);
+  assert.equal(result.doubleFrees, 0);
+  assert.equal(bugSimulator.getActiveBugs().length, 0);
+});
+
+test('freeing the old pointer after realloc moved the block is a double free', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const bugSimulator = new BugSimulator(analyzer);
+  const result = new AllocationTraceImporter(analyzer).import([
+    'malloc(40) = 0x1000',
+    'realloc(0x1000, 500) = 0x2000',
+    'free(0x1000)'
+  ].join('\n'));
+
+  assert.equal(result.doubleFrees, 1);
+  assert.equal(result.invalidFrees, 0);
+
+  const [moved] = Array.from(analyzer.allocations.values());
+  assert.equal(moved.status, 'allocated');
+  assert.equal(moved.metadata.traceAddress, '0x2000');
+
+  const [bug] = bugSimulator.getActiveBugs();
+  assert.equal(bug.type, 'double-free');
+  assert.equal(bug.sourceId, moved.id);
+  assert.equal(bug.traceAddress, '0x1000');
+  assert.equal(bug.source.address, analyzer.timeline.find(event => event.type === 'reallocation').from.address);
+  assert.equal(bug.firstFreedSeq, analyzer.timeline.find(event => event.type === 'reallocation').seq);
+});
+
+test('a realloc that returns NULL leaves the block untouched', () => {
+  const analyzer = new HeapAnalyzer();
+  const result = new AllocationTraceImporter(analyzer).import([
+    'malloc(32) = 0x1000',
+    'realloc(0x1000, 4096) = (nil)',
+    'free(0x1000)'
+  ].join('\n'));
+
+  assert.equal(result.reallocations, 0);
+  assert.equal(result.failedReallocations, 1);
+  assert.equal(result.frees, 1);
+
+  const [block] = Array.from(analyzer.allocations.values());
+  assert.equal(block.size, 32);
+  assert.equal(block.status, 'freed');
+  assert.equal(analyzer.timeline.filter(event => event.type === 'reallocation').length, 0);
+});
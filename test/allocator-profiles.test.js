@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AllocatorProfiles from '../allocator-profiles.js';
+import HeapAnalyzer from '../heap-analyzer.js';
+
+test('the bundled PartitionAlloc profile sets buckets, thread cache and routing', () => {
+  const analyzer = new HeapAnalyzer({ profile: 'partitionalloc-denser' });
+  const buffer = analyzer.allocations.get(analyzer.recordAllocation(130, 'ArrayBuffer'));
+  const layout = analyzer.allocations.get(analyzer.recordAllocation(600, 'LayoutBlock'));
+
+  assert.equal(analyzer.profile, 'partitionalloc-denser');
+  assert.equal(buffer.bucketSize, 144);
+  assert.equal(buffer.partition, 'ArrayBuffer');
+  assert.equal(layout.bucketSize, 640);
+  assert.equal(layout.partition, 'FastMalloc');
+  assert.equal(analyzer.backend.threadCache.caches(512), true);
+  assert.equal(analyzer.backend.threadCache.caches(576), false);
+});
+
+test('a captured PartitionAlloc table can be loaded and selected', () => {
+  const result = AllocatorProfiles.load(JSON.stringify({
+    name: 'captured-build',
+    backend: 'partitionalloc',
+    backendOptions: { bucketSizes: [16, 32, 48, 96] }
+  }));
+  assert.deepEqual(result, { success: true, loaded: ['captured-build'] });
+
+  try {
+    const analyzer = new HeapAnalyzer({ profile: 'captured-build' });
+    const id = analyzer.recordAllocation(60, 'Node');
+
+    assert.equal(analyzer.profile, 'captured-build');
+    assert.equal(analyzer.allocations.get(id).bucketSize, 96);
+  } finally {
+    delete AllocatorProfiles.registry['captured-build'];
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+
+/**
+ * Free a small allocation, then shrink an older, larger one into its slot
+ */
+function reclaimByReallocation() {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const simulator = new BugSimulator(analyzer);
+  const freed = analyzer.recordAllocation(40, 'Node');
+  const mover = analyzer.recordAllocation(500, 'Element');
+
+  analyzer.recordDeallocation(freed);
+  const event = analyzer.recordReallocation(mover, 40);
+  assert.equal(event.to.address, analyzer.allocations.get(freed).address);
+
+  return { analyzer, simulator, freed, mover };
+}
+
+test('a use-after-free sees a block that moved into the slot with a reallocation', () => {
+  const { simulator, freed, mover } = reclaimByReallocation();
+
+  const bug = simulator.simulateUseAfterFree(freed);
+  assert.equal(bug.impact.reusingAllocation.id, mover);
+  assert.equal(bug.impact.allocationsUntilReuse, undefined);
+});
+
+test('a double free after a reallocation reclaimed the slot hits the new occupant', () => {
+  const { analyzer, simulator, freed, mover } = reclaimByReallocation();
+
+  analyzer.recordDeallocation(freed);
+  const [bug] = Array.from(simulator.activeBugs.values());
+  assert.equal(bug.type, 'double-free');
+  assert.equal(bug.impact.victimAllocation.id, mover);
+});
+
+test('layout randomization does not count reaching nothing as the same target', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const simulator = new BugSimulator(analyzer);
+  const freed = analyzer.recordAllocation(40, 'Node');
+  analyzer.recordDeallocation(freed);
+
+  const bug = simulator.simulateUseAfterFree(freed);
+  const result = simulator.measureRandomization(bug.id, { trials: 5 });
+  assert.equal(result.baseline.targetId, null);
+  assert.equal(result.anyTargetRate, 0);
+  assert.equal(result.sameTargetRate, 0);
+});
@@ -0,0 +1,43 @@
+/**
+ * Just enough of a DOM for the toolkit UI to render into
+ * Elements keep the markup they are given, so tests can check what would be parsed
+ */
+
+/**
+ * Create a fake element
+ * @returns {Object} Element with innerHTML, textContent, value and children
+ */
+function createElement() {
+  return {
+    innerHTML: '',
+    textContent: '',
+    value: '',
+    children: [],
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    addEventListener() {}
+  };
+}
+
+/**
+ * Install a fake document on globalThis
+ * @returns {Map} Selector -> element, filled in as the UI looks elements up
+ */
+export function installFakeDocument() {
+  const elements = new Map();
+
+  globalThis.document = {
+    querySelector(selector) {
+      if (!elements.has(selector)) {
+        elements.set(selector, createElement());
+      }
+      return elements.get(selector);
+    },
+    createElement,
+    createTextNode: (text) => ({ textContent: text })
+  };
+
+  return elements;
+}
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import GroomingStrategyGenerator from '../grooming-strategies.js';
+
+test('an overflow strategy generates exploitation code and simulation steps', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const simulator = new BugSimulator(analyzer);
+  const generator = new GroomingStrategyGenerator(analyzer, simulator);
+
+  const source = analyzer.recordAllocation(32, 'Node');
+  analyzer.recordAllocation(32, 'Element');
+  const bug = simulator.simulateOverflow(source, 8);
+
+  const strategy = generator.generateStrategyForBug(bug.id);
+  assert.equal(strategy.error, undefined);
+
+  const exploitation = strategy.phases.find(phase => phase.type === 'exploitation');
+  assert.match(exploitation.code, /Find the Element object corrupted by the overflow/);
+  assert.equal(strategy.phases.filter(phase => phase.simulation).at(-1).simulation.action, 'trigger');
+});
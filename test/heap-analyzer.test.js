@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+
+test('a moving reallocation leaves its old slot free until it is reused', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const first = analyzer.recordAllocation(40, 'A');
+  analyzer.recordAllocation(40, 'B');
+
+  const event = analyzer.recordReallocation(first, 500);
+  assert.equal(event.inPlace, false);
+
+  const stats = analyzer.generateFragmentationStats().buckets[event.from.bucketSize];
+  assert.equal(stats.liveSlots, 1);
+  assert.equal(stats.freeSlots, 1);
+
+  const reuser = analyzer.allocations.get(analyzer.recordAllocation(40, 'C'));
+  const vacated = analyzer.getAllocationAtAddress(event.from.address);
+  assert.equal(reuser.address, event.from.address);
+  assert.equal(reuser.reuses, first);
+  assert.equal(vacated, reuser);
+  assert.equal(analyzer.generateFragmentationStats().buckets[event.from.bucketSize].freeSlots, 0);
+});
+
+test('a replayed moving reallocation keeps the reuse link', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const first = analyzer.recordAllocation(40, 'A');
+  analyzer.recordAllocation(40, 'B');
+  analyzer.recordReallocation(first, 500);
+  const reuser = analyzer.recordAllocation(40, 'C');
+
+  const state = analyzer.stateAt(analyzer.timeline.length - 1);
+  assert.equal(state.allocations.get(reuser).reuses, first);
+
+  const clone = analyzer.cloneWithBackend('partitionalloc');
+  assert.equal(clone.allocations.get(reuser).reuses, first);
+});
+
+test('a block moved back into its old slot is listed once and does not reuse itself', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const first = analyzer.recordAllocation(40, 'A');
+  const second = analyzer.recordAllocation(40, 'B');
+
+  const out = analyzer.recordReallocation(first, 500);
+  const back = analyzer.recordReallocation(first, 40);
+  assert.equal(back.to.address, out.from.address);
+
+  assert.deepEqual(analyzer.getAllocationsInBucket(48).map(allocation => allocation.id), [second, first]);
+  assert.equal(analyzer.allocations.get(first).reuses, undefined);
+  assert.deepEqual(analyzer.getActiveBuckets(), [48]);
+  assert.deepEqual(Object.keys(analyzer.generateBucketStats()), ['48']);
+
+  // The 512-byte slot it left is still a free slot of its own bucket
+  assert.equal(analyzer.generateFragmentationStats().buckets[512].freeSlots, 1);
+});
+
+test('threads that only reallocate, purge or free twice are listed', () => {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const id = analyzer.recordAllocation(40, 'A', {}, 'main');
+  analyzer.recordReallocation(id, 500, 'resizer');
+  analyzer.purgeThreadCache('purger');
+  analyzer.purgeThreadCache();
+  analyzer.recordDeallocation(id, 'main');
+  analyzer.recordDeallocation(id, 'second-freer');
+
+  assert.deepEqual(analyzer.getThreads(), ['main', 'resizer', 'purger', 'second-freer']);
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapBenchmark from '../heap-benchmark.js';
+
+test('indexed statistics match the full scans on a trace with reallocations', () => {
+  const result = new HeapBenchmark({ events: 2000, iterations: 1 }).run();
+
+  for (const query of result.queries) {
+    assert.ok(query.matches, `${query.name} differs from its scan`);
+  }
+});
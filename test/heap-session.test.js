@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import HeapSession from '../heap-session.js';
+import PartitionRouter from '../partition-router.js';
+import UafMitigations from '../uaf-mitigations.js';
+
+/**
+ * Import a session saved by an earlier version of the toolkit
+ * @param {string} name - Fixture name, without the extension
+ * @returns {Object} { result, analyzer, bugSimulator, data } where data is the raw file
+ */
+function importFixture(name) {
+  const text = readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8');
+  const analyzer = new HeapAnalyzer();
+  const bugSimulator = new BugSimulator(analyzer);
+  const result = HeapSession.import(text, { analyzer, bugSimulator });
+
+  return { result, analyzer, bugSimulator, data: JSON.parse(text) };
+}
+
+test('sessions are saved at the current schema version', () => {
+  const analyzer = new HeapAnalyzer();
+  analyzer.recordAllocation(32, 'Node');
+
+  assert.equal(HeapSession.export({ analyzer }).schemaVersion, HeapSession.SCHEMA_VERSION);
+});
+
+test('a session newer than this toolkit is refused', () => {
+  const analyzer = new HeapAnalyzer();
+  const data = HeapSession.export({ analyzer });
+  data.schemaVersion = HeapSession.SCHEMA_VERSION + 1;
+
+  assert.match(HeapSession.import(data, { analyzer }).error, /newer than supported/);
+});
+
+test('a session saved before partitions routes types with the default rules', () => {
+  const { result, analyzer, bugSimulator, data } = importFixture('session-before-partitions');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.partitionRouting, undefined);
+  assert.equal(result.success, true);
+  assert.deepEqual(analyzer.partitionRouter.toJSON(), new PartitionRouter().toJSON());
+  assert.equal(analyzer.allocations.get(3).partition, 'Buffer');
+  assert.equal(analyzer.allocations.get(4).reuses, 1);
+  assert.equal(bugSimulator.activeBugs.get(1).source, analyzer.allocations.get(1));
+});
+
+test('a session saved before threads puts every allocation and free on main', () => {
+  const { result, analyzer, data } = importFixture('session-before-threads');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.allocations[0].thread, undefined);
+  assert.equal(result.success, true);
+  assert.deepEqual(Array.from(analyzer.allocations.values()).map(allocation => allocation.thread),
+    ['main', 'main', 'main', 'main']);
+  assert.equal(analyzer.allocations.get(1).freedThread, 'main');
+  assert.deepEqual(analyzer.getThreads(), ['main']);
+  assert.equal(analyzer.allocations.get(4).reuses, 1);
+});
+
+test('a session saved before the reference graph leaves every allocation manually managed', () => {
+  const { result, analyzer, data } = importFixture('session-before-references');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.references, undefined);
+  assert.equal(result.success, true);
+  assert.deepEqual(analyzer.references.toJSON(), { references: [], roots: [], managed: [] });
+  assert.equal(analyzer.analyzeRetention(2).managed, false);
+});
+
+test('a session saved before UAF mitigations replays with them all off', () => {
+  const { result, analyzer, data } = importFixture('session-before-mitigations');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.mitigations, undefined);
+  assert.equal(result.success, true);
+  assert.deepEqual(analyzer.mitigations.toJSON(), new UafMitigations().toJSON());
+  assert.equal(analyzer.allocations.get(1).reusedBy, 4);
+  assert.equal(analyzer.getSlotHolds(1), null);
+});
+
+test('a session saved before layout randomization keeps the allocator order', () => {
+  const { result, analyzer, data } = importFixture('session-before-randomization');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.randomization, undefined);
+  assert.equal(result.success, true);
+  assert.equal(analyzer.randomization, null);
+  assert.deepEqual(Array.from(analyzer.allocations.values()).map(allocation => allocation.address),
+    data.analyzer.allocations.map(allocation => allocation.address));
+});
+
+test('a session saved before allocator profiles keeps its own backend options', () => {
+  const { result, analyzer, data } = importFixture('session-before-profiles');
+
+  assert.equal(data.schemaVersion, 1);
+  assert.equal(data.analyzer.profile, undefined);
+  assert.equal(result.success, true);
+  assert.equal(analyzer.profile, null);
+  assert.equal(analyzer.backend.name, data.analyzer.backend.name);
+  assert.deepEqual(analyzer.backendOptions, data.analyzer.backend.options);
+});
+
+test('a current session round-trips its profile', () => {
+  const analyzer = new HeapAnalyzer({ profile: 'glibc-2.26' });
+  analyzer.recordAllocation(32, 'Node');
+
+  const restored = new HeapAnalyzer();
+  const result = HeapSession.import(HeapSession.serialize({ analyzer }), { analyzer: restored });
+  assert.equal(result.schemaVersion, HeapSession.SCHEMA_VERSION);
+  assert.equal(restored.profile, 'glibc-2.26');
+  assert.equal(restored.backend.name, 'ptmalloc');
+});
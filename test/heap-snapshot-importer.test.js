@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import HeapSnapshotImporter from '../heap-snapshot-importer.js';
+import HeapToolkitUI from '../heap-toolkit-ui.js';
+import { installFakeDocument } from './fake-document.js';
+
+const MARKUP = '<img src=x onerror=alert(1)>';
+
+/**
+ * A snapshot holding two objects named after constructors, one of them markup
+ */
+function createSnapshot() {
+  return {
+    snapshot: {
+      meta: {
+        node_fields: ['type', 'name', 'id', 'self_size', 'edge_count'],
+        node_types: [['hidden', 'array', 'string', 'object', 'code', 'closure', 'regexp', 'number', 'native', 'synthetic']],
+        edge_fields: ['type', 'name_or_index', 'to_node'],
+        edge_types: [['context', 'element', 'property', 'internal', 'hidden', 'shortcut', 'weak']]
+      }
+    },
+    nodes: [
+      3, 0, 1, 32, 0,
+      3, 1, 3, 32, 0
+    ],
+    edges: [],
+    strings: [MARKUP, 'Window']
+  };
+}
+
+test('an object named with markup keeps the name as its type', () => {
+  const analyzer = new HeapAnalyzer();
+  const result = new HeapSnapshotImporter(analyzer).import(createSnapshot());
+
+  assert.equal(result.success, true);
+  assert.deepEqual(Array.from(analyzer.allocations.values()).map(allocation => allocation.type), [MARKUP, 'Window']);
+});
+
+test('imported type names are escaped in allocation details and statistics', () => {
+  const elements = installFakeDocument();
+  const analyzer = new HeapAnalyzer();
+  new HeapSnapshotImporter(analyzer).import(createSnapshot());
+
+  // Both share a bucket, so the markup object is also Window's neighbor
+  const [markup, window] = Array.from(analyzer.allocations.keys());
+  const ui = new HeapToolkitUI({
+    analyzer,
+    visualizer: {},
+    bugSimulator: new BugSimulator(analyzer),
+    strategyGenerator: null
+  });
+
+  ui.updateAllocationDetails(markup);
+  assert.doesNotMatch(elements.get('#allocation-details').innerHTML, /<img/);
+  assert.match(elements.get('#allocation-details').innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;/);
+
+  ui.updateAllocationDetails(window);
+  assert.doesNotMatch(elements.get('#allocation-details').innerHTML, /<img/);
+  assert.match(elements.get('#allocation-details').innerHTML, new RegExp(`#${markup} \\(&lt;img`));
+
+  ui.updateStatistics();
+  assert.doesNotMatch(elements.get('#statistics').innerHTML, /<img/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import GroomingStrategyGenerator from '../grooming-strategies.js';
+import HeapToolkitUI from '../heap-toolkit-ui.js';
+import { installFakeDocument } from './fake-document.js';
+
+test('the bucket list renders after a reallocation moves a block to another bucket', () => {
+  const elements = installFakeDocument();
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const id = analyzer.recordAllocation(40, 'Node');
+  analyzer.recordReallocation(id, 500);
+
+  const ui = new HeapToolkitUI({
+    analyzer,
+    visualizer: {},
+    bugSimulator: new BugSimulator(analyzer),
+    strategyGenerator: null
+  });
+
+  ui.elements.bucketsList = document.querySelector('#buckets-list');
+  ui.updateBucketsList();
+  assert.deepEqual(elements.get('#buckets-list').children.map(item => item.textContent), ['512 bytes (1/1)']);
+});
+
+test('partition names from routing rules are escaped in details, statistics and strategies', () => {
+  const elements = installFakeDocument();
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  analyzer.setPartitionRouting({ rules: [{ match: '.', partition: '<img src=x onerror=alert(1)>' }] });
+
+  const victim = analyzer.recordAllocation(32, 'Node');
+  analyzer.recordAllocation(32, 'Node');
+  analyzer.recordDeallocation(victim);
+
+  const bugSimulator = new BugSimulator(analyzer);
+  const bug = bugSimulator.simulateUseAfterFree(victim);
+  const ui = new HeapToolkitUI({
+    analyzer,
+    visualizer: {},
+    bugSimulator,
+    strategyGenerator: new GroomingStrategyGenerator(analyzer, bugSimulator)
+  });
+
+  ui.updateAllocationDetails(victim);
+  assert.doesNotMatch(elements.get('#allocation-details').innerHTML, /<img/);
+  assert.match(elements.get('#allocation-details').innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;/);
+
+  ui.updateStatistics();
+  assert.doesNotMatch(elements.get('#statistics').innerHTML, /<img/);
+  assert.match(elements.get('#statistics').innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;: 2 allocations/);
+
+  ui.elements.strategyOutput = document.querySelector('#strategy-output');
+  ui.generateStrategy(bug.id);
+  assert.doesNotMatch(elements.get('#strategy-output').innerHTML, /<img/);
+  assert.match(elements.get('#strategy-output').innerHTML, /<td>&lt;img src=x onerror=alert\(1\)&gt;<\/td>/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PartitionAllocBackend from '../partition-alloc-backend.js';
+
+const context = (thread) => ({ partition: 'FastMalloc', thread });
+
+// Allocations the thread makes until it is handed the address
+const allocationsUntil = (backend, address, thread) => {
+  for (let count = 0; count < 1000; count++) {
+    if (backend.allocate(32, context(thread)).address === address) {
+      return count;
+    }
+  }
+  return null;
+};
+
+test('a slot in one thread cache is only predicted for that thread', () => {
+  const backend = new PartitionAllocBackend();
+  const { address } = backend.allocate(32, context('main'));
+  backend.free(address, context('main'));
+
+  assert.equal(backend.predictReuse(address, 'worker'), null);
+  assert.equal(backend.predictReuse(address, 'main'), 0);
+  assert.equal(allocationsUntil(backend, address, 'main'), 0);
+});
+
+test('a central slot is predicted after the slots the allocating thread has cached', () => {
+  const backend = new PartitionAllocBackend();
+  const { address } = backend.allocate(32, context('main'));
+  backend.free(address, context('worker'));
+  backend.purgeThreadCache('worker');
+
+  // The refill that served the first allocation left the rest of its batch cached
+  const cached = backend.getThreadCacheStats().main.buckets['FastMalloc:32'];
+  assert.ok(cached > 0);
+
+  assert.equal(backend.predictReuse(address, 'main'), cached);
+  assert.equal(allocationsUntil(backend, address, 'main'), cached);
+});
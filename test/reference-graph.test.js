@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ReferenceGraph from '../reference-graph.js';
+
+const isLive = () => true;
+const ids = (path) => path.steps.map(step => step.id);
+
+test('every holder of an object under one root gets its own retainer path', () => {
+  const graph = new ReferenceGraph();
+  graph.addRoot(1, 'global');
+  graph.addReference(1, 2, 'first');
+  graph.addReference(1, 3, 'second');
+  graph.addReference(2, 4, 'child');
+  graph.addReference(3, 4, 'child');
+
+  const paths = graph.findRetainerPaths(4, isLive);
+  assert.deepEqual(paths.map(ids), [[1, 2, 4], [1, 3, 4]]);
+  assert.deepEqual(paths[1].steps.map(step => step.name), [null, 'second', 'child']);
+  assert.deepEqual(paths[0].rootSets, ['global']);
+});
+
+test('retainer paths skip freed holders, follow cycles once and stop at maxPaths', () => {
+  const graph = new ReferenceGraph();
+  graph.addRoot(1, 'stack');
+  graph.addReference(1, 2);
+  graph.addReference(2, 3);
+  graph.addReference(3, 2);
+  graph.addReference(1, 5);
+  graph.addReference(5, 3);
+  graph.addReference(6, 3);
+
+  assert.deepEqual(graph.findRetainerPaths(3, id => id !== 6).map(ids), [[1, 2, 3], [1, 5, 3]]);
+  assert.equal(graph.findRetainerPaths(3, isLive, 1).length, 1);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeapAnalyzer from '../heap-analyzer.js';
+import BugSimulator from '../bug-simulator.js';
+import GroomingStrategyGenerator from '../grooming-strategies.js';
+import StrategyReliability from '../strategy-reliability.js';
+
+/**
+ * A use-after-free bug with a strategy cached as it was before strategies
+ * carried simulation steps
+ */
+function staleUafStrategy() {
+  const analyzer = new HeapAnalyzer({ backend: 'partitionalloc' });
+  const simulator = new BugSimulator(analyzer);
+  const generator = new GroomingStrategyGenerator(analyzer, simulator);
+
+  const victim = analyzer.recordAllocation(32, 'Node');
+  analyzer.recordAllocation(32, 'Node');
+  analyzer.recordDeallocation(victim);
+  const bug = simulator.simulateUseAfterFree(victim);
+
+  const strategy = generator.generateStrategyForBug(bug.id);
+  strategy.phases.forEach(phase => delete phase.simulation);
+
+  return { analyzer, generator, bug, strategy };
+}
+
+test('a strategy without simulation steps is reported as predating them', () => {
+  const { analyzer, strategy } = staleUafStrategy();
+
+  const result = new StrategyReliability(analyzer).run(strategy, { trials: 2 });
+  assert.match(result.error, /before simulation support/);
+});
+
+test('estimating reliability regenerates a cached strategy without simulation steps', () => {
+  const { generator, bug } = staleUafStrategy();
+
+  const result = generator.estimateReliability(bug.id, { trials: 2 });
+  assert.equal(result.error, undefined);
+  assert.equal(result.trials, 2);
+  assert.ok(generator.generatedStrategies.get(bug.id).phases.some(phase => phase.simulation));
+});
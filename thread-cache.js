@@ -0,0 +1,239 @@
+/**
+ * Per-thread slot cache
+ * Models PartitionAlloc's ThreadCache: each thread keeps a small LIFO stack of
+ * free slots per bucket, refilled in batches from the central freelist and
+ * trimmed back to it when it grows past its limit
+ */
+
+class ThreadCache {
+  /**
+   * Create a new thread cache model
+   * @param {Object} options - Cache options
+   * @param {number} options.sizeThreshold - Largest slot size that is cached
+   * @param {number} options.capacityBytes - Bytes a bucket may cache before it is trimmed
+   * @param {number} options.minCount - Fewest slots any bucket may cache
+   * @param {number} options.maxCount - Most slots any bucket may cache
+   * @param {number} options.batchFillRatio - A refill fetches limit / ratio slots
+   * @param {SeededRandom|null} random - Picks cached slots at random instead of LIFO
+   */
+  constructor(options = {}, random = null) {
+    this.config = {
+      sizeThreshold: 1024,
+      capacityBytes: 8192,
+      minCount: 8,
+      maxCount: 128,
+      batchFillRatio: 8,
+      ...options
+    };
+
+    // Thread -> Map of bucket key -> cached slots, most recently freed last
+    this.threads = new Map();
+
+    // Thread -> { hits, misses, refills, trims, purges }
+    this.stats = new Map();
+
+    this.random = random;
+  }
+
+  /**
+   * Whether slots of a size go through the cache
+   * @param {number} slotSize - Slot size in bytes
+   * @returns {boolean} Whether the size is cached
+   */
+  caches(slotSize) {
+    return slotSize > 0 && slotSize <= this.config.sizeThreshold;
+  }
+
+  /**
+   * Most slots a bucket may hold; smaller slots get deeper caches
+   * @param {number} slotSize - Slot size in bytes
+   * @returns {number} Slot limit
+   */
+  getLimit(slotSize) {
+    const count = Math.floor(this.config.capacityBytes / slotSize);
+    return Math.max(this.config.minCount, Math.min(this.config.maxCount, count));
+  }
+
+  /**
+   * Take a slot from a thread's cache, refilling it first if empty
+   * @param {string} thread - Thread name
+   * @param {string|number} key - Bucket key
+   * @param {number} slotSize - Slot size in bytes
+   * @param {Function} fetchSlot - Takes one slot from the central allocator
+   * @returns {Object|null} Slot of { address, spanAddress, reused }
+   */
+  allocate(thread, key, slotSize, fetchSlot) {
+    const slots = this.getBucket(thread, key);
+    const stats = this.getStats(thread);
+
+    if (slots.length > 0) {
+      stats.hits++;
+      return this.take(slots);
+    }
+
+    stats.misses++;
+    stats.refills++;
+
+    // Fetch the batch in order, then stack it so the first fetched is used first
+    const count = Math.max(1, Math.floor(this.getLimit(slotSize) / this.config.batchFillRatio));
+    const batch = [];
+    for (let i = 0; i < count; i++) {
+      const slot = fetchSlot();
+      if (!slot) break;
+      batch.push(slot);
+    }
+
+    slots.push(...batch.reverse());
+    return slots.length > 0 ? this.take(slots) : null;
+  }
+
+  /**
+   * Take the most recently cached slot, or a random one when randomized
+   * @private
+   */
+  take(slots) {
+    if (this.random) {
+      return slots.splice(this.random.nextInt(slots.length), 1)[0];
+    }
+    return slots.pop();
+  }
+
+  /**
+   * Put a freed slot in a thread's cache
+   * Past the bucket limit, the oldest half goes back to the central freelist
+   * @param {string} thread - Thread name
+   * @param {string|number} key - Bucket key
+   * @param {Object} slot - Slot of { address, spanAddress }
+   * @param {number} slotSize - Slot size in bytes
+   * @param {Function} releaseSlot - Returns one slot address to the central allocator
+   */
+  free(thread, key, slot, slotSize, releaseSlot) {
+    const slots = this.getBucket(thread, key);
+    slots.push({ ...slot, reused: true });
+
+    const limit = this.getLimit(slotSize);
+    if (slots.length > limit) {
+      this.getStats(thread).trims++;
+      slots.splice(0, slots.length - Math.floor(limit / 2))
+        .forEach(trimmed => releaseSlot(trimmed.address));
+    }
+  }
+
+  /**
+   * Return cached slots to the central freelist
+   * @param {string|null} thread - Thread to purge, or null for every thread
+   * @param {Function} releaseSlot - Returns one slot address to the central allocator
+   * @returns {number} Number of slots released
+   */
+  purge(thread, releaseSlot) {
+    const threads = thread === null ? Array.from(this.threads.keys()) : [thread];
+    let released = 0;
+
+    for (const name of threads) {
+      const buckets = this.threads.get(name);
+      if (!buckets) continue;
+
+      for (const slots of buckets.values()) {
+        slots.forEach(slot => releaseSlot(slot.address));
+        released += slots.length;
+        slots.length = 0;
+      }
+
+      this.getStats(name).purges++;
+    }
+
+    return released;
+  }
+
+  /**
+   * Find which thread has a slot cached, and how deep
+   * @param {number} address - Slot address
+   * @returns {Object|null} { thread, depth } where depth 0 is the next slot
+   *   handed out, or null if no thread holds the slot
+   */
+  locate(address) {
+    for (const [thread, buckets] of this.threads) {
+      for (const slots of buckets.values()) {
+        const index = slots.findIndex(slot => slot.address === address);
+        if (index !== -1) {
+          return { thread, depth: slots.length - 1 - index };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count the slots a thread has cached for a bucket
+   * @param {string} thread - Thread name
+   * @param {string|number} key - Bucket key
+   * @returns {number} Cached slots
+   */
+  countCached(thread, key) {
+    return this.threads.get(thread)?.get(key)?.length ?? 0;
+  }
+
+  /**
+   * Describe every thread's cache
+   * @returns {Object} Thread -> { cachedSlots, buckets, hits, misses, refills, trims, purges }
+   */
+  describe() {
+    const result = {};
+
+    for (const [thread, buckets] of this.threads) {
+      const cached = {};
+      let cachedSlots = 0;
+
+      for (const [key, slots] of buckets) {
+        if (slots.length === 0) continue;
+        cached[key] = slots.length;
+        cachedSlots += slots.length;
+      }
+
+      result[thread] = { cachedSlots, buckets: cached, ...this.getStats(thread) };
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a thread's cached slots for a bucket
+   * @private
+   */
+  getBucket(thread, key) {
+    if (!this.threads.has(thread)) {
+      this.threads.set(thread, new Map());
+    }
+
+    const buckets = this.threads.get(thread);
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+
+    return buckets.get(key);
+  }
+
+  /**
+   * Get a thread's counters
+   * @private
+   */
+  getStats(thread) {
+    if (!this.stats.has(thread)) {
+      this.stats.set(thread, { hits: 0, misses: 0, refills: 0, trims: 0, purges: 0 });
+    }
+
+    return this.stats.get(thread);
+  }
+
+  /**
+   * Drop every cache
+   */
+  reset() {
+    this.threads.clear();
+    this.stats.clear();
+  }
+}
+
+// Export the ThreadCache
+export default ThreadCache;
@@ -0,0 +1,290 @@
+/**
+ * Use-after-free mitigations
+ * Models allocator features that keep freed slots away from new allocations
+ * so a dangling pointer cannot reach the next object placed there:
+ * - quarantine: freed slots wait in a FIFO of limited size before reuse
+ * - delayed reuse: freed slots wait a fixed number of heap events
+ * - BackupRefPtr: like MiraclePtr, a slot still referenced by live objects is
+ *   poisoned and kept until the last reference to it is dropped
+ * A slot is returned to the backend once every mitigation holding it lets go.
+ */
+
+class UafMitigations {
+  /**
+   * Mitigations in the order they are reported
+   */
+  static NAMES = ['quarantine', 'delayedReuse', 'backupRefPtr'];
+
+  /**
+   * Display names by mitigation
+   */
+  static LABELS = {
+    quarantine: 'Quarantine',
+    delayedReuse: 'Delayed reuse',
+    backupRefPtr: 'BackupRefPtr'
+  };
+
+  /**
+   * Settings used when none are configured; everything starts disabled
+   */
+  static DEFAULTS = {
+    quarantine: { enabled: false, capacityBytes: 16384 },
+    delayedReuse: { enabled: false, events: 32 },
+    backupRefPtr: { enabled: false }
+  };
+
+  /**
+   * Create a new mitigation model
+   * @param {Object} config - Settings by mitigation, as for configure
+   */
+  constructor(config = {}) {
+    const result = this.configure(config);
+    if (result.error) {
+      console.warn(`${result.error}; UAF mitigations disabled`);
+      this.configure();
+    }
+  }
+
+  /**
+   * Replace the settings and drop every held slot
+   * Missing mitigations or fields keep their defaults
+   * @param {Object} config - Settings by mitigation
+   * @param {Object} config.quarantine - { enabled, capacityBytes }
+   * @param {Object} config.delayedReuse - { enabled, events }
+   * @param {Object} config.backupRefPtr - { enabled }
+   * @returns {Object} { success } or { error } if a setting is invalid
+   */
+  configure(config = {}) {
+    const settings = {};
+
+    for (const name of UafMitigations.NAMES) {
+      settings[name] = { ...UafMitigations.DEFAULTS[name], ...config[name] };
+    }
+
+    if (!Number.isInteger(settings.quarantine.capacityBytes) || settings.quarantine.capacityBytes < 0) {
+      return { error: 'Quarantine capacity must be a non-negative number of bytes' };
+    }
+    if (!Number.isInteger(settings.delayedReuse.events) || settings.delayedReuse.events < 0) {
+      return { error: 'Reuse delay must be a non-negative number of events' };
+    }
+
+    for (const name of UafMitigations.NAMES) {
+      settings[name].enabled = Boolean(settings[name].enabled);
+    }
+
+    this.config = settings;
+    this.clear();
+
+    return { success: true };
+  }
+
+  /**
+   * Whether a mitigation is turned on
+   * @param {string} name - Mitigation name
+   * @returns {boolean} Whether it is enabled
+   */
+  isEnabled(name) {
+    return Boolean(this.config[name]?.enabled);
+  }
+
+  /**
+   * Take a freed slot, holding it if any mitigation applies
+   * @param {Object} slot - { address, bucketSize, thread } of the freed slot
+   * @param {number} seq - Sequence number of the free
+   * @param {Array} danglingRefs - IDs of live allocations still referencing it
+   * @param {Function} release - Returns a slot to the backend
+   * @returns {Array} Names of the mitigations holding the slot
+   */
+  hold(slot, seq, danglingRefs, release) {
+    const entry = { slot, holds: new Set(), reusableAt: null, refs: new Set() };
+
+    if (this.isEnabled('backupRefPtr') && danglingRefs.length > 0) {
+      entry.holds.add('backupRefPtr');
+      danglingRefs.forEach(fromId => {
+        entry.refs.add(fromId);
+        if (!this.dangling.has(fromId)) {
+          this.dangling.set(fromId, new Set());
+        }
+        this.dangling.get(fromId).add(slot.address);
+      });
+      this.stats.poisoned++;
+    }
+
+    if (this.isEnabled('delayedReuse') && this.config.delayedReuse.events > 0) {
+      entry.holds.add('delayedReuse');
+      entry.reusableAt = seq + this.config.delayedReuse.events;
+      this.delayed.push(slot.address);
+    }
+
+    // A slot larger than the whole quarantine passes straight through
+    if (this.isEnabled('quarantine') && slot.bucketSize <= this.config.quarantine.capacityBytes) {
+      entry.holds.add('quarantine');
+      this.quarantine.push(slot.address);
+      this.quarantineBytes += slot.bucketSize;
+    }
+
+    const holds = Array.from(entry.holds);
+    if (holds.length === 0) {
+      release(slot);
+      return holds;
+    }
+
+    this.held.set(slot.address, entry);
+    this.stats.held++;
+
+    // Evict the oldest quarantined slots until the new one fits
+    while (this.quarantineBytes > this.config.quarantine.capacityBytes) {
+      const address = this.quarantine.shift();
+      this.quarantineBytes -= this.held.get(address).slot.bucketSize;
+      this.stats.evicted++;
+      this.letGo(address, 'quarantine', release);
+    }
+
+    return holds;
+  }
+
+  /**
+   * Release slots whose reuse delay has passed
+   * @param {number} seq - Sequence number of the current event
+   * @param {Function} release - Returns a slot to the backend
+   */
+  advance(seq, release) {
+    // Every slot waits the same number of events, so the queue is in expiry order
+    while (this.delayed.length > 0 && this.held.get(this.delayed[0]).reusableAt <= seq) {
+      this.letGo(this.delayed.shift(), 'delayedReuse', release);
+    }
+  }
+
+  /**
+   * Drop the references a freed allocation held to poisoned slots
+   * @param {number} fromId - ID of the freed allocation
+   * @param {Function} release - Returns a slot to the backend
+   */
+  dropReferencesFrom(fromId, release) {
+    const addresses = this.dangling.get(fromId);
+    if (!addresses) return;
+
+    this.dangling.delete(fromId);
+    addresses.forEach(address => this.dropReference(fromId, address, release));
+  }
+
+  /**
+   * Drop one reference to a poisoned slot, as when a raw_ptr is cleared
+   * @param {number} fromId - ID of the referencing allocation
+   * @param {number} address - Slot address
+   * @param {Function} release - Returns a slot to the backend
+   */
+  clearReference(fromId, address, release) {
+    this.dangling.get(fromId)?.delete(address);
+    if (this.dangling.get(fromId)?.size === 0) {
+      this.dangling.delete(fromId);
+    }
+
+    this.dropReference(fromId, address, release);
+  }
+
+  /**
+   * Decrement a poisoned slot's reference count
+   * @private
+   */
+  dropReference(fromId, address, release) {
+    const entry = this.held.get(address);
+    if (!entry?.refs.delete(fromId) || entry.refs.size > 0) return;
+
+    this.letGo(address, 'backupRefPtr', release);
+  }
+
+  /**
+   * Remove one mitigation's hold on a slot, releasing it if nothing else holds it
+   * @private
+   */
+  letGo(address, name, release) {
+    const entry = this.held.get(address);
+    if (!entry?.holds.delete(name)) return;
+
+    if (entry.holds.size === 0) {
+      this.held.delete(address);
+      this.stats.released++;
+      release(entry.slot);
+    }
+  }
+
+  /**
+   * Get the mitigations holding a slot
+   * @param {number} address - Slot address
+   * @returns {Array} Mitigation names; empty if the slot is not held
+   */
+  getHolds(address) {
+    return Array.from(this.held.get(address)?.holds || []);
+  }
+
+  /**
+   * Get the live allocations keeping a poisoned slot out of reuse
+   * @param {number} address - Slot address
+   * @returns {Array} Referencing allocation IDs
+   */
+  getDanglingRefs(address) {
+    return Array.from(this.held.get(address)?.refs || []);
+  }
+
+  /**
+   * Summarize the settings and held slots
+   * @returns {Object} { config, heldSlots, heldBytes, byMitigation, quarantineBytes, stats }
+   */
+  describe() {
+    const byMitigation = {};
+    UafMitigations.NAMES.forEach(name => {
+      byMitigation[name] = 0;
+    });
+
+    let heldBytes = 0;
+    for (const entry of this.held.values()) {
+      heldBytes += entry.slot.bucketSize;
+      entry.holds.forEach(name => byMitigation[name]++);
+    }
+
+    return {
+      config: this.toJSON(),
+      heldSlots: this.held.size,
+      heldBytes,
+      byMitigation,
+      quarantineBytes: this.quarantineBytes,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Get the settings as plain data
+   * @returns {Object} Settings by mitigation
+   */
+  toJSON() {
+    const config = {};
+    for (const name of UafMitigations.NAMES) {
+      config[name] = { ...this.config[name] };
+    }
+    return config;
+  }
+
+  /**
+   * Forget every held slot without releasing it, as when the backend is reset
+   */
+  clear() {
+    // Slot address -> { slot, holds, reusableAt, refs }
+    this.held = new Map();
+
+    // Quarantined slot addresses, oldest first, and the bytes they cover
+    this.quarantine = [];
+    this.quarantineBytes = 0;
+
+    // Delayed slot addresses, oldest first
+    this.delayed = [];
+
+    // Referencing allocation ID -> addresses of poisoned slots it points into
+    this.dangling = new Map();
+
+    this.stats = { held: 0, released: 0, evicted: 0, poisoned: 0 };
+  }
+}
+
+// Export the UafMitigations
+export default UafMitigations;